@@ -1,13 +1,80 @@
 'use strict';
 const Promise = require('bluebird');
+const HttpClient = require('./lib/http-client');
+const { HttpError, RequestError, FileSystemError, CancelError, ScopeDeniedError, UnsupportedApiError, GestureRequiredError } = require('./lib/errors');
+const network = require('./lib/network');
+const { CancelToken } = require('./lib/cancel');
+const Scheduler = require('./lib/scheduler');
+const Session = require('./lib/session');
+const authorize = require('./lib/authorize');
+const Storage = require('./lib/storage');
+const ResponseCache = require('./lib/cache');
+const SocketClient = require('./lib/socket-client');
+const eventIterator = require('./lib/event-iterator');
+const { KIND, kindOf } = require('./lib/api-kinds');
+const capability = require('./lib/capability');
+const { getAdapter, detectPlatform } = require('./lib/adapters');
+const payment = require('./lib/payment');
+const Subscriptions = require('./lib/subscribe');
+const ChunkedUploader = require('./lib/chunked-upload');
+const images = require('./lib/images');
+const Router = require('./lib/router');
+const UI = require('./lib/ui');
+const OfflineQueue = require('./lib/offline-queue');
+const NavBar = require('./lib/nav-bar');
+const location = require('./lib/location');
+const Telemetry = require('./lib/telemetry');
+const FileSystem = require('./lib/file-system');
+const DownloadCache = require('./lib/download-cache');
 
 class WeChat {
   /**
-   * 通过构造函数传入wx对象
+   * 通过构造函数传入wx对象（其他平台传入 my / tt / swan / qq，并指定 platform）
    * @param {Object} wx 
+   * @param {object}  options   platform        {string}    否  默认值： 'wechat'  宿主平台（可选值：wechat / qq / alipay / baidu / bytedance），
+   *                                                            接口名称、参数和返回值会按平台转换为与微信一致，可用 MpWxSdk.detectPlatform() 判断
+   *                            validateStatus  {boolean/function}  否  网络请求的默认状态码校验，见 request
+   *                            retry           {boolean/number/object}  否  网络请求的默认重试策略，见 request
+   *                            concurrency     {number}    否  默认值： 10  request、uploadFile、downloadFile 共享的最大并发数
+   *                            storage         {object}    否  WeChat.storage 的配置，见 Storage
+   *                            responseCache   {object}    否  WeChat.cache 的配置，见 ResponseCache
+   *                            offline         {object}    否  WeChat.offline 离线写请求队列的配置，见 OfflineQueue
+   *                            downloadCache   {object}    否  WeChat.downloads 下载缓存的配置，见 DownloadCache
+   *                            telemetry       {object}    否  接口调用埋点，每次调用结束后生成事件（api、脱敏后的 options、duration、outcome、errMsg）
+   *                                                console         {boolean/object}  输出到控制台，{ onlyErrors: true } 只输出失败
+   *                                                realtimeLog     {boolean/object}  写入实时日志 wx.getRealtimeLogManager，{ onlyErrors: true } 只写入失败
+   *                                                upload          {object}    批量上报到业务服务器 { url, header, batchSize, flushInterval, maxBuffer, transform }
+   *                                                sinks           {Array.<object/function>}  自定义输出 { write(event), flush() } 或 (event) => void
+   *                                                sampleRate      {number}    默认值： 1  成功调用的采样率（0～1）
+   *                                                errorSampleRate {number}    默认值： 1  失败调用的采样率（0～1）
+   *                                                redact          {Array.<string/RegExp>}  额外需要脱敏的字段名，默认已脱敏 token、Authorization、cookie、password 等；
+   *                                                                url、filePath 中的同名 query 参数以及 key 命中的本地缓存 data 同样脱敏
+   *                                                beforeSend      {function}  (event) => event/false  写入前修改事件，返回 false 丢弃
+   *                            proxy           {boolean}   否  默认值： false  开启后未封装的 wx 接口也可以直接调用，如 WeChat.scanCode(options)，
+   *                                                            按接口类型自动处理（见 invoke），不支持的接口 reject UnsupportedApiError
    */
-  constructor(wx) {
+  constructor(wx, options = {}) {
     this.wx = wx;
+    this.options = Object.assign({}, options);
+    this.adapter = getAdapter(this.options.platform);
+    this.platform = this.adapter.name;
+    this.capabilities = {};
+    this.eventListeners = {};
+    this.telemetry = new Telemetry(this, this.options.telemetry);
+    this.SDKVersion = undefined;
+    this.scheduler = new Scheduler(this.options.concurrency);
+    this.storage = new Storage(this, this.options.storage);
+    this.cache = new ResponseCache(this, this.options.responseCache);
+    this.subscriptions = new Subscriptions(this);
+    this.ui = new UI(this);
+    this.offline = new OfflineQueue(this, this.options.offline);
+    this.navBar = new NavBar(this);
+    this.locationTracker = new location.LocationTracker(this);
+    this.fs = new FileSystem(this);
+    this.downloads = new DownloadCache(this, this.options.downloadCache);
+    if (this.options.proxy) {
+      return createProxy(this);
+    }
   }
   /**
    * 微信接口Promise化工具方法
@@ -19,17 +86,22 @@ class WeChat {
       throw new Error('wx对象不存在');
     }
     return (options, ...params) => {
-      return new Promise((resolve, reject) => {
+      let task;
+      const promise = new Promise((resolve, reject) => {
         if (typeof options === 'function') {
           resolve(api(options));
         } else {
-          api(Object.assign({}, options, { success: resolve, fail: reject }), ...params);
+          task = api(Object.assign({}, options, { success: resolve, fail: reject }), ...params);
         }
       });
+      // wx.request 等接口会同步返回 RequestTask 等任务对象
+      promise.task = task;
+      return promise;
     };
   }
   /**
    * 设置参数，并判断wx对象是否存在
+   * 配置了 telemetry 时每次调用结束后生成埋点事件，参数中传入 telemetry: false 时不记录
    * @param {string}  fun       是  wx中的方法名称字符串
    * @param {object}  options   否  参数根据不同方法传递的不同参数
    */
@@ -37,10 +109,189 @@ class WeChat {
     if (!this.wx) {
       throw new Error('wx对象不存在');
     }
-    if (options) {
-      return this.promisify(this.wx[fun])(options);
-    } else {
-      return this.promisify(this.wx[fun])();
+    const trace = this.telemetry.trace(fun, options);
+    if (options && options.telemetry !== undefined) {
+      const { telemetry, ...rest } = options;
+      options = rest;
+    }
+    const spec = this.adapter.resolve(fun, options);
+    const unsupported = capability.check(this, spec.name);
+    if (unsupported) {
+      if (trace) {
+        trace.end(unsupported);
+      }
+      return Promise.reject(unsupported);
+    }
+    const api = this.wx[spec.name].bind(this.wx);
+    const params = spec.options ? spec.options(options || {}) : options;
+    const call = this.promisify(api)(params);
+    let promise = call;
+    if (spec.result || spec.recover || spec.error) {
+      // 按平台转换返回值
+      promise = call.then(res => (spec.result ? spec.result(res, options) : res), err => {
+        const recovered = spec.recover ? spec.recover(err, options) : undefined;
+        if (recovered !== undefined) {
+          return recovered;
+        }
+        throw spec.error ? spec.error(err, fun) : err;
+      });
+    }
+    if (trace) {
+      promise = promise.then(res => {
+        trace.end(null, res);
+        return res;
+      }, err => {
+        trace.end(err);
+        throw err;
+      });
+    }
+    // 保留任务对象
+    promise.task = call.task;
+    return promise;
+  }
+  /**
+   * 调用同步接口，直接返回结果
+   * 配置了 telemetry 时每次调用生成埋点事件：参数为对象时按 options 脱敏记录，
+   * 否则只记录参数个数 { args }（如 setStorageSync 的值可能包含 token）
+   * @param {string}  fun       是  wx中的方法名称字符串
+   * @param {...*}    args      否  接口参数
+   */
+  invokeSync(fun, ...args) {
+    if (!this.wx) {
+      throw new Error('wx对象不存在');
+    }
+    const described = args[0] && typeof args[0] === 'object' && args.length === 1 ? args[0] : { args: args.length };
+    const trace = this.telemetry.trace(fun, described);
+    let result;
+    try {
+      const spec = this.adapter.resolve(fun);
+      const unsupported = capability.check(this, spec.name);
+      if (unsupported) {
+        throw unsupported;
+      }
+      result = this.wx[spec.name](...(spec.args ? spec.args(...args) : args));
+      result = spec.result ? spec.result(result) : result;
+    } catch (e) {
+      if (trace) {
+        trace.end(e);
+      }
+      throw e;
+    }
+    if (trace) {
+      trace.end(null, result);
+    }
+    return result;
+  }
+  /**
+   * 监听事件接口（on*），传入回调时返回取消监听的函数，不传时返回异步迭代器
+   * 取消监听时若存在对应的 off* 接口会一并调用，否则仅停止转发事件
+   * 配置了 telemetry 时注册与取消监听各生成一个埋点事件，事件本身不记录
+   *
+   * @param {string}    fun       是  wx中的事件方法名称字符串，如 onWindowResize
+   * @param {function}  listener  否  事件回调函数
+   * @returns {function/AsyncIterator}
+   */
+  listen(fun, listener) {
+    if (!this.wx) {
+      throw new Error('wx对象不存在');
+    }
+    const name = this.adapter.resolve(fun).name;
+    const unsupported = capability.check(this, name);
+    if (unsupported) {
+      const trace = this.telemetry.trace(fun);
+      if (trace) {
+        trace.end(unsupported);
+      }
+      throw unsupported;
+    }
+    const off = this.adapter.resolve(`off${fun.slice(2)}`).name;
+    const traced = (api, call) => {
+      const trace = this.telemetry.trace(api);
+      try {
+        call();
+      } catch (e) {
+        if (trace) {
+          trace.end(e);
+        }
+        throw e;
+      }
+      if (trace) {
+        trace.end(null);
+      }
+    };
+    const subscribe = callback => {
+      let active = true;
+      const handler = res => {
+        if (active) {
+          callback(res);
+        }
+      };
+      traced(fun, () => this.wx[name](handler));
+      return () => {
+        if (active) {
+          active = false;
+          if (typeof this.wx[off] === 'function') {
+            traced(`off${fun.slice(2)}`, () => this.wx[off](handler));
+          }
+        }
+      };
+    };
+    if (typeof listener === 'function') {
+      // 按事件记录 listener 对应的取消函数，off* 传入同一个 listener 时可以移除 wx 上实际注册的回调
+      const registered = this.eventListeners[fun] || (this.eventListeners[fun] = new WeakMap());
+      const unsubscribe = subscribe(listener);
+      const off = () => {
+        unsubscribe();
+        const rest = (registered.get(listener) || []).filter(item => item !== off);
+        if (rest.length) {
+          registered.set(listener, rest);
+        } else {
+          registered.delete(listener);
+        }
+      };
+      registered.set(listener, (registered.get(listener) || []).concat(off));
+      return off;
+    }
+    return eventIterator(push => subscribe(push));
+  }
+  /**
+   * 取消监听事件接口（off*）：listener 通过 listen 注册时移除它的全部注册，
+   * 否则直接调用 off* 接口（不传 listener 时取消该事件的全部监听）
+   *
+   * @param {string}    fun       是  wx中的事件方法名称字符串，如 onWindowResize
+   * @param {function}  listener  否  传给 listen 的事件回调函数
+   */
+  unlisten(fun, listener) {
+    const registered = this.eventListeners[fun];
+    const offs = registered && typeof listener === 'function' ? registered.get(listener) : null;
+    if (!offs) {
+      return this.invokeSync(`off${fun.slice(2)}`, listener);
+    }
+    offs.forEach(off => off());
+  }
+  /**
+   * 判断当前环境是否支持某个接口（wx 上存在、canIUse 不为 false、基础库版本满足要求）
+   *
+   * @param {string}  fun       是  wx中的方法名称字符串
+   * @returns {boolean}
+   */
+  canUse(fun) {
+    return !!this.wx && !capability.check(this, fun);
+  }
+  /**
+   * 按接口类型调用：事件接口见 listen、unlisten，同步接口直接返回结果，其余接口返回 Promise
+   *
+   * @param {string}  fun       是  wx中的方法名称字符串
+   * @param {...*}    args      否  接口参数
+   */
+  invoke(fun, ...args) {
+    switch (kindOf(fun)) {
+      case KIND.EVENT:
+        return /^on/.test(fun) ? this.listen(fun, args[0]) : this.unlisten(`on${fun.slice(3)}`, args[0]);
+      case KIND.SYNC:
+        return this.invokeSync(fun, ...args);
+      default:
+        return this.setOption(fun, args[0]);
     }
   }
   /**
@@ -94,13 +345,39 @@ class WeChat {
   /**
    * 获取授权信息
    *
-   * @param {object}  options   complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @param {object}  options   withSubscriptions {boolean}  否  默认值： false  是否同时获取用户订阅消息的订阅状态
+   *                            complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg    {string}        "getSetting:ok"
+   *                            authSetting {Object}        用户授权结果
+   *                            subscriptionsSetting {Object}  用户订阅消息设置，withSubscriptions 为 true 时返回
    */
   async getSetting(options) {
     return this.setOption('getSetting', options);
   }
 
+  /**
+   * 调起客户端小程序设置界面，返回用户设置的操作结果。设置界面只会出现小程序已经向用户请求过的权限。
+   *
+   * @param {object}  options   withSubscriptions {boolean}  否  默认值： false  是否同时获取用户订阅消息的订阅状态
+   *                            complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg      {string}        "openSetting:ok"
+   *                            authSetting {Object}        用户授权结果
+   */
+  async openSetting(options) {
+    return this.setOption('openSetting', options);
+  }
+
+  /**
+   * 确保已获得 scope 授权：未询问过时发起授权；曾经拒绝时用 showModal 说明原因，并引导用户到设置页开启
+   *
+   * @param {string}  scope     是  需要获取权限的 scope，见 authorize
+   * @param {object}  options   rationale {string/object}  否  曾拒绝时弹窗的内容，可以是 content 字符串或 showModal 参数
+   * @returns {Promise}         'granted' 已授权 / 'denied' 未授权
+   */
+  async ensureScope(scope, options) {
+    return authorize.ensureScope(this, scope, options);
+  }
+
   /**
    * 检查登录态是否过期
    *
@@ -110,6 +387,88 @@ class WeChat {
   async checkSession(options) {
     return this.setOption('checkSession', options);
   }
+
+  /**
+   * 发起微信支付
+   *
+   * @param {object}  options   timeStamp {string}    是  时间戳，从 1970 年 1 月 1 日 00:00:00 至今的秒数，即当前的时间
+   *                            nonceStr  {string}    是  随机字符串，长度为32个字符以下
+   *                            package   {string}    是  统一下单接口返回的 prepay_id 参数值，提交格式如：prepay_id=***
+   *                            signType  {string}    否  默认值： MD5  签名算法（可选值：MD5 / HMAC-SHA256 / RSA）
+   *                            paySign   {string}    是  签名
+   *                            complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg    {string}        "requestPayment:ok"，用户取消时 reject 的 errMsg 为 "requestPayment:fail cancel"
+   */
+  async requestPayment(options) {
+    return this.setOption('requestPayment', options);
+  }
+
+  /**
+   * 支付流程：创建订单 → requestPayment → 向服务器确认支付结果
+   * 不会因支付失败或取消而 reject，结果通过 status 区分
+   *
+   * @param {object}  options   createOrder     {function}  是  () => Promise，请求业务服务器创建订单，返回 requestPayment 参数，
+   *                                                            或带有 payment 字段（requestPayment 参数）的订单对象
+   *                            confirm         {function}  否  (order) => Promise，向业务服务器查询订单是否已支付，返回 true 表示已确认，
+   *                                                            返回 false 或抛出异常时按 confirmInterval 继续轮询
+   *                            confirmInterval {number}    否  默认值： 1000  轮询间隔，单位ms
+   *                            confirmTimeout  {number}    否  默认值： 10000  轮询超时时间，单位ms
+   *                            onStatusChange  {function}  否  (status, order) => void，依次通知 creating / paying / confirming 以及最终结果
+   * @returns {Promise}         status  {string}  success 支付成功（有 confirm 时为服务器已确认）
+   *                                              cancel 用户取消支付
+   *                                              fail 创建订单或调起支付失败
+   *                                              unconfirmed 支付完成但 confirmTimeout 内服务器未确认
+   *                            order   {object}  createOrder 的返回值
+   *                            error   {Error}   失败或取消时的错误，调起支付失败时为 RequestError
+   */
+  async pay(options) {
+    return payment.pay(this, options);
+  }
+
+  /**
+   * 调起客户端小程序订阅消息界面，返回用户订阅消息的操作结果，需要在点击事件的回调中调用
+   *
+   * @param {object}  options   tmplIds   {Array.<string>}  是  需要订阅的消息模板的 id 的集合，一次调用最多可订阅 3 条消息
+   *                            complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg    {string}        "requestSubscribeMessage:ok"
+   *                            [TEMPLATE_ID] {string}    accept 同意 / reject 拒绝 / ban 已被后台封禁 / filter 标题同名被过滤
+   */
+  async requestSubscribeMessage(options) {
+    return this.setOption('requestSubscribeMessage', options);
+  }
+
+  /**
+   * 请求订阅消息：结果按状态归类，并记录用户「总是保持以上选择」的决定
+   * 需要在点击事件的回调中同步调用（调用前不能有 await），否则 reject GestureRequiredError
+   * 一次最多请求 3 个模板，超出的模板放在 remaining 中，需要在用户再次点击时调用 subscribe(remaining)
+   * 页面 onLoad 中先调用 getSubscriptionSettings 后，总开关关闭或总是拒绝的模板不会再请求
+   *
+   *    <button bindtap="onSubscribe">订阅发货通知</button>
+   *    onSubscribe() { WeChat.subscribe([TMPL_SHIPPED, TMPL_ARRIVED]).then(({ accepted }) => {}) }
+   *
+   * @param {Array.<string>}  tmplIds   是  模板 id
+   * @param {object}          options   skipRemembered  {boolean}  否  默认值： true  跳过已知总是拒绝或已封禁的模板
+   * @returns {Promise}         accepted  {Array.<string>}  同意的模板
+   *                            rejected  {Array.<string>}  拒绝的模板（含总开关关闭）
+   *                            banned    {Array.<string>}  已被后台封禁的模板
+   *                            filtered  {Array.<string>}  标题同名被过滤的模板
+   *                            statuses  {Object}          模板 id → accept / reject / ban / filter
+   *                            always    {Object}          用户选择了「总是保持」的模板 id → accept / reject / ban
+   *                            remaining {Array.<string>}  超过 3 个而未请求的模板
+   */
+  async subscribe(tmplIds, options) {
+    return this.subscriptions.request(tmplIds, options);
+  }
+
+  /**
+   * 获取订阅消息设置并缓存，供 subscribe 判断「总是保持」的选择
+   *
+   * @returns {Promise}         mainSwitch    {boolean}   订阅消息总开关
+   *                            itemSettings  {Object}    模板 id → accept / reject / ban，只包含用户选择了「总是保持」的模板
+   */
+  async getSubscriptionSettings() {
+    return this.subscriptions.refresh();
+  }
   /**
    * 获取系统信息
    *
@@ -195,6 +554,31 @@ class WeChat {
   async navigateBack(options) {
     return this.setOption('navigateBack', options);
   }
+  /**
+   * 创建路由：按路由表生成带编码参数的 url，tabBar 页面自动 switchTab，页面栈满 maxDepth 时 navigateTo 改为 redirectTo
+   *
+   *    const router = WeChat.createRouter({
+   *      routes: {
+   *        home: { path: '/pages/index/index', tab: true },
+   *        detail: '/pages/detail/detail',
+   *        orders: { path: '/pages/orders/orders', meta: { requiresLogin: true } },
+   *      },
+   *    });
+   *    router.beforeEach(to => (to.meta.requiresLogin && !session.getToken() ? { name: 'login', params: { redirect: to.url } } : true));
+   *    router.push('detail', { id: 1, keyword: '新品' });
+   *    router.back('home');
+   *
+   * @param {object}  options   routes          {Object}    是  路由名称 → 页面路径，或 { path, tab, meta }，tab 为 true 表示 tabBar 页面
+   *                            maxDepth        {number}    否  默认值： 10  页面栈层数上限
+   *                            getCurrentPages {function}  否  默认值： 全局 getCurrentPages  获取页面栈
+   * @returns {Router}          router.push / replace / relaunch(target, params)  target 为路由名称、以 / 开头的路径或 { name, params }
+   *                            router.back(delta / name)  返回多级页面或指定名称的页面
+   *                            router.beforeEach(guard)  跳转（包括 back）前的守卫，返回 false 取消，返回路由名称或 { name, params } 重定向
+   *                            router.current()  当前页面的 name、path、params
+   */
+  createRouter(options) {
+    return new Router(this, options);
+  }
   /**
    * 显示消息提示框
    *
@@ -395,46 +779,111 @@ class WeChat {
    *    因为自定义组件中的 setData 和 triggerEvent 等接口本身是同步的操作，当这几个接口被连续调用时，都是在一个同步流程中执行完的，因此若逻辑不当可能会导致出错。
    *    一个极端的案例：当父组件的 setData 引发了子组件的 triggerEvent，进而使得父组件又进行了一次 setData，期间有通过 wx:if 语句对子组件进行卸载，就有可能引发奇怪的错误，所以对于不需要在一个同步流程内完成的逻辑，可以使用此接口延迟到下一个时间片再执行。
    *
-   * @param {function}  options   回调函数（在当前同步流程结束后，下一个时间片执行）
-   * @returns {Promise}
+   * @param {function}  callback  否  回调函数（在当前同步流程结束后，下一个时间片执行）
+   * @returns {Promise}             下一个时间片 resolve，值为回调函数的返回值
    */
-  async nextTick(options) {
-    return this.setOption('nextTick', options);
+  nextTick(callback) {
+    return new Promise((resolve, reject) => {
+      this.invokeSync('nextTick', () => {
+        try {
+          resolve(typeof callback === 'function' ? callback() : undefined);
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
   }
   /**
-   * 获取菜单按钮（右上角胶囊按钮）的布局位置信息。坐标信息以屏幕左上角为原点。
+   * 获取菜单按钮（右上角胶囊按钮）的布局位置信息。坐标信息以屏幕左上角为原点。同步接口，直接返回结果。
    *
-   * @returns {Promise}         errMsg    {string}        "getMenuButtonBoundingClientRect:ok"
-   *                            width     {number}        宽度，单位：px
+   * @returns {object}          width     {number}        宽度，单位：px
    *                            height    {number}        高度，单位：px
    *                            top       {number}        上边界坐标，单位：px
    *                            right     {number}        右边界坐标，单位：px
    *                            bottom    {number}        下边界坐标，单位：px
    *                            left      {number}        左边界坐标，单位：px
    */
-  async getMenuButtonBoundingClientRect() {
-    return this.setOption('getMenuButtonBoundingClientRect');
+  getMenuButtonBoundingClientRect() {
+    return this.invokeSync('getMenuButtonBoundingClientRect');
+  }
+  /**
+   * 获取自定义导航栏（navigationStyle: custom）的布局，系统信息只读取一次并缓存，窗口尺寸变化时自动重新计算
+   * 胶囊按钮位置无效（全 0、超出窗口等）时按 iOS / Android 的默认尺寸推算，并返回 fallback: true
+   *
+   * @param {object}  options   refresh   {boolean}   否  默认值： false  重新读取系统信息与胶囊按钮位置
+   * @returns {object}          statusBarHeight {number}    状态栏高度，单位：px
+   *                            navBarHeight    {number}    导航栏高度（不含状态栏），单位：px
+   *                            totalHeight     {number}    状态栏与导航栏的总高度，单位：px
+   *                            capsuleGap      {number}    胶囊按钮与状态栏的间距，单位：px
+   *                            capsuleMargin   {number}    胶囊按钮与窗口右边缘的间距，单位：px
+   *                            contentWidth    {number}    胶囊按钮左侧可用的宽度（两侧各留出 capsuleMargin），单位：px
+   *                            menuButton      {Object}    胶囊按钮的位置，同 getMenuButtonBoundingClientRect
+   *                            safeAreaInsets  {Object}    安全区域与屏幕边缘的距离 top、right、bottom、left，单位：px
+   *                            windowWidth     {number}    窗口宽度，单位：px
+   *                            windowHeight    {number}    窗口高度，单位：px
+   *                            os              {string}    ios / android
+   *                            fallback        {boolean}   胶囊按钮位置为推算值时为 true
+   */
+  getNavBarMetrics(options) {
+    return this.navBar.metrics(options);
+  }
+  /**
+   * 监听自定义导航栏布局的变化（如 iPad 旋转、分屏）
+   *
+   * @param {function}  listener  是  (metrics) => void，参数同 getNavBarMetrics 的返回值
+   * @returns {function}          取消监听的函数
+   */
+  onNavBarMetricsChange(listener) {
+    return this.navBar.onChange(listener);
   }
   /**
    * 监听窗口尺寸变化事件
    *
-   * @param {function}  options   窗口尺寸变化事件的回调函数
-   * @returns {Promise}         errMsg        {string}    "getMenuButtonBoundingClientRect:ok"
+   * @param {function}  listener  否  窗口尺寸变化事件的回调函数，参数：
    *                            size          {Object}    窗口尺寸
    *                            windowWidth   {number}    变化后的窗口宽度，单位 px
    *                            windowHeight  {number}    变化后的窗口高度，单位 px
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async onWindowResize(options) {
-    return this.setOption('onWindowResize', options);
+  onWindowResize(listener) {
+    return this.listen('onWindowResize', listener);
   }
   /**
    * 取消监听窗口尺寸变化事件
    *
-   * @param {function}  options   窗口尺寸变化事件的回调函数
-   * @returns {Promise}
+   * @param {function}  listener  是  传给 onWindowResize 的窗口尺寸变化事件的回调函数
+   */
+  offWindowResize(listener) {
+    return this.unlisten('onWindowResize', listener);
+  }
+  /**
+   * 获取网络类型
+   *
+   * @param {object}  options   complete  {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg        {string}    "getNetworkType:ok"
+   *                            networkType   {string}    网络类型（wifi / 2g / 3g / 4g / 5g / unknown / none）
+   */
+  async getNetworkType(options) {
+    return this.setOption('getNetworkType', options);
+  }
+  /**
+   * 监听网络状态变化事件
+   *
+   * @param {function}  listener  否  网络状态变化事件的回调函数，参数：
+   *                            isConnected   {boolean}   当前是否有网络连接
+   *                            networkType   {string}    网络类型
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async offWindowResize(options) {
-    return this.setOption('offWindowResize', options);
+  onNetworkStatusChange(listener) {
+    return this.listen('onNetworkStatusChange', listener);
+  }
+  /**
+   * 取消监听网络状态变化事件
+   *
+   * @param {function}  listener  是  传给 onNetworkStatusChange 的网络状态变化事件的回调函数
+   */
+  offNetworkStatusChange(listener) {
+    return this.unlisten('onNetworkStatusChange', listener);
   }
   /**
    * 发起 HTTPS 网络请求
@@ -471,70 +920,155 @@ class WeChat {
    *                            method          {string}    否  默认值： GET   HTTP 请求方法（可选值：OPTIONS / GET / HEAD / POST / PUT / DELETE / TRACE / CONNECT）
    *                            dataType        {string}    否  默认值： json  返回的数据格式（可选值：json 返回的数据为 JSON，返回后会对返回的数据进行一次 JSON.parse；其他 不对返回的内容进行 JSON.parse）
    *                            responseType    {string}    否  默认值： text  响应的数据类型（可选值：text  响应的数据为文本；arraybuffer 响应的数据为 ArrayBuffer）
+   *                            validateStatus  {boolean/function}  否  默认值：构造参数中的 validateStatus  为 true 时非 2xx 状态码会 reject HttpError；
+   *                                                                     为函数时以 validateStatus(statusCode) 的返回值判断是否成功
+   *                            cancelToken     {CancelToken}  否  取消令牌，取消后中断请求并 reject CancelError
+   *                            signal          {object}    否  AbortSignal 风格的取消信号（aborted、addEventListener('abort')）
+   *                            onHeadersReceived {function}  否  监听 HTTP Response Header 事件
+   *                            priority        {number}    否  默认值： 0  超出并发限制排队时的优先级，数值越大越先发出（如用户可见的请求高于预加载）
+   *                            retry           {boolean/number/object}  否  默认值：构造参数中的 retry  失败重试策略，false 关闭，数字表示最大尝试次数
+   *                                                maxAttempts     {number}    默认值： 3      最大尝试次数（含第一次）
+   *                                                baseDelay       {number}    默认值： 300    首次重试前的等待时间，单位ms，之后按 factor 指数增长
+   *                                                maxDelay        {number}    默认值： 10000  等待时间上限，单位ms
+   *                                                factor          {number}    默认值： 2      退避倍数
+   *                                                jitter          {number}    默认值： 0.5    随机抖动比例（0～1），等待时间在 [delay * (1 - jitter), delay] 之间
+   *                                                idempotentOnly  {boolean}   默认值： true   只对幂等方法（GET / HEAD / OPTIONS / PUT / DELETE / TRACE）重试
+   *                                                methods         {Array.<string>}            idempotentOnly 时允许重试的方法
+   *                                                retryOn         {function}  (error, attempt) => boolean  默认对超时、中断、网络错误以及 408/429/5xx 重试，抛出异常时不重试
+   *                                                onAttempt       {function}  每次尝试结束后回调 { api, attempt, options, response, error, willRetry, delay }
+   *                            cache           {boolean/object}  否  仅对 GET 生效，开启后相同 url + data 的请求命中缓存，并发的相同请求只发出一次
+   *                                                maxAge                {number}    默认值： 60000  缓存有效期，单位ms
+   *                                                staleWhileRevalidate  {number}    默认值： 0      过期后仍可先返回旧数据并在后台刷新的时长，单位ms
+   *                                                onUpdate              {function}  后台刷新成功后的回调，参数为新的响应
+   *                                                persist               {boolean}   默认值： false  是否同时写入本地缓存，重启小程序后仍可命中
+   *                                                key                   {string}    自定义缓存 key，默认为 url 或 url?data，dataType、responseType 不是默认值时附加在 # 之后
+   *                                            缓存 key 与 validateStatus 都相同的并发请求才合并，cancelToken、signal 只取消当前调用方，全部调用方都取消后才中断请求
+   *                            offline         {boolean/object}  否  仅对 POST / PUT / DELETE 生效，没有网络或因网络原因失败时写入离线队列，网络恢复后按顺序重放，
+   *                                            resolve { queued: true, id, idempotencyKey }，请求 header 中携带幂等 key（见 OfflineQueue）
+   *                                                key                   {string}    幂等 key，默认自动生成
+   *                            telemetry       {boolean}   否  为 false 时本次调用不生成埋点事件（见构造参数 telemetry）
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
-   * @returns {Promise}         errMsg          {string}        "request:ok"
+   * @returns {Promise}         promise.task    {RequestTask}   当前这次尝试的请求任务对象，排队期间为 undefined（开启 cache、offline 时不提供）
+   *                            promise.abort   {function}      取消请求，reject CancelError（开启 cache 时只取消当前调用方，合并的其他调用方不受影响；开启 offline 时不提供）
+   *                            fromCache       {boolean}       结果来自缓存时为 true
+   *                            errMsg          {string}        "request:ok"
    *                            data            {string/Object/Arraybuffer} 服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    *                            header          {Object}        服务器返回的 HTTP Response Header
+   * @throws {HttpError}        开启 validateStatus 且状态码校验不通过，包含 statusCode、header、data、options
+   * @throws {RequestError}     进入 fail 回调（超时、中断、域名不合法等），包含 errMsg、type、reason
+   * @throws {CancelError}      请求被取消
    */
-  async request(options) {
-    return this.setOption('request', options);
+  request(options = {}) {
+    const { cache, offline, ...params } = options;
+    const method = (params.method || 'GET').toUpperCase();
+    if (cache && method === 'GET') {
+      return this.cache.request(params, cache, shared => network.send(this, 'request', shared));
+    }
+    if (offline && ['POST', 'PUT', 'DELETE'].indexOf(method) !== -1) {
+      return this.offline.request(params, offline);
+    }
+    return network.send(this, 'request', params);
   }
   /**
    * 发起 HTTPS GET 网络请求
    * @param {string} url                          是  服务器接口地址
    * @param {string/object/ArrayBuffer} data      否  请求的参数  
    * @param {Object} header                       否  设置请求的 header，header 中不能设置 Referer。content-type 默认为 application/json
+   * @param {object} options                      否  其他 request 参数，如 validateStatus、cancelToken、cache
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "request:ok"
    *                            data            {string/Object/Arraybuffer} 服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    *                            header          {Object}        服务器返回的 HTTP Response Header
    */
-  async get(url = '', data = {}, header) {
-    return this.setOption('request', Object.assign({}, { method: 'GET', url, data, header }));
+  get(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'GET', url, data, header }));
   }
   /**
    * 发起 HTTPS POST 网络请求
    * @param {string} url                          是  服务器接口地址
    * @param {string/object/ArrayBuffer} data      否  请求的参数  
    * @param {Object} header                       否  设置请求的 header，header 中不能设置 Referer。content-type 默认为 application/json
+   * @param {object} options                      否  其他 request 参数，如 validateStatus、cancelToken
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "request:ok"
    *                            data            {string/Object/Arraybuffer} 服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    *                            header          {Object}        服务器返回的 HTTP Response Header
    */
-  async post(url = '', data = {}, header) {
-    return this.setOption('request', Object.assign({}, { method: 'POST', url, data, header }));
+  post(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'POST', url, data, header }));
   }
   /**
    * 发起 HTTPS PUT 网络请求
    * @param {string} url                          是  服务器接口地址
    * @param {string/object/ArrayBuffer} data      否  请求的参数  
    * @param {Object} header                       否  设置请求的 header，header 中不能设置 Referer。content-type 默认为 application/json
+   * @param {object} options                      否  其他 request 参数，如 validateStatus、cancelToken
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "request:ok"
    *                            data            {string/Object/Arraybuffer} 服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    *                            header          {Object}        服务器返回的 HTTP Response Header
    */
-  async put(url = '', data = {}, header) {
-    return this.setOption('request', Object.assign({}, { method: 'PUT', url, data, header }));
+  put(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'PUT', url, data, header }));
   }
   /**
    * 发起 HTTPS DELETE 网络请求
    * @param {string} url                          是  服务器接口地址
    * @param {string/object/ArrayBuffer} data      否  请求的参数  
    * @param {Object} header                       否  设置请求的 header，header 中不能设置 Referer。content-type 默认为 application/json
+   * @param {object} options                      否  其他 request 参数，如 validateStatus、cancelToken
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "request:ok"
    *                            data            {string/Object/Arraybuffer} 服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    *                            header          {Object}        服务器返回的 HTTP Response Header
    */
-  async delete(url = '', data = {}, header) {
-    return this.setOption('request', Object.assign({}, { method: 'DELETE', url, data, header }));
+  delete(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'DELETE', url, data, header }));
+  }
+  /**
+   * 创建请求客户端，统一配置接口地址前缀、默认 header，并支持请求/响应拦截器
+   *
+   * @param {object}  config    baseURL   {string}    否  接口地址前缀，请求 url 为绝对地址时忽略
+   *                            headers   {Object}    否  默认请求 header，会与每次请求的 header 合并
+   *                            timeout   {number}    否  超时时间，单位ms
+   *                            session   {Session}   否  createSession 创建的登录态，自动携带 token 并在 401 时重新登录后重放请求
+   *                            loading   {boolean/string}    否  请求期间显示 loading（多个请求共用一个，全部结束后关闭），为字符串时作为提示内容，单次请求可传 false 关闭
+   *                            errorToast  {boolean/function}  否  请求失败时显示 toast，为函数时 (error) => string 返回提示内容，取消的请求不提示
+   * @returns {HttpClient}      client.interceptors.request.use(config => config)
+   *                            client.interceptors.response.use(res => res.data)
+   */
+  create(config) {
+    return new HttpClient(this, config);
+  }
+  /**
+   * 创建登录态管理：checkSession → login → 用 code 换取业务 token → 缓存
+   *
+   * @param {object}  options   exchangeCode        {function}  是  (code) => Promise，向业务服务器换取 token，返回 token 或 { token, expiresIn }
+   *                            storageKey          {string}    否  默认值： 'mp-wx-sdk:session'  token 缓存的 key
+   *                            header              {string}    否  默认值： 'Authorization'  携带 token 的 header 名称
+   *                            formatToken         {function}  否  默认值： token => 'Bearer ' + token  header 的值
+   *                            unauthorizedStatus  {number/Array.<number>}  否  默认值： 401  需要重新登录并重放请求的状态码
+   * @returns {Session}         session.check()   校验并刷新登录态
+   *                            session.ensure()  获取 token，没有时自动登录
+   *                            session.clear()   清除登录态
+   */
+  createSession(options) {
+    return new Session(this, options);
+  }
+  /**
+   * 获取网络请求队列状态（request、uploadFile、downloadFile 共享）
+   *
+   * @returns {object}          concurrency     {number}        最大并发数
+   *                            inFlight        {number}        正在进行的调用数
+   *                            pending         {number}        排队中的调用数
+   */
+  getQueueStats() {
+    return this.scheduler.stats();
   }
 
   /**
@@ -545,13 +1079,34 @@ class WeChat {
    * @param {object}  options   url             {string}    是  服务器接口地址
    *                            header          {Object}    否  HTTP 请求的 Header，Header 中不能设置 Referer  
    *                            filePath        {string}    否  指定文件下载后存储的路径
+   *                            validateStatus  {boolean/function}  否  状态码校验，同 request
+   *                            cancelToken     {CancelToken}  否  取消令牌，同 request
+   *                            signal          {object}    否  取消信号，同 request
+   *                            onProgressUpdate  {function}  否  监听下载进度变化事件
+   *                            priority        {number}    否  排队优先级，同 request
+   *                            onHeadersReceived {function}  否  监听 HTTP Response Header 事件
+   *                            retry           {boolean/number/object}  否  失败重试策略，同 request
+   *                            cache           {boolean/object}  否  开启后 2xx 的下载结果保存到用户目录，相同 url 再次下载时直接返回本地文件，
+   *                                            总大小超过上限时删除最久未使用的文件（见 DownloadCache），开启时不支持 filePath；
+   *                                            相同 url 且 header、timeout、validateStatus 都相同的并发下载只发出一次，cancelToken、signal 与 abort 只取消当前调用方
+   *                                                maxAge                {number}    默认值：构造参数 downloadCache 中的 maxAge  缓存有效期，单位ms，0 表示不过期
+   *                                                key                   {string}    自定义缓存 key，默认为 url
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
-   * @returns {Promise}         errMsg          {string}        "downloadFile:ok"
-   *                            tempFilePath    {string}        临时文件路径。如果没传入 filePath 指定文件存储路径，则下载后的文件会存储到一个临时文件
+   * @returns {Promise}         promise.task    {DownloadTask}  下载任务对象（开启 cache 时为合并后共享的任务，命中缓存时为 undefined）
+   *                            promise.abort   {function}      取消下载，reject CancelError（开启 cache 时只取消当前调用方）
+   *                            fromCache       {boolean}       开启 cache 时，结果来自缓存为 true
+   *                            errMsg          {string}        "downloadFile:ok"
+   *                            tempFilePath    {string}        临时文件路径。如果没传入 filePath 指定文件存储路径，则下载后的文件会存储到一个临时文件；
+   *                                                            开启 cache 时为缓存目录中的文件路径
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    */
-  async downloadFile(options) {
-    return this.setOption('downloadFile', options);
+  downloadFile(options = {}) {
+    const { cache, ...params } = options;
+    if (cache) {
+      delete params.filePath;
+      return this.downloads.download(params, cache, shared => network.send(this, 'downloadFile', shared));
+    }
+    return network.send(this, 'downloadFile', params);
   }
   /**
    * 将本地资源上传到服务器。客户端发起一个 HTTPS POST 请求，其中 content-type 为 multipart/form-data。
@@ -561,13 +1116,53 @@ class WeChat {
    *                            name            {string}    是  文件对应的 key，在服务端可以通过这个 key 获取文件的二进制内容
    *                            header          {Object}    否  HTTP 请求的 Header，Header 中不能设置 Referer  
    *                            formData        {Object}    否  HTTP 请求中其他额外的 form data
+   *                            validateStatus  {boolean/function}  否  状态码校验，同 request
+   *                            cancelToken     {CancelToken}  否  取消令牌，同 request
+   *                            signal          {object}    否  取消信号，同 request
+   *                            onProgressUpdate  {function}  否  监听上传进度变化事件
+   *                            priority        {number}    否  排队优先级，同 request
+   *                            onHeadersReceived {function}  否  监听 HTTP Response Header 事件
+   *                            retry           {boolean/number/object}  否  失败重试策略，同 request（uploadFile 为 POST，需关闭 idempotentOnly 才会重试）
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
-   * @returns {Promise}         errMsg          {string}        "uploadFile:ok"
+   * @returns {Promise}         promise.task    {UploadTask}    上传任务对象
+   *                            promise.abort   {function}      取消上传，reject CancelError
+   *                            errMsg          {string}        "uploadFile:ok"
    *                            data            {string}        服务器返回的数据
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    */
-  async uploadFile(options) {
-    return this.setOption('uploadFile', options);
+  uploadFile(options) {
+    return network.send(this, 'uploadFile', options);
+  }
+  /**
+   * 创建分片上传任务，适合视频等大文件：分片并发上传、失败重试、中断或重启后续传
+   *
+   *    const uploader = WeChat.createUploader({
+   *      filePath: tempFilePath,
+   *      init: ({ size, chunkCount }) => api.post('/uploads', { size, chunkCount }).then(res => res.data),
+   *      part: (chunk, session) => ({ url: `${HOST}/uploads/${session.uploadId}/${chunk.index}`, name: 'file' }),
+   *      complete: ({ session, parts }) => api.post(`/uploads/${session.uploadId}/complete`, { parts }),
+   *      onProgress: ({ progress }) => {},
+   *    });
+   *    await uploader.start();
+   *
+   * @param {object}  options   filePath    {string}    是  要上传的本地文件路径
+   *                            part        {function}  是  (chunk, session) => object/Promise，返回分片的 uploadFile 参数（url、name、header、formData），
+   *                                                        chunk 包含 index、start、end、size
+   *                            init        {function}  否  ({ filePath, size, chunkSize, chunkCount }) => Promise，创建上传会话，返回值作为 session 缓存
+   *                            complete    {function}  否  ({ session, parts, filePath, size }) => Promise，全部分片上传后调用，parts 为按 index 排序的 { index, data }，
+   *                                                        data 为分片 uploadFile 返回的 data
+   *                            chunkSize   {number}    否  默认值： 2097152  分片大小，单位B
+   *                            concurrency {number}    否  默认值： 3  同时上传的分片数，同时受 concurrency 全局并发限制
+   *                            retry       {boolean/number/object}  否  默认值： { maxAttempts: 3, idempotentOnly: false }  分片失败重试策略，同 request
+   *                            key         {string}    否  默认值： filePath + 文件大小  上传进度缓存的 key，小程序重启后临时路径变化时需要传入
+   *                            ttl         {number}    否  默认值： 604800000  上传进度的缓存时间，单位ms
+   *                            onProgress  {function}  否  ({ progress, uploadedBytes, totalBytes }) => void，整体上传进度
+   * @returns {ChunkedUploader} uploader.start()  开始或继续上传，resolve complete 的返回值
+   *                            uploader.pause()  暂停，已上传的分片保留，start() reject CancelError
+   *                            uploader.cancel() 取消并删除上传进度
+   */
+  createUploader(options) {
+    return new ChunkedUploader(this, options);
   }
   /**
    * 创建一个 WebSocket 连接
@@ -586,42 +1181,38 @@ class WeChat {
   /**
    * 监听 WebSocket 连接打开事件
    *
-   * @param {function}  options   WebSocket 连接打开事件的回调函数
-   * @returns {Promise}           errMsg          {string}        "onSocketOpen:ok"
-   *                              header          {object}        连接成功的 HTTP 响应 Header
+   * @param {function}  listener  否  WebSocket 连接打开事件的回调函数
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async onSocketOpen(options) {
-    return this.setOption('onSocketOpen', options);
+  onSocketOpen(listener) {
+    return this.listen('onSocketOpen', listener);
   }
   /**
    * 监听 WebSocket 连接关闭事件
    *
-   * @param {function}  options   WebSocket 连接打开事件的回调函数
-   * @returns {Promise}           errMsg          {string}        "onSocketClose:ok"
-   *                              header          {object}        连接成功的 HTTP 响应 Header
+   * @param {function}  listener  否  WebSocket 连接关闭事件的回调函数
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async onSocketClose(options) {
-    return this.setOption('onSocketClose', options);
+  onSocketClose(listener) {
+    return this.listen('onSocketClose', listener);
   }
   /**
    * 监听 WebSocket 接受到服务器的消息事件
    *
-   * @param {function}  options   WebSocket 连接打开事件的回调函数
-   * @returns {Promise}           errMsg          {string}        "onSocketMessage:ok"
-   *                              header          {object}        连接成功的 HTTP 响应 Header
+   * @param {function}  listener  否  WebSocket 接受到服务器的消息事件的回调函数
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async onSocketMessage(options) {
-    return this.setOption('onSocketMessage', options);
+  onSocketMessage(listener) {
+    return this.listen('onSocketMessage', listener);
   }
   /**
    * 监听 WebSocket 错误事件
    *
-   * @param {function}  options   WebSocket 连接打开事件的回调函数
-   * @returns {Promise}           errMsg          {string}        "onSocketError:ok"
-   *                              header          {object}        连接成功的 HTTP 响应 Header
+   * @param {function}  listener  否  WebSocket 错误事件的回调函数
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
    */
-  async onSocketError(options) {
-    return this.setOption('onSocketError', options);
+  onSocketError(listener) {
+    return this.listen('onSocketError', listener);
   }
   /**
    * 通过 WebSocket 连接发送数据。需要先 wx.connectSocket，并在 wx.onSocketOpen 回调之后才能发送。
@@ -646,17 +1237,165 @@ class WeChat {
   async closeSocket(options) {
     return this.setOption('closeSocket', options);
   }
+  /**
+   * 创建 WebSocket 客户端。基于 connectSocket 返回的 SocketTask，可同时存在多个连接，
+   * 支持断线重连、心跳、连接建立前的消息排队与 JSON 编解码
+   *
+   * @param {object}  options   url         {string}          是  服务器 wss 接口地址
+   *                            header      {Object}          否  HTTP 请求的 Header
+   *                            protocols   {Array.<string>}  否  子协议数组
+   *                            json        {boolean}         否  默认值： true   自动 JSON 编解码
+   *                            reconnect   {boolean/object}  否  默认值： true   断线重连策略，见 SocketClient
+   *                            heartbeat   {boolean/object}  否  默认值： false  心跳配置，见 SocketClient
+   * @returns {SocketClient}    socket.connect() / socket.send(data) / socket.close()
+   *                            socket.on('open' / 'message' / 'close' / 'error' / 'reconnect', fn)
+   *                            for await (const data of socket) {}
+   */
+  createSocket(options) {
+    return new SocketClient(this, options);
+  }
+  /**
+   * 获取当前的地理位置、速度，默认先获取 scope.userLocation 授权
+   * 注意：
+   *    需要在 app.json 中声明 permission.scope.userLocation 与 requiredPrivateInfos
+   *
+   * @param {object}  options   type            {string}    否  默认值： wgs84  wgs84 返回 gps 坐标，gcj02 返回可用于 wx.openLocation 的坐标
+   *                            altitude        {boolean}   否  默认值： false  传入 true 会返回高度信息，由于获取高度需要较高精确度，会减慢接口返回速度
+   *                            isHighAccuracy  {boolean}   否  默认值： false  开启高精度定位
+   *                            highAccuracyExpireTime {number}  否  高精度定位超时时间(ms)，指定时间内返回最高精度，该值3000ms以上高精度定位才有效果
+   *                            ensureScope     {boolean/object}  否  默认值： true  先通过 ensureScope 获取授权，未授权 reject ScopeDeniedError，传入 false 跳过
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "getLocation:ok"
+   *                            latitude        {number}        纬度，范围为 -90~90，负数表示南纬
+   *                            longitude       {number}        经度，范围为 -180~180，负数表示西经
+   *                            speed           {number}        速度，单位 m/s
+   *                            accuracy        {number}        位置的精确度
+   *                            altitude        {number}        高度，单位 m
+   *                            verticalAccuracy    {number}    垂直精度，单位 m（Android 无法获取，返回 0）
+   *                            horizontalAccuracy  {number}    水平精度，单位 m
+   */
+  async getLocation(options = {}) {
+    const { ensureScope = true, ...params } = options;
+    if (ensureScope) {
+      await authorize.requireScope(this, 'scope.userLocation', ensureScope);
+    }
+    return this.setOption('getLocation', params);
+  }
+  /**
+   * 打开地图选择位置，默认先获取 scope.userLocation 授权
+   *
+   * @param {object}  options   latitude        {number}    否  目标地纬度
+   *                            longitude       {number}    否  目标地经度
+   *                            ensureScope     {boolean/object}  否  默认值： true  同 getLocation
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "chooseLocation:ok"
+   *                            name            {string}        位置名称
+   *                            address         {string}        详细地址
+   *                            latitude        {number}        纬度，浮点数，范围为-90~90，负数表示南纬。使用 gcj02 国测局坐标系
+   *                            longitude       {number}        经度，浮点数，范围为-180~180，负数表示西经。使用 gcj02 国测局坐标系
+   */
+  async chooseLocation(options = {}) {
+    const { ensureScope = true, ...params } = options;
+    if (ensureScope) {
+      await authorize.requireScope(this, 'scope.userLocation', ensureScope);
+    }
+    return this.setOption('chooseLocation', params);
+  }
+  /**
+   * 使用微信内置地图查看位置
+   *
+   * @param {object}  options   latitude        {number}    是  纬度，范围为-90~90，负数表示南纬。使用 gcj02 国测局坐标系
+   *                            longitude       {number}    是  经度，范围为-180~180，负数表示西经。使用 gcj02 国测局坐标系
+   *                            scale           {number}    否  默认值： 18  缩放比例，范围5~18
+   *                            name            {string}    否  位置名
+   *                            address         {string}    否  地址的详细说明
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "openLocation:ok"
+   */
+  async openLocation(options) {
+    return this.setOption('openLocation', options);
+  }
+  /**
+   * 开启小程序进入前台时接收位置消息
+   *
+   * @param {object}  options   complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "startLocationUpdate:ok"
+   */
+  async startLocationUpdate(options) {
+    return this.setOption('startLocationUpdate', options);
+  }
+  /**
+   * 开启小程序进入前后台时均接收位置消息，需要用户授权 scope.userLocationBackground
+   *
+   * @param {object}  options   complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "startLocationUpdateBackground:ok"
+   */
+  async startLocationUpdateBackground(options) {
+    return this.setOption('startLocationUpdateBackground', options);
+  }
+  /**
+   * 关闭监听实时位置变化，前后台都停止消息接收
+   *
+   * @param {object}  options   complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "stopLocationUpdate:ok"
+   */
+  async stopLocationUpdate(options) {
+    return this.setOption('stopLocationUpdate', options);
+  }
+  /**
+   * 监听实时地理位置变化事件，需结合 startLocationUpdate 使用
+   *
+   * @param {function}  listener  否  实时地理位置变化事件的回调函数，参数：
+   *                            latitude      {number}    纬度，范围为 -90~90，负数表示南纬，gcj02 国测局坐标系
+   *                            longitude     {number}    经度，范围为 -180~180，负数表示西经，gcj02 国测局坐标系
+   *                            speed         {number}    速度，单位 m/s
+   *                            accuracy      {number}    位置的精确度
+   * @returns {function/AsyncIterator}  传入 listener 时返回取消监听的函数，否则返回事件的异步迭代器
+   */
+  onLocationChange(listener) {
+    return this.listen('onLocationChange', listener);
+  }
+  /**
+   * 取消监听实时地理位置变化事件
+   *
+   * @param {function}  listener  是  传给 onLocationChange 的实时地理位置变化事件的回调函数
+   */
+  offLocationChange(listener) {
+    return this.unlisten('onLocationChange', listener);
+  }
+  /**
+   * 持续定位：获取授权 → startLocationUpdate → onLocationChange，多个监听共用一次定位，全部停止后 stopLocationUpdate
+   *
+   *    const stop = await WeChat.watchLocation(position => {}, { interval: 5000, distance: 20 });
+   *    await stop();
+   *
+   * @param {function}  listener  是  (position) => void，参数同 onLocationChange
+   * @param {object}    options   interval      {number}    否  默认值： 0  最短回调间隔，单位ms
+   *                              distance      {number}    否  默认值： 0  移动距离小于该值时不回调，单位m
+   *                              type          {string}    否  默认值： gcj02  回调的坐标系，wgs84 时自动转换
+   *                              background    {boolean}   否  默认值： false  使用 startLocationUpdateBackground，首次由微信弹出后台定位授权，曾拒绝 scope.userLocationBackground 时引导打开设置页
+   *                              ensureScope   {boolean/object}  否  默认值： true  同 getLocation
+   * @returns {Promise}           resolve 停止监听的函数
+   */
+  async watchLocation(listener, options) {
+    return this.locationTracker.watch(listener, options);
+  }
   /**
    * 保存图片到系统相册
    * 调用前需要 用户授权 scope.writePhotosAlbum
    *
    * @param {object}  options   filePath        {string}    是  图片文件路径，可以是临时文件路径或永久文件路径，不支持网络图片路径
+   *                            ensureScope     {boolean/object}  否  为 true 或 { rationale } 时先通过 ensureScope 获取授权，未授权 reject ScopeDeniedError
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "saveImageToPhotosAlbum:ok"
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    */
-  async saveImageToPhotosAlbum(options) {
-    return this.setOption('saveImageToPhotosAlbum', options);
+  async saveImageToPhotosAlbum(options = {}) {
+    const { ensureScope, ...params } = options;
+    if (ensureScope) {
+      await authorize.requireScope(this, 'scope.writePhotosAlbum', ensureScope);
+    }
+    return this.setOption('saveImageToPhotosAlbum', params);
   }
   /**
    * 在新页面中全屏预览图片
@@ -713,12 +1452,210 @@ class WeChat {
    * @param {object}  options   count           {number}          否  默认值：9                           最多可以选择的图片张数
    *                            sizeType        {Array.<string>}  否  默认值：['original', 'compressed']  所选的图片的尺寸
    *                            sourceType      {Array.<string>}  否  默认值：['album', 'camera']         选择图片的来源
+   *                            ensureScope     {boolean/object}  否  为 true 或 { rationale } 且只能拍照（sourceType 为 ['camera']）时先获取 scope.camera 授权，
+   *                                                                  未授权 reject ScopeDeniedError
    *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
    * @returns {Promise}         errMsg          {string}        "chooseImage:ok"
    *                            statusCode      {number}        服务器返回的 HTTP 状态码
    */
-  async chooseImage(options) {
-    return this.setOption('chooseImage', options);
+  async chooseImage(options = {}) {
+    const { ensureScope, ...params } = options;
+    const sourceType = params.sourceType || ['album', 'camera'];
+    if (ensureScope && sourceType.length === 1 && sourceType[0] === 'camera') {
+      await authorize.requireScope(this, 'scope.camera', ensureScope);
+    }
+    return this.setOption('chooseImage', params);
+  }
+  /**
+   * 选择图片并上传：chooseImage（或 chooseMessageFile）→ getImageInfo → 超出 maxSize / maxWidth 时 compressImage → 并发 uploadFile
+   * 单张图片失败不影响其他图片
+   *
+   *    const results = await WeChat.pickAndUploadImages({
+   *      count: 3,
+   *      maxSize: 1024 * 1024,
+   *      maxWidth: 1280,
+   *      upload: image => ({ url: `${HOST}/images`, formData: { width: image.width } }),
+   *    });
+   *    const urls = results.filter(item => item.ok).map(item => JSON.parse(item.response.data).url);
+   *
+   * @param {object}  options   upload      {function}  是  (image) => object/Promise，返回 uploadFile 参数（url、name、header、formData），name 默认为 'file'
+   *                            count       {number}    否  默认值： 9  最多可以选择的图片张数
+   *                            maxSize     {number}    否  超过该大小（单位B）的图片会被压缩
+   *                            maxWidth    {number}    否  宽度超过该值（单位px）的图片会被压缩到该宽度
+   *                            quality     {number}    否  默认值： 80  压缩质量，范围0～100（仅对jpg有效）
+   *                            concurrency {number}    否  默认值： 3  同时上传的图片数
+   *                            retry       {boolean/number/object}  否  上传失败重试策略，同 request
+   *                            source      {string}    否  默认值： 'chooseImage'  图片来源（可选值：chooseImage / chooseMessageFile 从聊天记录选择）
+   *                            sizeType / sourceType / ensureScope  同 chooseImage，source 为 chooseImage 时有效
+   * @returns {Promise}         Array.<object>，按选择顺序排列，用户取消选择时为空数组
+   *                            ok          {boolean}       是否上传成功
+   *                            index       {number}        选择的顺序
+   *                            path        {string}        选择的图片路径
+   *                            filePath    {string}        实际上传的路径，压缩后为压缩图片的路径
+   *                            size        {number}        选择的图片大小，单位B
+   *                            width       {number}        图片原始宽度，单位px
+   *                            height      {number}        图片原始高度，单位px
+   *                            compressed  {boolean}       是否经过压缩
+   *                            response    {object}        uploadFile 的返回值
+   *                            error       {Error}         失败时的错误
+   */
+  async pickAndUploadImages(options) {
+    return images.pickAndUploadImages(this, options);
+  }
+  /**
+   * 将数据存储在本地缓存中指定的 key 中。会覆盖掉原来该 key 对应的内容。
+   * 单个 key 允许存储的最大数据长度为 1MB，所有数据存储上限为 10MB。
+   *
+   * @param {object}  options   key             {string}    是  本地缓存中指定的 key
+   *                            data            {any}       是  需要存储的内容。只支持原生类型、Date、及能够通过JSON.stringify序列化的对象。
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "setStorage:ok"
+   */
+  async setStorage(options) {
+    return this.setOption('setStorage', options);
+  }
+  /**
+   * 从本地缓存中异步获取指定 key 的内容
+   *
+   * @param {object}  options   key             {string}    是  本地缓存中指定的 key
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "getStorage:ok"
+   *                            data            {any}           key对应的内容
+   */
+  async getStorage(options) {
+    return this.setOption('getStorage', options);
+  }
+  /**
+   * 从本地缓存中移除指定 key
+   *
+   * @param {object}  options   key             {string}    是  本地缓存中指定的 key
+   *                            complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "removeStorage:ok"
+   */
+  async removeStorage(options) {
+    return this.setOption('removeStorage', options);
+  }
+  /**
+   * 异步获取当前storage的相关信息
+   *
+   * @param {object}  options   complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}          "getStorageInfo:ok"
+   *                            keys            {Array.<string>}  当前 storage 中所有的 key
+   *                            currentSize     {number}          当前占用的空间大小, 单位 KB
+   *                            limitSize       {number}          限制的空间大小，单位 KB
+   */
+  async getStorageInfo(options) {
+    return this.setOption('getStorageInfo', options);
+  }
+  /**
+   * 清理本地数据缓存
+   *
+   * @param {object}  options   complete        {function}  否  接口调用结束的回调函数（调用成功、失败都会执行）
+   * @returns {Promise}         errMsg          {string}        "clearStorage:ok"
+   */
+  async clearStorage(options) {
+    return this.setOption('clearStorage', options);
+  }
+  /**
+   * setStorage 的同步版本
+   *
+   * @param {string}  key       是  本地缓存中指定的 key
+   * @param {any}     data      是  需要存储的内容
+   */
+  setStorageSync(key, data) {
+    return this.invokeSync('setStorageSync', key, data);
+  }
+  /**
+   * getStorage 的同步版本
+   *
+   * @param {string}  key       是  本地缓存中指定的 key
+   * @returns {any}             key对应的内容
+   */
+  getStorageSync(key) {
+    return this.invokeSync('getStorageSync', key);
+  }
+  /**
+   * removeStorage 的同步版本
+   *
+   * @param {string}  key       是  本地缓存中指定的 key
+   */
+  removeStorageSync(key) {
+    return this.invokeSync('removeStorageSync', key);
+  }
+  /**
+   * getStorageInfo 的同步版本
+   *
+   * @returns {object}          keys            {Array.<string>}  当前 storage 中所有的 key
+   *                            currentSize     {number}          当前占用的空间大小, 单位 KB
+   *                            limitSize       {number}          限制的空间大小，单位 KB
+   */
+  getStorageInfoSync() {
+    return this.invokeSync('getStorageInfoSync');
+  }
+  /**
+   * clearStorage 的同步版本
+   */
+  clearStorageSync() {
+    return this.invokeSync('clearStorageSync');
   }
 }
+
+/**
+ * 不会被自动封装的属性，避免实例被当作 thenable 等
+ */
+const PROXY_IGNORED = ['then', 'catch', 'finally', 'toJSON', 'inspect', 'constructor', 'prototype'];
+
+/**
+ * 创建自动封装 wx 接口的代理：已有的属性和方法保持不变，其余名称按接口类型通过 invoke 调用
+ * @param {WeChat} sdk
+ */
+function createProxy(sdk) {
+  const wrapped = {};
+  return new Proxy(sdk, {
+    get(target, prop, receiver) {
+      if (typeof prop !== 'string' || prop in target || PROXY_IGNORED.indexOf(prop) !== -1) {
+        return Reflect.get(target, prop, receiver);
+      }
+      if (!wrapped[prop]) {
+        wrapped[prop] = (...args) => {
+          if (kindOf(prop) === KIND.ASYNC) {
+            return receiver.invoke(prop, ...args);
+          }
+          // 同步接口与事件接口不支持时同样以 reject 的形式返回
+          const unsupported = capability.check(target, target.adapter.resolve(prop).name);
+          return unsupported ? Promise.reject(unsupported) : receiver.invoke(prop, ...args);
+        };
+      }
+      return wrapped[prop];
+    },
+  });
+}
+
 module.exports = WeChat;
+module.exports.detectPlatform = detectPlatform;
+module.exports.HttpClient = HttpClient;
+module.exports.Session = Session;
+module.exports.Storage = Storage;
+module.exports.ResponseCache = ResponseCache;
+module.exports.SocketClient = SocketClient;
+module.exports.ChunkedUploader = ChunkedUploader;
+module.exports.Router = Router;
+module.exports.UI = UI;
+module.exports.OfflineQueue = OfflineQueue;
+module.exports.NavBar = NavBar;
+module.exports.Telemetry = Telemetry;
+module.exports.FileSystem = FileSystem;
+module.exports.DownloadCache = DownloadCache;
+module.exports.HttpError = HttpError;
+module.exports.RequestError = RequestError;
+module.exports.FileSystemError = FileSystemError;
+module.exports.CancelError = CancelError;
+module.exports.CancelToken = CancelToken;
+module.exports.ScopeDeniedError = ScopeDeniedError;
+module.exports.UnsupportedApiError = UnsupportedApiError;
+module.exports.GestureRequiredError = GestureRequiredError;
+module.exports.PAY_STATUS = payment.PAY_STATUS;
+module.exports.distance = location.distance;
+module.exports.wgs84ToGcj02 = location.wgs84ToGcj02;
+module.exports.gcj02ToWgs84 = location.gcj02ToWgs84;
+module.exports.throttlePositions = location.throttlePositions;
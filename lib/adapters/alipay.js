@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * 支付宝网络请求 fail 回调的 error 对应的原因，转换为与微信一致的 errMsg（见 RequestError.parseType）
+ */
+const REQUEST_ERRORS = {
+  11: 'url not in domain list',
+  12: 'network error',
+  13: 'timeout',
+  14: 'decode error',
+  19: 'http error',
+  20: 'abort',
+};
+
+/**
+ * 将 fail 回调的 { error, errorMessage } 转换为 { errMsg, errno }
+ * @param {object}  err
+ * @param {string}  fun       SDK 中的接口名称
+ * @param {object}  reasons   error 对应的原因
+ */
+function toError(err = {}, fun, reasons = {}) {
+  if (err.errMsg) {
+    return err;
+  }
+  const reason = reasons[err.error] || err.errorMessage || 'fail';
+  return Object.assign({}, err, { errMsg: `${fun}:fail ${reason}`, errno: err.error });
+}
+
+const TOAST_TYPES = {
+  success: 'success',
+  error: 'fail',
+  loading: 'none',
+  none: 'none',
+};
+
+/**
+ * 支付宝的 headers 转换为 header
+ * @param {object} res
+ */
+function toResponse(res) {
+  return {
+    errMsg: 'request:ok',
+    data: res.data,
+    statusCode: res.status !== undefined ? res.status : res.statusCode,
+    header: res.headers || res.header,
+  };
+}
+
+/**
+ * 支付宝小程序（my）
+ */
+module.exports = {
+  name: 'alipay',
+  versioned: false,
+  error: (err, fun) => toError(err, fun),
+  apis: {
+    request: {
+      options: ({ header, ...options }) => Object.assign({}, options, { headers: header }),
+      result: toResponse,
+      // 支付宝在状态码非 2xx 时进入 fail，但仍带有 status，按微信的方式视为成功响应
+      recover: err => (err && err.status ? toResponse(err) : undefined),
+      error: (err, fun) => toError(err, fun, REQUEST_ERRORS),
+    },
+    uploadFile: {
+      error: (err, fun) => toError(err, fun, REQUEST_ERRORS),
+      options: ({ name, header, ...options }) => Object.assign({ fileType: 'image' }, options, { fileName: name, header }),
+      result: res => ({ errMsg: 'uploadFile:ok', data: res.data, statusCode: res.statusCode }),
+    },
+    downloadFile: {
+      error: (err, fun) => toError(err, fun, REQUEST_ERRORS),
+      result: res => ({
+        errMsg: 'downloadFile:ok',
+        tempFilePath: res.apFilePath || res.tempFilePath,
+        statusCode: res.statusCode || 200,
+      }),
+    },
+    login: {
+      name: 'getAuthCode',
+      options: ({ timeout, ...options }) => Object.assign({ scopes: 'auth_base' }, options),
+      result: res => ({ errMsg: 'login:ok', code: res.authCode }),
+    },
+    showToast: {
+      options: ({ title, icon = 'success', ...options }) => Object.assign({}, options, {
+        content: title,
+        type: TOAST_TYPES[icon] || 'none',
+      }),
+    },
+    showLoading: {
+      options: ({ title, ...options }) => Object.assign({}, options, { content: title }),
+    },
+    showModal: {
+      name: options => (options.showCancel === false ? 'alert' : 'confirm'),
+      options: options => (options.showCancel === false ? {
+        title: options.title,
+        content: options.content,
+        buttonText: options.confirmText,
+      } : {
+        title: options.title,
+        content: options.content,
+        confirmButtonText: options.confirmText,
+        cancelButtonText: options.cancelText,
+      }),
+      result: res => ({
+        errMsg: 'showModal:ok',
+        confirm: res.confirm !== false,
+        cancel: res.confirm === false,
+      }),
+    },
+    showActionSheet: {
+      options: ({ itemList, itemColor, ...options }) => Object.assign({}, options, { items: itemList }),
+      result: res => ({ errMsg: 'showActionSheet:ok', tapIndex: res.index }),
+    },
+    chooseImage: {
+      result: res => ({
+        errMsg: 'chooseImage:ok',
+        tempFilePaths: res.tempFilePaths || res.apFilePaths,
+        tempFiles: res.tempFiles || (res.apFilePaths || []).map(path => ({ path })),
+      }),
+    },
+    previewImage: {
+      options: options => Object.assign({}, options, {
+        current: options.current ? Math.max(options.urls.indexOf(options.current), 0) : 0,
+      }),
+    },
+    saveImageToPhotosAlbum: {
+      name: 'saveImage',
+      options: ({ filePath, ...options }) => Object.assign({}, options, { url: filePath }),
+    },
+    setNavigationBarTitle: {
+      name: 'setNavigationBar',
+    },
+    setNavigationBarColor: {
+      name: 'setNavigationBar',
+      options: ({ frontColor, animation, ...options }) => options,
+    },
+    getStorageSync: {
+      args: key => [{ key }],
+      result: res => (res ? res.data : res),
+    },
+    setStorageSync: {
+      args: (key, data) => [{ key, data }],
+    },
+    removeStorageSync: {
+      args: key => [{ key }],
+    },
+  },
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * 百度智能小程序（swan），接口与微信一致
+ */
+module.exports = {
+  name: 'baidu',
+  versioned: false,
+  apis: {},
+};
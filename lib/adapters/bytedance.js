@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * 字节跳动小程序（tt），接口与微信一致
+ */
+module.exports = {
+  name: 'bytedance',
+  versioned: false,
+  apis: {},
+};
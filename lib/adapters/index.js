@@ -0,0 +1,94 @@
+'use strict';
+const wechat = require('./wechat');
+const qq = require('./qq');
+const alipay = require('./alipay');
+const baidu = require('./baidu');
+const bytedance = require('./bytedance');
+
+const ADAPTERS = {
+  wechat,
+  qq,
+  alipay,
+  baidu,
+  bytedance,
+};
+
+/**
+ * 平台适配器，将 SDK 的接口名称、参数、返回值映射到宿主对象（wx / my / tt / swan / qq）
+ */
+class Adapter {
+  /**
+   * @param {object}  definition   name      {string}    是  平台名称
+   *                               versioned {boolean}   否  是否按微信基础库版本检查接口
+   *                               error     {function}  否  (err, fun) => err  统一 fail 回调的返回值
+   *                               apis      {object}    否  接口映射，key 为 SDK 中的接口名称，值为：
+   *                                            name     {string/function}  宿主对象上的方法名称，可根据参数动态选择
+   *                                            options  {function}  转换异步接口的参数
+   *                                            args     {function}  转换同步接口的参数，返回参数数组
+   *                                            result   {function}  转换返回值
+   *                                            recover  {function}  将 fail 回调的返回值转换为成功结果，返回 undefined 时仍视为失败
+   *                                            error    {function}  转换该接口 fail 回调的返回值，优先于平台的 error
+   */
+  constructor(definition) {
+    this.name = definition.name;
+    this.versioned = !!definition.versioned;
+    this.definition = definition;
+  }
+  /**
+   * 获取接口映射
+   *
+   * @param {string}  fun       是  SDK 中的接口名称
+   * @param {object}  options   否  本次调用的参数，用于动态选择方法名称
+   * @returns {object}          name、options、args、result、recover、error
+   */
+  resolve(fun, options = {}) {
+    const spec = this.definition.apis[fun] || {};
+    const name = typeof spec.name === 'function' ? spec.name(options) : (spec.name || fun);
+    return Object.assign({}, spec, { name, error: spec.error || this.definition.error });
+  }
+}
+
+/**
+ * 获取平台适配器
+ *
+ * @param {string}  platform   否  默认值： 'wechat'  可选值：wechat / qq / alipay / baidu / bytedance
+ * @returns {Adapter}
+ */
+function getAdapter(platform = 'wechat') {
+  const definition = ADAPTERS[platform];
+  if (!definition) {
+    throw new Error(`不支持的平台 ${platform}`);
+  }
+  return new Adapter(definition);
+}
+
+/**
+ * 根据全局对象判断当前运行的平台，QQ、百度、字节跳动可能同时注入 wx，需优先判断
+ *
+ * @returns {string|undefined}   平台名称
+ */
+function detectPlatform() {
+  if (typeof qq === 'object') {
+    return 'qq';
+  }
+  if (typeof swan === 'object') {
+    return 'baidu';
+  }
+  if (typeof tt === 'object') {
+    return 'bytedance';
+  }
+  if (typeof my === 'object') {
+    return 'alipay';
+  }
+  if (typeof wx === 'object') {
+    return 'wechat';
+  }
+  return undefined;
+}
+
+module.exports = {
+  ADAPTERS,
+  Adapter,
+  getAdapter,
+  detectPlatform,
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * QQ 小程序，接口与微信一致
+ */
+module.exports = {
+  name: 'qq',
+  versioned: false,
+  apis: {},
+};
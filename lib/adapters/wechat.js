@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * 微信小程序，SDK 的接口以微信为准，不需要转换
+ */
+module.exports = {
+  name: 'wechat',
+  versioned: true,
+  apis: {},
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * 同步接口：直接返回结果，不接受 success / fail 回调
+ * 以 Sync 结尾、以 create 开头的接口同样视为同步接口
+ */
+const SYNC_APIS = [
+  'canIUse',
+  'getMenuButtonBoundingClientRect',
+  'getLaunchOptionsSync',
+  'getEnterOptionsSync',
+  'getAccountInfoSync',
+  'getUpdateManager',
+  'getFileSystemManager',
+  'getRealtimeLogManager',
+  'getLogManager',
+  'getRecorderManager',
+  'getBackgroundAudioManager',
+  'getBackgroundAudioPlayerState',
+  'reportMonitor',
+  'reportAnalytics',
+  'arrayBufferToBase64',
+  'base64ToArrayBuffer',
+  'nextTick',
+];
+
+/**
+ * 以 create 开头但通过 success / fail 回调返回结果的接口
+ */
+const ASYNC_CREATE_APIS = [
+  'createBLEConnection',
+  'createBLEPeripheralServer',
+];
+
+/**
+ * 接口类型
+ */
+const KIND = {
+  ASYNC: 'async',
+  SYNC: 'sync',
+  EVENT: 'event',
+};
+
+/**
+ * 判断 wx 接口的类型
+ *    event  on* / off* 事件监听，参数为回调函数
+ *    sync   直接返回结果
+ *    async  通过 success / fail 回调返回结果
+ *
+ * @param {string}  name   是  wx中的方法名称字符串
+ * @returns {string}       KIND 中的值
+ */
+function kindOf(name) {
+  if (/^(on|off)[A-Z]/.test(name)) {
+    return KIND.EVENT;
+  }
+  if (ASYNC_CREATE_APIS.indexOf(name) !== -1) {
+    return KIND.ASYNC;
+  }
+  if (SYNC_APIS.indexOf(name) !== -1 || /Sync$/.test(name) || /^create[A-Z]/.test(name)) {
+    return KIND.SYNC;
+  }
+  return KIND.ASYNC;
+}
+
+module.exports = {
+  KIND,
+  SYNC_APIS,
+  kindOf,
+};
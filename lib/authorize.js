@@ -0,0 +1,93 @@
+'use strict';
+const { ScopeDeniedError } = require('./errors');
+
+/**
+ * scope 对应的权限名称，用于默认的引导文案
+ */
+const SCOPE_NAMES = {
+  'scope.userInfo': '用户信息',
+  'scope.userLocation': '地理位置',
+  'scope.userLocationBackground': '后台定位',
+  'scope.address': '通讯地址',
+  'scope.invoiceTitle': '发票抬头',
+  'scope.invoice': '获取发票',
+  'scope.werun': '微信运动步数',
+  'scope.record': '录音功能',
+  'scope.writePhotosAlbum': '保存到相册',
+  'scope.camera': '摄像头',
+};
+
+const GRANTED = 'granted';
+const DENIED = 'denied';
+
+/**
+ * 生成引导用户打开设置页的弹窗参数
+ * @param {string} scope
+ * @param {string/object} rationale
+ */
+function modalOptions(scope, rationale) {
+  const name = SCOPE_NAMES[scope] || scope;
+  const defaults = {
+    title: '授权提示',
+    content: `需要您授权「${name}」才能继续，请在设置中开启`,
+    confirmText: '去设置',
+  };
+  if (typeof rationale === 'string') {
+    return Object.assign(defaults, { content: rationale });
+  }
+  return Object.assign(defaults, rationale);
+}
+
+/**
+ * 确保已获得 scope 授权
+ *    1、getSetting 中已授权 → granted
+ *    2、从未询问过 → authorize 弹出授权框，用户同意 → granted，拒绝 → denied
+ *    3、曾经拒绝（authorize 不会再弹框）→ showModal 说明原因 → 用户确认后 openSetting → 按设置页结果返回
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {string}  scope     是  需要获取权限的 scope
+ * @param {object}  options   rationale   {string/object}  否  曾拒绝时弹窗的内容，可以是 content 字符串或 showModal 参数
+ * @returns {Promise}         'granted' / 'denied'
+ */
+async function ensureScope(sdk, scope, options = {}) {
+  const { authSetting = {} } = await sdk.getSetting();
+  if (authSetting[scope] === true) {
+    return GRANTED;
+  }
+  if (authSetting[scope] === undefined) {
+    try {
+      await sdk.authorize({ scope });
+      return GRANTED;
+    } catch (e) {
+      return DENIED;
+    }
+  }
+  const { confirm } = await sdk.showModal(modalOptions(scope, options.rationale));
+  if (!confirm) {
+    return DENIED;
+  }
+  const setting = await sdk.openSetting();
+  return setting.authSetting && setting.authSetting[scope] ? GRANTED : DENIED;
+}
+
+/**
+ * 供需要授权的接口使用，未获得授权时 reject ScopeDeniedError
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {string}  scope     是  需要获取权限的 scope
+ * @param {boolean/object}  option  是  接口参数中的 ensureScope，为对象时作为 ensureScope 的 options
+ */
+async function requireScope(sdk, scope, option) {
+  const status = await ensureScope(sdk, scope, typeof option === 'object' ? option : {});
+  if (status !== GRANTED) {
+    throw new ScopeDeniedError(scope);
+  }
+}
+
+module.exports = {
+  GRANTED,
+  DENIED,
+  SCOPE_NAMES,
+  ensureScope,
+  requireScope,
+};
@@ -0,0 +1,256 @@
+'use strict';
+const Promise = require('bluebird');
+const { CancelError } = require('./errors');
+const { share } = require('./cancel');
+
+/**
+ * 按 key 排序后序列化，保证相同参数得到相同的缓存 key
+ * @param {*} value
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+/**
+ * 合并请求的 key：在缓存 key 后附加会影响结果的调用方参数，参数不同的请求不合并
+ * 函数（如 validateStatus）按引用区分
+ * @param {string}  key
+ * @param {object}  options
+ */
+function shareKey(key, options) {
+  const parts = Object.keys(options).sort()
+    .filter(name => options[name] !== undefined)
+    .map(name => {
+      const value = options[name];
+      if (typeof value !== 'function') {
+        return `${name}=${stableStringify(value)}`;
+      }
+      if (!functionIds.has(value)) {
+        functionIds.set(value, ++nextFunctionId);
+      }
+      return `${name}=fn:${functionIds.get(value)}`;
+    });
+  return parts.length ? `${key}#${parts.join('&')}` : key;
+}
+
+/**
+ * 合并单次请求的缓存策略
+ * @param {boolean/object} cache
+ */
+function normalizePolicy(cache) {
+  return Object.assign({
+    maxAge: 60 * 1000,
+    staleWhileRevalidate: 0,
+    persist: false,
+    key: undefined,
+    onUpdate: undefined,
+  }, typeof cache === 'object' ? cache : {});
+}
+
+/**
+ * GET 请求缓存：内存 + 本地缓存两级，支持 stale-while-revalidate 与相同请求合并
+ */
+class ResponseCache {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   maxEntries  {number}  否  默认值： 100  内存中最多缓存的条数，超出时淘汰最早写入的
+   *                            namespace   {string}  否  默认值： 'mp-wx-sdk:cache'  本地缓存的命名空间
+   */
+  constructor(sdk, options = {}) {
+    this.options = Object.assign({ maxEntries: 100, namespace: 'mp-wx-sdk:cache' }, options);
+    this.storage = sdk.storage.namespace(this.options.namespace);
+    this.memory = new Map();
+    this.inflight = new Map();
+  }
+  /**
+   * 生成缓存 key：url + 排序后的 data，dataType、responseType 不是默认值时附加在 # 之后
+   *
+   * @param {object}  options   是  request 参数
+   * @returns {string}
+   */
+  static key(options) {
+    const data = options.data;
+    const url = data === undefined || data === null || (typeof data === 'object' && !Object.keys(data).length)
+      ? options.url
+      : `${options.url}?${typeof data === 'string' ? data : stableStringify(data)}`;
+    return shareKey(url, {
+      dataType: options.dataType === 'json' ? undefined : options.dataType,
+      responseType: options.responseType === 'text' ? undefined : options.responseType,
+    });
+  }
+  /**
+   * 合并请求的 key：缓存 key 附加调用方的参数，参数不同的请求不合并
+   *
+   * @param {string}  key       是  缓存 key
+   * @param {object}  options   是  影响结果的调用方参数，如 { validateStatus }，函数按引用区分
+   * @returns {string}
+   */
+  static shareKey(key, options) {
+    return shareKey(key, options);
+  }
+  /**
+   * 读取缓存条目，本地缓存命中时同步到内存
+   * @param {string}  key
+   * @param {boolean} persist
+   */
+  async read(key, persist) {
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+    if (!persist) {
+      return undefined;
+    }
+    const entry = await this.storage.get(key);
+    if (entry) {
+      this.remember(key, entry);
+    }
+    return entry;
+  }
+  /**
+   * 写入内存，超出 maxEntries 时淘汰最早写入的条目
+   * @param {string} key
+   * @param {object} entry
+   */
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.options.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+  /**
+   * 写入缓存条目
+   * @param {string} key
+   * @param {object} entry
+   * @param {object} policy
+   */
+  async write(key, entry, policy) {
+    this.remember(key, entry);
+    if (policy.persist) {
+      await this.storage.set(key, entry, { ttl: policy.maxAge + policy.staleWhileRevalidate });
+    }
+  }
+  /**
+   * 发起请求并写入缓存，相同 inflightKey 的并发请求共享同一次 fetch
+   * 共享的 fetch 不带任何调用方的取消参数，调用方通过 join 等待结果，取消时只 reject 自己
+   * @param {string}    key           缓存 key
+   * @param {string}    inflightKey   合并请求的 key，见 ResponseCache.shareKey
+   * @param {object}    policy
+   * @param {function}  fetch
+   */
+  revalidate(key, inflightKey, policy, fetch) {
+    const current = this.inflight.get(inflightKey);
+    if (!current || current.closed) {
+      const request = fetch();
+      const pending = Promise.resolve(request)
+        .then(res => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return this.write(key, { res, time: Date.now() }, policy)
+              .catch(() => {})
+              .then(() => res);
+          }
+          return res;
+        })
+        .finally(() => {
+          if (this.inflight.get(inflightKey) === shared) {
+            this.inflight.delete(inflightKey);
+          }
+        });
+      pending.abort = request && request.abort;
+      const shared = share(pending);
+      this.inflight.set(inflightKey, shared);
+    }
+    return this.inflight.get(inflightKey);
+  }
+  /**
+   * 带缓存的请求
+   *    1、缓存未超过 maxAge：直接返回缓存
+   *    2、超过 maxAge 但未超过 maxAge + staleWhileRevalidate：返回缓存，同时在后台刷新，刷新成功后调用 onUpdate
+   *    3、其他情况：发起请求（相同请求合并），成功后写入缓存
+   * 返回缓存时结果带有 fromCache: true
+   * 缓存 key 相同且 validateStatus 相同的并发请求才合并，cancelToken、signal 与返回的 abort 只取消当前调用方，全部调用方都取消后才中断请求
+   *
+   * @param {object}    options   是  request 参数
+   * @param {object}    cache     是  缓存策略，见 WeChat.request 的 cache 参数
+   * @param {function}  fetch     是  (options) => Promise，实际发起请求的函数，options 中不包含 cancelToken、signal
+   * @returns {Promise}           promise.abort  取消当前调用
+   */
+  request(options, cache, fetch) {
+    const { cancelToken, signal, ...params } = options;
+    const policy = normalizePolicy(cache);
+    const key = policy.key || ResponseCache.key(params);
+    const inflightKey = ResponseCache.shareKey(key, { validateStatus: params.validateStatus });
+    let abort = () => {};
+    let aborted = null;
+    const promise = this.read(key, policy.persist).catch(() => undefined).then(entry => {
+      if (aborted) {
+        throw new CancelError(aborted.reason);
+      }
+      const age = entry ? Date.now() - entry.time : Infinity;
+      if (age < policy.maxAge) {
+        return Object.assign({}, entry.res, { fromCache: true });
+      }
+      if (age < policy.maxAge + policy.staleWhileRevalidate) {
+        this.revalidate(key, inflightKey, policy, () => fetch(params)).join().then(res => {
+          if (typeof policy.onUpdate === 'function') {
+            try {
+              policy.onUpdate(res);
+            } catch (e) {
+              // ignore
+            }
+          }
+        }, () => {});
+        return Object.assign({}, entry.res, { fromCache: true });
+      }
+      const joined = this.revalidate(key, inflightKey, policy, () => fetch(params)).join({ cancelToken, signal });
+      abort = joined.abort;
+      return joined;
+    });
+    promise.abort = reason => {
+      aborted = aborted || { reason };
+      abort(reason);
+    };
+    return promise;
+  }
+  /**
+   * 删除指定 key 的缓存
+   *
+   * @param {string}  key   是  缓存 key，默认为 url 或 url?data
+   * @returns {Promise}
+   */
+  async invalidate(key) {
+    this.memory.delete(key);
+    await this.storage.remove(key);
+  }
+  /**
+   * 删除 key 以 prefix 开头的缓存，如某个接口地址下的全部缓存
+   *
+   * @param {string}  prefix  是  key 前缀
+   * @returns {Promise}
+   */
+  async invalidatePrefix(prefix) {
+    Array.from(this.memory.keys())
+      .filter(key => key.indexOf(prefix) === 0)
+      .forEach(key => this.memory.delete(key));
+    const { keys } = await this.storage.info();
+    await Promise.all(keys.filter(key => key.indexOf(prefix) === 0).map(key => this.storage.remove(key)));
+  }
+  /**
+   * 清空全部缓存
+   * @returns {Promise}
+   */
+  async clear() {
+    this.memory.clear();
+    await this.storage.clear();
+  }
+}
+module.exports = ResponseCache;
@@ -0,0 +1,142 @@
+'use strict';
+const Promise = require('bluebird');
+const { CancelError } = require('./errors');
+
+/**
+ * 取消令牌
+ *
+ *    const { token, cancel } = CancelToken.source();
+ *    WeChat.request({ url, cancelToken: token });
+ *    cancel('关键字已变化');
+ */
+class CancelToken {
+  /**
+   * @param {function}  executor  是  接收 cancel(reason) 函数
+   */
+  constructor(executor) {
+    this.requested = false;
+    this.reason = undefined;
+    this.listeners = [];
+    executor(reason => {
+      if (this.requested) {
+        return;
+      }
+      this.requested = true;
+      this.reason = reason;
+      const listeners = this.listeners;
+      this.listeners = [];
+      listeners.forEach(fn => fn(reason));
+    });
+  }
+  /**
+   * 注册取消回调
+   *
+   * @param {function}  fn   是  取消时执行，参数为取消原因
+   * @returns {function}     注销回调的函数
+   */
+  subscribe(fn) {
+    if (this.requested) {
+      fn(this.reason);
+      return () => {};
+    }
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== fn);
+    };
+  }
+  /**
+   * 创建令牌及对应的 cancel 函数
+   * @returns {object}  token   {CancelToken}
+   *                    cancel  {function}
+   */
+  static source() {
+    let cancel;
+    const token = new CancelToken(c => {
+      cancel = c;
+    });
+    return { token, cancel };
+  }
+}
+
+/**
+ * 监听请求参数中的 cancelToken 或 signal（AbortSignal 风格对象：aborted、reason、addEventListener）
+ *
+ * @param {object}    options   cancelToken {CancelToken}  否
+ *                              signal      {object}       否
+ * @param {function}  fn        是  取消时执行，参数为取消原因；已取消时立即执行
+ * @returns {function}          注销监听的函数
+ */
+function onCancel(options, fn) {
+  const disposers = [];
+  const { cancelToken, signal } = options;
+  if (cancelToken) {
+    disposers.push(cancelToken.subscribe(fn));
+  }
+  if (signal) {
+    if (signal.aborted) {
+      fn(signal.reason);
+    } else if (typeof signal.addEventListener === 'function') {
+      const listener = () => fn(signal.reason);
+      signal.addEventListener('abort', listener);
+      disposers.push(() => signal.removeEventListener && signal.removeEventListener('abort', listener));
+    }
+  }
+  return () => disposers.forEach(dispose => dispose());
+}
+
+/**
+ * 多个调用方共享同一次任务（如合并的相同请求）：每个调用方通过 join 得到自己的 Promise，
+ * 调用方的 cancelToken / signal / abort 只 reject 该调用方，全部调用方都取消后才调用 promise.abort 取消共享的任务
+ *
+ * @param {Promise}   promise   是  共享的任务，不能带有任何调用方的取消参数
+ * @returns {object}            join(options)  加入等待，options 为调用方的 { cancelToken, signal }，返回带 abort 方法的 Promise
+ *                              closed         {boolean}  全部调用方都已取消，不能再加入
+ */
+function share(promise) {
+  let waiters = 0;
+  const shared = {
+    promise,
+    closed: false,
+    join(options = {}) {
+      waiters++;
+      let abort;
+      const joined = new Promise((resolve, reject) => {
+        let settled = false;
+        let dispose = () => {};
+        const settle = (fn, value) => {
+          if (!settled) {
+            settled = true;
+            waiters--;
+            dispose();
+            fn(value);
+          }
+        };
+        abort = reason => {
+          if (settled) {
+            return;
+          }
+          settle(reject, new CancelError(reason));
+          if (!waiters) {
+            shared.closed = true;
+            if (typeof promise.abort === 'function') {
+              promise.abort(reason);
+            }
+          }
+        };
+        promise.then(res => settle(resolve, res), err => settle(reject, err));
+        dispose = onCancel(options, abort);
+      });
+      joined.abort = abort;
+      return joined;
+    },
+  };
+  // 全部调用方都取消后共享任务的 CancelError 没有调用方处理
+  Promise.resolve(promise).catch(() => {});
+  return shared;
+}
+
+module.exports = {
+  CancelToken,
+  onCancel,
+  share,
+};
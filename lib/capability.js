@@ -0,0 +1,107 @@
+'use strict';
+const { UnsupportedApiError } = require('./errors');
+
+/**
+ * 部分接口要求的最低基础库版本
+ */
+const MIN_VERSIONS = {
+  getSetting: '1.2.0',
+  authorize: '1.2.0',
+  openSetting: '1.1.0',
+  pageScrollTo: '1.4.0',
+  setTopBarText: '1.4.3',
+  showTabBarRedDot: '1.9.0',
+  compressImage: '2.0.0',
+  loadFontFace: '2.1.0',
+  getMenuButtonBoundingClientRect: '2.1.0',
+  nextTick: '2.2.3',
+  onWindowResize: '2.3.0',
+  offWindowResize: '2.3.0',
+  requestSubscribeMessage: '2.4.4',
+  chooseMessageFile: '2.5.0',
+  getRealtimeLogManager: '2.7.1',
+  startLocationUpdate: '2.8.0',
+  onLocationChange: '2.8.1',
+};
+
+/**
+ * 比较版本号
+ *
+ * @param {string}  a
+ * @param {string}  b
+ * @returns {number}  a > b 返回 1，a < b 返回 -1，相等返回 0
+ */
+function compareVersion(a, b) {
+  const x = String(a).split('.');
+  const y = String(b).split('.');
+  const length = Math.max(x.length, y.length);
+  for (let i = 0; i < length; i++) {
+    const m = parseInt(x[i] || 0, 10);
+    const n = parseInt(y[i] || 0, 10);
+    if (m !== n) {
+      return m > n ? 1 : -1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 获取当前基础库版本
+ * @param {object} wx
+ */
+function getSDKVersion(wx) {
+  if (typeof wx.getSystemInfoSync !== 'function') {
+    return undefined;
+  }
+  try {
+    return wx.getSystemInfoSync().SDKVersion;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * 检查接口是否可用：wx 上存在该方法、wx.canIUse 不为 false、基础库版本满足 MIN_VERSIONS（仅微信）
+ *
+ * @param {WeChat}  sdk    是  WeChat 实例
+ * @param {string}  name   是  宿主对象上的方法名称
+ * @returns {UnsupportedApiError|null}   不可用时返回错误
+ */
+function check(sdk, name) {
+  const cache = sdk.capabilities;
+  if (!Object.prototype.hasOwnProperty.call(cache, name)) {
+    cache[name] = detect(sdk, name);
+  }
+  return cache[name] ? new UnsupportedApiError(name, cache[name]) : null;
+}
+
+/**
+ * @param {WeChat}  sdk
+ * @param {string}  name
+ * @returns {object|null}   不可用时返回 { minVersion, SDKVersion }
+ */
+function detect(sdk, name) {
+  const wx = sdk.wx;
+  if (typeof wx[name] !== 'function') {
+    return {};
+  }
+  if (typeof wx.canIUse === 'function' && wx.canIUse(name) === false) {
+    return {};
+  }
+  const minVersion = MIN_VERSIONS[name];
+  if (minVersion && sdk.adapter.versioned) {
+    if (sdk.SDKVersion === undefined) {
+      sdk.SDKVersion = getSDKVersion(wx) || null;
+    }
+    if (sdk.SDKVersion && compareVersion(sdk.SDKVersion, minVersion) < 0) {
+      return { minVersion, SDKVersion: sdk.SDKVersion };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MIN_VERSIONS,
+  compareVersion,
+  check,
+};
@@ -0,0 +1,205 @@
+'use strict';
+const Promise = require('bluebird');
+const { CancelError } = require('./errors');
+
+const DEFAULTS = {
+  chunkSize: 2 * 1024 * 1024,
+  concurrency: 3,
+  retry: { maxAttempts: 3, idempotentOnly: false },
+  ttl: 7 * 24 * 60 * 60 * 1000,
+  namespace: 'mp-wx-sdk:upload',
+};
+
+/**
+ * 分片上传：通过 FileSystemManager 读取分片写入临时文件，再以 uploadFile 并发上传，
+ * 已完成的分片记录在本地缓存中，中断或小程序重启后再次 start 会跳过已上传的分片
+ *
+ * 服务端协议通过钩子接入：
+ *    init      创建上传会话，如返回 uploadId
+ *    part      返回单个分片的 uploadFile 参数（url、name、header、formData）
+ *    complete  全部分片上传后合并文件
+ */
+class ChunkedUploader {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   见 WeChat.createUploader
+   */
+  constructor(sdk, options = {}) {
+    if (!options.filePath) {
+      throw new Error('filePath 不能为空');
+    }
+    if (typeof options.part !== 'function') {
+      throw new Error('part 必须是函数');
+    }
+    this.sdk = sdk;
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.storage = sdk.storage.namespace(this.options.namespace);
+    this.id = `${Date.now()}${Math.random().toString(36).slice(2, 8)}`;
+    this.running = null;
+    this.stopped = false;
+    this.calls = new Set();
+    this.saving = Promise.resolve();
+  }
+  /**
+   * 开始或继续上传，上传中重复调用返回同一个 Promise
+   *
+   * @returns {Promise}         complete 钩子的返回值，未传入 complete 时为 { session, parts }
+   */
+  start() {
+    if (!this.running) {
+      this.stopped = false;
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+  /**
+   * 暂停上传，正在上传的分片会被取消，start() reject CancelError，已完成的分片保留在缓存中
+   *
+   * @param {string}  reason    否  取消原因
+   */
+  pause(reason) {
+    this.stopped = true;
+    this.calls.forEach(call => call.abort(reason));
+  }
+  /**
+   * 取消上传并删除缓存的上传进度
+   *
+   * @returns {Promise}
+   */
+  async cancel() {
+    this.pause('upload cancelled');
+    if (this.key) {
+      await this.saving;
+      await this.storage.remove(this.key);
+    }
+  }
+  /**
+   * 读取或创建上传进度，并发上传剩余分片后调用 complete
+   */
+  async run() {
+    const { filePath, chunkSize } = this.options;
+    const { size } = await this.sdk.fs.getFileInfo(filePath);
+    this.key = this.options.key || `${filePath}:${size}`;
+    const chunkCount = Math.max(1, Math.ceil(size / chunkSize));
+    let state = await this.storage.get(this.key);
+    if (!state || state.size !== size || state.chunkSize !== chunkSize) {
+      const session = typeof this.options.init === 'function'
+        ? await this.options.init({ filePath, size, chunkSize, chunkCount })
+        : {};
+      state = { size, chunkSize, session, parts: {} };
+      await this.save(state);
+    }
+    this.state = state;
+    this.loaded = {};
+    this.report();
+
+    const pending = [];
+    for (let index = 0; index < chunkCount; index++) {
+      if (!(index in state.parts)) {
+        pending.push(index);
+      }
+    }
+    let next = 0;
+    const lane = async () => {
+      while (next < pending.length) {
+        if (this.stopped) {
+          throw new CancelError('upload paused');
+        }
+        await this.uploadChunk(pending[next++]);
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.options.concurrency, pending.length) }, lane));
+    } catch (e) {
+      // 一个分片失败后取消其余分片，进度保留以便下次 start 续传
+      this.pause();
+      throw e;
+    }
+    if (this.stopped) {
+      throw new CancelError('upload paused');
+    }
+
+    const parts = Object.keys(state.parts)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(index => ({ index, data: state.parts[index] }));
+    const result = typeof this.options.complete === 'function'
+      ? await this.options.complete({ session: state.session, parts, filePath, size })
+      : { session: state.session, parts };
+    await this.saving;
+    await this.storage.remove(this.key).catch(() => {});
+    return result;
+  }
+  /**
+   * 读取分片写入临时文件后上传，完成后删除临时文件
+   * @param {number} index
+   */
+  async uploadChunk(index) {
+    const { filePath, chunkSize } = this.options;
+    const state = this.state;
+    const start = index * chunkSize;
+    const length = Math.min(chunkSize, state.size - start);
+    const data = await this.sdk.fs.readFile(filePath, { position: start, length });
+    const chunkPath = this.sdk.fs.userPath(`mp-wx-sdk-chunk-${this.id}-${index}`);
+    await this.sdk.fs.writeFile(chunkPath, data);
+    try {
+      const chunk = { index, start, end: start + length, size: length, filePath: chunkPath };
+      const params = await this.options.part(chunk, state.session);
+      if (this.stopped) {
+        throw new CancelError('upload paused');
+      }
+      const call = this.sdk.uploadFile(Object.assign({ validateStatus: true, retry: this.options.retry }, params, {
+        filePath: chunkPath,
+        onProgressUpdate: ({ progress }) => {
+          // 完成后才到达的进度事件不再计入
+          if (!(index in state.parts)) {
+            this.loaded[index] = Math.round(length * progress / 100);
+            this.report();
+          }
+        },
+      }));
+      this.calls.add(call);
+      const res = await call.finally(() => this.calls.delete(call));
+      state.parts[index] = res.data;
+      delete this.loaded[index];
+      this.report();
+      await this.save(state);
+    } finally {
+      await this.sdk.fs.unlink(chunkPath).catch(() => {});
+    }
+  }
+  /**
+   * 按顺序写入缓存，避免并发写入时旧的进度覆盖新的进度
+   * @param {object} state
+   */
+  save(state) {
+    this.saving = this.saving
+      .then(() => this.storage.set(this.key, state, { ttl: this.options.ttl }))
+      .catch(() => {});
+    return this.saving;
+  }
+  /**
+   * 计算整体进度并通知 onProgress
+   */
+  report() {
+    if (typeof this.options.onProgress !== 'function') {
+      return;
+    }
+    const { size, chunkSize, parts } = this.state;
+    let uploadedBytes = 0;
+    Object.keys(parts).forEach(index => {
+      uploadedBytes += Math.min(chunkSize, size - index * chunkSize);
+    });
+    Object.keys(this.loaded).forEach(index => {
+      uploadedBytes += this.loaded[index];
+    });
+    this.options.onProgress({
+      progress: size ? Math.floor(uploadedBytes / size * 100) : 100,
+      uploadedBytes,
+      totalBytes: size,
+    });
+  }
+}
+module.exports = ChunkedUploader;
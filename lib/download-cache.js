@@ -0,0 +1,269 @@
+'use strict';
+const Promise = require('bluebird');
+const { CancelError } = require('./errors');
+const { share } = require('./cancel');
+const ResponseCache = require('./cache');
+
+const DEFAULTS = {
+  dir: 'mp-wx-sdk-downloads',
+  maxSize: 50 * 1024 * 1024,
+  maxAge: 0,
+  namespace: 'mp-wx-sdk:downloads',
+};
+
+/**
+ * 32 位 FNV-1a 哈希，返回 8 位十六进制字符串
+ * @param {string} text
+ * @param {number} seed
+ */
+function fnv1a(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `0000000${hash.toString(16)}`.slice(-8);
+}
+
+/**
+ * 根据 key 生成文件名，保留 url 中的扩展名，以便 openDocument、previewImage 识别文件类型
+ * @param {string} key
+ * @param {string} url
+ */
+function fileName(key, url) {
+  const pathname = String(url).split(/[?#]/)[0];
+  const match = /\.([a-z0-9]{1,8})$/i.exec(pathname.slice(pathname.lastIndexOf('/') + 1));
+  return `${fnv1a(key, 0x811c9dc5)}${fnv1a(key, 0x050c5d1f)}${match ? `.${match[1].toLowerCase()}` : ''}`;
+}
+
+/**
+ * 下载缓存：downloadFile 的临时文件随时可能被清理，开启缓存后文件保存到用户目录（wx.env.USER_DATA_PATH），
+ * 相同 url 再次下载时直接返回本地文件；总大小超过 maxSize 时删除最久未使用的文件
+ *
+ * 文件索引（url → 路径、大小、最后使用时间）保存在本地缓存中，小程序重启后仍可命中
+ */
+class DownloadCache {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   dir         {string}  否  默认值： 'mp-wx-sdk-downloads'  保存文件的目录，相对于用户目录
+   *                            maxSize     {number}  否  默认值： 52428800  缓存文件的总大小上限，单位B
+   *                            maxAge      {number}  否  默认值： 0  缓存有效期，单位ms，0 表示不过期
+   *                            namespace   {string}  否  默认值： 'mp-wx-sdk:downloads'  文件索引在本地缓存中的命名空间
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.storage = sdk.storage.namespace(this.options.namespace);
+    this.entries = null;
+    this.loading = null;
+    this.inflight = new Map();
+    this.writing = Promise.resolve();
+    this.saving = Promise.resolve();
+  }
+  /**
+   * 缓存目录的完整路径
+   * @returns {string}
+   */
+  dir() {
+    return this.sdk.fs.userPath(this.options.dir);
+  }
+  /**
+   * 读取文件索引
+   * @returns {Promise}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.storage.get('entries', {})
+        .catch(() => ({}))
+        .then(entries => {
+          this.entries = Object.assign({}, entries);
+          return this.entries;
+        });
+    }
+    return this.loading;
+  }
+  /**
+   * 按顺序写入文件索引
+   */
+  save() {
+    this.saving = this.saving
+      .then(() => this.storage.set('entries', this.entries))
+      .catch(() => {});
+    return this.saving;
+  }
+  /**
+   * 带缓存的下载，相同 key 且 header、timeout、validateStatus 都相同的并发下载只发出一次
+   * 命中缓存时 resolve { tempFilePath, filePath, statusCode: 200, fromCache: true }，
+   * 下载成功时 tempFilePath 为保存后的本地文件路径；状态码不是 2xx、文件超过 maxSize 或保存失败时返回原始结果，不写入缓存
+   * 共享的下载不带任何调用方的取消参数，cancelToken、signal 与返回的 abort 只取消当前调用方，全部调用方都取消后才中断下载
+   *
+   * @param {object}        options   是  downloadFile 参数，开启缓存时不支持 filePath
+   * @param {boolean/object} cache    是  缓存策略，见 WeChat.downloadFile 的 cache 参数
+   * @param {function}      fetch     是  (options) => Promise，实际发起下载的函数，options 中不包含 cancelToken、signal
+   * @returns {Promise}               promise.task   共享的 DownloadTask，命中缓存时为 undefined
+   *                                  promise.abort  取消当前调用
+   */
+  download(options, cache, fetch) {
+    const { cancelToken, signal, ...params } = options;
+    const policy = Object.assign({ maxAge: this.options.maxAge, key: undefined }, typeof cache === 'object' ? cache : {});
+    const key = policy.key || params.url;
+    const inflightKey = ResponseCache.shareKey(key, {
+      header: params.header,
+      timeout: params.timeout,
+      validateStatus: params.validateStatus,
+    });
+    let shared = this.inflight.get(inflightKey);
+    if (!shared || shared.closed) {
+      let request = null;
+      let cancelled = null;
+      const pending = Promise.resolve(this.lookup(key, policy))
+        .then(hit => {
+          if (hit) {
+            return hit;
+          }
+          if (cancelled) {
+            throw new CancelError(cancelled.reason);
+          }
+          request = fetch(params);
+          return request.then(res => this.store(key, params.url, res));
+        })
+        .finally(() => {
+          if (this.inflight.get(inflightKey) === current) {
+            this.inflight.delete(inflightKey);
+          }
+        });
+      pending.abort = reason => {
+        cancelled = { reason };
+        if (request) {
+          request.abort(reason);
+        }
+      };
+      Object.defineProperty(pending, 'task', {
+        get: () => (request ? request.task : undefined),
+      });
+      const current = share(pending);
+      shared = current;
+      this.inflight.set(inflightKey, current);
+    }
+    const joined = shared.join({ cancelToken, signal });
+    const task = shared.promise;
+    Object.defineProperty(joined, 'task', {
+      enumerable: true,
+      get: () => task.task,
+    });
+    return joined;
+  }
+  /**
+   * 查找缓存，文件已被删除或过期时移除索引
+   * @param {string} key
+   * @param {object} policy
+   */
+  async lookup(key, policy) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry) {
+      return null;
+    }
+    const expired = policy.maxAge > 0 && Date.now() - entry.createdAt >= policy.maxAge;
+    if (expired || !(await this.sdk.fs.exists(entry.path))) {
+      await this.remove(key);
+      return null;
+    }
+    entry.lastUsed = Date.now();
+    this.save();
+    return {
+      errMsg: 'downloadFile:ok',
+      statusCode: 200,
+      tempFilePath: entry.path,
+      filePath: entry.path,
+      fromCache: true,
+    };
+  }
+  /**
+   * 将下载的临时文件保存到缓存目录，多个文件依次保存，保证淘汰时的总大小准确
+   * @param {string} key
+   * @param {string} url
+   * @param {object} res  downloadFile 的返回值
+   */
+  store(key, url, res) {
+    if (!(res.statusCode >= 200 && res.statusCode < 300) || !res.tempFilePath) {
+      return res;
+    }
+    const task = this.writing.then(async () => {
+      const fs = this.sdk.fs;
+      const { size } = await fs.getFileInfo(res.tempFilePath);
+      if (size > this.options.maxSize) {
+        return res;
+      }
+      const path = `${this.dir()}/${fileName(key, url)}`;
+      await this.load();
+      // 删除旧文件以及文件名相同的其他条目，再为新文件腾出空间
+      await Promise.all(Object.keys(this.entries)
+        .filter(other => other === key || this.entries[other].path === path)
+        .map(other => this.remove(other)));
+      await this.evict(this.options.maxSize - size);
+      await fs.mkdir(this.dir());
+      const savedFilePath = await fs.saveFile(res.tempFilePath, path);
+      const now = Date.now();
+      this.entries[key] = { path: savedFilePath, size, createdAt: now, lastUsed: now };
+      await this.save();
+      return Object.assign({}, res, { tempFilePath: savedFilePath, filePath: savedFilePath, fromCache: false });
+    }).catch(() => res);
+    this.writing = task;
+    return task;
+  }
+  /**
+   * 删除最久未使用的文件，直到总大小不超过 budget
+   * @param {number} budget
+   */
+  async evict(budget) {
+    const keys = Object.keys(this.entries).sort((a, b) => this.entries[a].lastUsed - this.entries[b].lastUsed);
+    let total = keys.reduce((sum, key) => sum + this.entries[key].size, 0);
+    for (let i = 0; i < keys.length && total > budget; i++) {
+      total -= this.entries[keys[i]].size;
+      await this.remove(keys[i]);
+    }
+  }
+  /**
+   * 删除指定 url 的缓存文件
+   *
+   * @param {string}  key   是  缓存 key，默认为 url
+   * @returns {Promise}
+   */
+  async remove(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry) {
+      return;
+    }
+    delete entries[key];
+    await this.sdk.fs.unlink(entry.path).catch(() => {});
+    await this.save();
+  }
+  /**
+   * 删除全部缓存文件
+   * @returns {Promise}
+   */
+  async clear() {
+    const entries = await this.load();
+    await Promise.all(Object.keys(entries).map(key => this.remove(key)));
+  }
+  /**
+   * 缓存统计
+   *
+   * @returns {Promise}         count     {number}  文件数
+   *                            size      {number}  总大小，单位B
+   *                            maxSize   {number}  总大小上限，单位B
+   */
+  async stats() {
+    const entries = await this.load();
+    const keys = Object.keys(entries);
+    return {
+      count: keys.length,
+      size: keys.reduce((sum, key) => sum + entries[key].size, 0),
+      maxSize: this.options.maxSize,
+    };
+  }
+}
+
+module.exports = DownloadCache;
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * 简单的事件订阅
+ */
+class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+  /**
+   * 监听事件
+   *
+   * @param {string}    event   是  事件名称
+   * @param {function}  fn      是  回调函数
+   * @returns {function}        取消监听的函数
+   */
+  on(event, fn) {
+    (this.listeners[event] = this.listeners[event] || []).push(fn);
+    return () => this.off(event, fn);
+  }
+  /**
+   * 监听一次事件
+   *
+   * @param {string}    event   是  事件名称
+   * @param {function}  fn      是  回调函数
+   * @returns {function}        取消监听的函数
+   */
+  once(event, fn) {
+    const off = this.on(event, (...args) => {
+      off();
+      fn(...args);
+    });
+    return off;
+  }
+  /**
+   * 取消监听，不传 fn 时取消该事件的全部监听
+   *
+   * @param {string}    event   是  事件名称
+   * @param {function}  fn      否  回调函数
+   */
+  off(event, fn) {
+    if (!this.listeners[event]) {
+      return;
+    }
+    this.listeners[event] = fn ? this.listeners[event].filter(item => item !== fn) : [];
+  }
+  /**
+   * 触发事件
+   *
+   * @param {string}  event   是  事件名称
+   * @param {...*}    args    否  回调参数
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).slice().forEach(fn => fn(...args));
+  }
+}
+module.exports = Emitter;
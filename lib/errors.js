@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * 服务器返回了不符合 validateStatus 的 HTTP 状态码
+ */
+class HttpError extends Error {
+  /**
+   * @param {object}  response  wx.request 等接口 success 回调的返回值
+   * @param {object}  options   发起请求时的参数
+   */
+  constructor(response, options) {
+    super(`Request failed with status code ${response.statusCode}`);
+    this.name = 'HttpError';
+    this.statusCode = response.statusCode;
+    this.header = response.header;
+    this.data = response.data;
+    this.errMsg = response.errMsg;
+    this.response = response;
+    this.options = options;
+  }
+}
+
+/**
+ * 接口进入 fail 回调（超时、中断、域名不在白名单等），未收到服务器响应
+ */
+class RequestError extends Error {
+  /**
+   * @param {object}  res       fail 回调的返回值，errMsg 形如 "request:fail timeout"
+   * @param {object}  options   发起请求时的参数
+   */
+  constructor(res = {}, options) {
+    const errMsg = res.errMsg || '';
+    const match = /^(\w+):fail\s*(.*)$/.exec(errMsg);
+    super(errMsg || 'Request failed');
+    this.name = 'RequestError';
+    this.errMsg = errMsg;
+    this.errno = res.errno;
+    this.api = match ? match[1] : undefined;
+    this.reason = match ? match[2] : errMsg;
+    this.type = RequestError.parseType(this.reason);
+    this.options = options;
+  }
+  /**
+   * 根据失败原因归类
+   *
+   * @param {string}  reason    errMsg 中 fail 之后的部分
+   * @returns {string}          timeout      请求超时
+   *                            interrupted  小程序进入后台后请求被中断
+   *                            domain       域名不在合法域名列表中
+   *                            abort        请求被主动取消
+   *                            network      其他网络错误
+   */
+  static parseType(reason = '') {
+    if (/time(d)?\s*out/i.test(reason)) {
+      return 'timeout';
+    }
+    if (/interrupted/i.test(reason)) {
+      return 'interrupted';
+    }
+    if (/domain/i.test(reason)) {
+      return 'domain';
+    }
+    if (/abort/i.test(reason)) {
+      return 'abort';
+    }
+    return 'network';
+  }
+}
+
+/**
+ * 请求被 CancelToken / AbortSignal / promise.abort() 取消
+ */
+class CancelError extends Error {
+  /**
+   * @param {string}  reason    否  取消原因
+   */
+  constructor(reason) {
+    super(reason || 'Request cancelled');
+    this.name = 'CancelError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * 用户拒绝授权 scope
+ */
+class ScopeDeniedError extends Error {
+  /**
+   * @param {string}  scope     是  被拒绝的 scope，如 scope.writePhotosAlbum
+   */
+  constructor(scope) {
+    super(`${scope} denied`);
+    this.name = 'ScopeDeniedError';
+    this.scope = scope;
+  }
+}
+
+/**
+ * 当前宿主环境或基础库版本不支持该接口
+ */
+class UnsupportedApiError extends Error {
+  /**
+   * @param {string}  api         是  接口名称
+   * @param {object}  detail      minVersion  {string}  否  接口要求的最低基础库版本
+   *                              SDKVersion  {string}  否  当前基础库版本
+   */
+  constructor(api, detail = {}) {
+    const version = detail.minVersion ? `，需要基础库 ${detail.minVersion}，当前为 ${detail.SDKVersion || '未知'}` : '';
+    super(`不支持的接口 ${api}${version}`);
+    this.name = 'UnsupportedApiError';
+    this.api = api;
+    this.minVersion = detail.minVersion;
+    this.SDKVersion = detail.SDKVersion;
+  }
+}
+
+/**
+ * 接口只能在用户点击（bindtap 等）的回调中同步调用，如 requestSubscribeMessage
+ */
+class GestureRequiredError extends Error {
+  /**
+   * @param {string}  api       是  接口名称
+   * @param {object}  res       否  fail 回调的返回值
+   */
+  constructor(api, res = {}) {
+    super(`${api} 只能在用户点击事件的回调中调用，不能放在异步操作（如 await、setTimeout、请求回调）之后`);
+    this.name = 'GestureRequiredError';
+    this.api = api;
+    this.errMsg = res.errMsg;
+    this.errCode = res.errCode;
+  }
+}
+
+/**
+ * FileSystemManager 的接口进入 fail 回调（文件不存在、已存在、超出存储空间等）
+ */
+class FileSystemError extends Error {
+  /**
+   * @param {object}  res       fail 回调的返回值，errMsg 形如 "readFile:fail no such file or directory ..."
+   * @param {object}  options   调用时的参数
+   */
+  constructor(res = {}, options) {
+    const errMsg = res.errMsg || '';
+    const match = /^(\w+):fail\s*(.*)$/.exec(errMsg);
+    super(errMsg || 'File system operation failed');
+    this.name = 'FileSystemError';
+    this.errMsg = errMsg;
+    this.errno = res.errno;
+    this.api = match ? match[1] : undefined;
+    this.reason = match ? match[2] : errMsg;
+    this.type = FileSystemError.parseType(this.reason);
+    this.options = options;
+  }
+  /**
+   * 根据失败原因归类
+   *
+   * @param {string}  reason    errMsg 中 fail 之后的部分
+   * @returns {string}          notFound    文件或目录不存在
+   *                            exists      文件或目录已存在
+   *                            quota       超出本地文件存储上限
+   *                            permission  没有读写权限（如非用户目录）
+   *                            other       其他错误
+   */
+  static parseType(reason = '') {
+    if (/no such file or directory/i.test(reason)) {
+      return 'notFound';
+    }
+    if (/already exists/i.test(reason)) {
+      return 'exists';
+    }
+    if (/exceed|storage limit/i.test(reason)) {
+      return 'quota';
+    }
+    if (/permission denied/i.test(reason)) {
+      return 'permission';
+    }
+    return 'other';
+  }
+}
+
+module.exports = {
+  HttpError,
+  RequestError,
+  FileSystemError,
+  CancelError,
+  ScopeDeniedError,
+  UnsupportedApiError,
+  GestureRequiredError,
+};
@@ -0,0 +1,57 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+ * 将事件订阅转换为异步迭代器，未被读取的事件会缓存
+ *
+ * @param {function}  subscribe   是  subscribe(push, finish)，push 推入一个事件，finish 结束迭代；返回取消订阅的函数
+ * @returns {AsyncIterator}       迭代器的 return()（如 for await 中 break）会取消订阅
+ */
+function eventIterator(subscribe) {
+  const buffer = [];
+  const waiting = [];
+  let done = false;
+  let unsubscribe = () => {};
+  const push = value => {
+    if (done) {
+      return;
+    }
+    if (waiting.length) {
+      waiting.shift()({ value, done: false });
+    } else {
+      buffer.push(value);
+    }
+  };
+  const finish = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    unsubscribe();
+    waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+  };
+  unsubscribe = subscribe(push, finish) || unsubscribe;
+  if (done) {
+    unsubscribe();
+  }
+  return {
+    next() {
+      if (buffer.length) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    return() {
+      buffer.length = 0;
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+module.exports = eventIterator;
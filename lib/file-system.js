@@ -0,0 +1,229 @@
+'use strict';
+const Promise = require('bluebird');
+const { FileSystemError } = require('./errors');
+
+/**
+ * 调用 FileSystemManager 的回调接口，fail 转换为 FileSystemError
+ * @param {FileSystemManager} fs
+ * @param {string} method
+ * @param {object} options
+ */
+function fsCall(fs, method, options) {
+  return new Promise((resolve, reject) => {
+    fs[method](Object.assign({}, options, {
+      success: resolve,
+      fail: err => reject(new FileSystemError(err, options)),
+    }));
+  });
+}
+
+/**
+ * 字符串参数视为 encoding，对象参数原样合并
+ * @param {string/object} options
+ */
+function withEncoding(options) {
+  return typeof options === 'string' ? { encoding: options } : Object.assign({}, options);
+}
+
+/**
+ * 文件系统：wx.getFileSystemManager() 的 Promise 封装，失败时 reject FileSystemError（errMsg、reason、type）
+ * 配置了 telemetry 时每次调用生成埋点事件，api 为 FileSystemManager.readFile 等
+ *
+ *    const text = await WeChat.fs.readFile(`${wx.env.USER_DATA_PATH}/a.json`, 'utf8');
+ */
+class FileSystem {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.manager = null;
+  }
+  /**
+   * 第一次使用时获取 FileSystemManager
+   * @returns {FileSystemManager}
+   */
+  getManager() {
+    if (!this.manager) {
+      this.manager = this.sdk.invokeSync('getFileSystemManager');
+    }
+    return this.manager;
+  }
+  /**
+   * 调用 FileSystemManager 的任意回调接口
+   *
+   * @param {string}  method    是  接口名称，如 'truncate'
+   * @param {object}  options   否  接口参数
+   * @returns {Promise}         success 回调的返回值
+   */
+  call(method, options) {
+    const manager = this.getManager();
+    const trace = this.sdk.telemetry.trace(`FileSystemManager.${method}`, options);
+    const promise = fsCall(manager, method, options);
+    if (!trace) {
+      return promise;
+    }
+    return promise.then(res => {
+      trace.end(null, res);
+      return res;
+    }, err => {
+      trace.end(err);
+      throw err;
+    });
+  }
+  /**
+   * 用户目录 wx.env.USER_DATA_PATH，其中的文件不会被自动清理
+   *
+   * @param {...string} paths  否  拼接在用户目录之后的路径
+   * @returns {string}
+   */
+  userPath(...paths) {
+    const env = this.sdk.wx.env || {};
+    return [env.USER_DATA_PATH].concat(paths).join('/');
+  }
+  /**
+   * 文件或目录是否存在
+   *
+   * @param {string}  path      是  文件或目录路径
+   * @returns {Promise}         resolve boolean
+   */
+  exists(path) {
+    return this.call('access', { path }).then(() => true, () => false);
+  }
+  /**
+   * 读取文件
+   *
+   * @param {string}          filePath  是  文件路径
+   * @param {string/object}   options   否  编码，如 'utf8'，不传时读取 ArrayBuffer；或 { encoding, position, length }
+   * @returns {Promise}                 resolve 文件内容
+   */
+  readFile(filePath, options) {
+    return this.call('readFile', Object.assign(withEncoding(options), { filePath })).then(res => res.data);
+  }
+  /**
+   * 写入文件，文件存在时覆盖
+   *
+   * @param {string}                filePath  是  文件路径
+   * @param {string/ArrayBuffer}    data      是  写入的内容
+   * @param {string/object}         options   否  编码，默认值： 'utf8'；或 { encoding }
+   * @returns {Promise}
+   */
+  writeFile(filePath, data, options) {
+    return this.call('writeFile', Object.assign(withEncoding(options), { filePath, data }));
+  }
+  /**
+   * 在文件末尾追加内容
+   *
+   * @param {string}                filePath  是  文件路径
+   * @param {string/ArrayBuffer}    data      是  追加的内容
+   * @param {string/object}         options   否  编码，同 writeFile
+   * @returns {Promise}
+   */
+  appendFile(filePath, data, options) {
+    return this.call('appendFile', Object.assign(withEncoding(options), { filePath, data }));
+  }
+  /**
+   * 创建目录，默认同时创建上级目录，目录已存在时直接 resolve
+   *
+   * @param {string}  dirPath   是  目录路径
+   * @param {boolean} recursive 否  默认值： true  是否同时创建上级目录
+   * @returns {Promise}
+   */
+  mkdir(dirPath, recursive = true) {
+    return this.call('mkdir', { dirPath, recursive }).catch(err => {
+      if (err.type === 'exists') {
+        return undefined;
+      }
+      throw err;
+    });
+  }
+  /**
+   * 读取目录内的文件列表
+   *
+   * @param {string}  dirPath   是  目录路径
+   * @returns {Promise}         resolve 文件名数组
+   */
+  readdir(dirPath) {
+    return this.call('readdir', { dirPath }).then(res => res.files);
+  }
+  /**
+   * 获取文件信息
+   *
+   * @param {string}  path      是  文件或目录路径
+   * @param {boolean} recursive 否  默认值： false  是否递归获取目录下每个文件的信息
+   * @returns {Promise}         resolve Stats（size、lastModifiedTime、isFile()、isDirectory()），recursive 时为 { path: Stats }
+   */
+  stat(path, recursive = false) {
+    return this.call('stat', { path, recursive }).then(res => res.stats);
+  }
+  /**
+   * 删除文件
+   *
+   * @param {string}  filePath  是  文件路径
+   * @returns {Promise}
+   */
+  unlink(filePath) {
+    return this.call('unlink', { filePath });
+  }
+  /**
+   * 删除目录
+   *
+   * @param {string}  dirPath   是  目录路径
+   * @param {boolean} recursive 否  默认值： false  是否同时删除目录内的文件
+   * @returns {Promise}
+   */
+  rmdir(dirPath, recursive = false) {
+    return this.call('rmdir', { dirPath, recursive });
+  }
+  /**
+   * 复制文件
+   *
+   * @param {string}  srcPath   是  源文件路径
+   * @param {string}  destPath  是  目标文件路径
+   * @returns {Promise}
+   */
+  copyFile(srcPath, destPath) {
+    return this.call('copyFile', { srcPath, destPath });
+  }
+  /**
+   * 重命名或移动文件
+   *
+   * @param {string}  oldPath   是  源文件路径
+   * @param {string}  newPath   是  新文件路径
+   * @returns {Promise}
+   */
+  rename(oldPath, newPath) {
+    return this.call('rename', { oldPath, newPath });
+  }
+  /**
+   * 将临时文件保存到本地，保存后临时文件不可再使用
+   *
+   * @param {string}  tempFilePath  是  临时文件路径
+   * @param {string}  filePath      否  保存的路径，不传时由微信生成
+   * @returns {Promise}             resolve 保存后的文件路径
+   */
+  saveFile(tempFilePath, filePath) {
+    const options = { tempFilePath };
+    if (filePath) {
+      options.filePath = filePath;
+    }
+    return this.call('saveFile', options).then(res => res.savedFilePath);
+  }
+  /**
+   * 获取文件大小与摘要
+   *
+   * @param {string}  filePath      是  文件路径
+   * @param {string}  digestAlgorithm 否  默认值： 'md5'  摘要算法（可选值：md5 / sha1）
+   * @returns {Promise}             size    {number}  文件大小，单位B
+   *                                digest  {string}  文件摘要
+   */
+  getFileInfo(filePath, digestAlgorithm) {
+    const options = { filePath };
+    if (digestAlgorithm) {
+      options.digestAlgorithm = digestAlgorithm;
+    }
+    return this.call('getFileInfo', options);
+  }
+}
+
+module.exports = FileSystem;
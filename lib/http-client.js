@@ -0,0 +1,176 @@
+'use strict';
+const Promise = require('bluebird');
+const InterceptorManager = require('./interceptor-manager');
+const { describeError } = require('./ui');
+
+/**
+ * 判断是否为绝对地址（带协议头）
+ * @param {string} url
+ */
+function isAbsoluteURL(url) {
+  return /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+}
+
+/**
+ * 拼接 baseURL 与相对地址
+ * @param {string} baseURL
+ * @param {string} url
+ */
+function combineURL(baseURL, url) {
+  if (!baseURL || isAbsoluteURL(url)) {
+    return url;
+  }
+  if (!url) {
+    return baseURL;
+  }
+  return baseURL.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '');
+}
+
+/**
+ * 请求客户端，在 WeChat.request 之上提供 baseURL、默认 header 以及请求/响应拦截器
+ */
+class HttpClient {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例，最终通过 sdk.request 发起请求
+   * @param {object}  config    baseURL   {string}    否  接口地址前缀，url 为绝对地址时忽略
+   *                            headers   {Object}    否  默认请求 header，会与每次请求的 header 合并
+   *                            timeout   {number}    否  默认超时时间，单位ms
+   *                            session   {Session}   否  登录态管理，传入时自动携带 token 并在登录失效时重新登录
+   *                            loading   {boolean/string}    否  请求期间通过 sdk.ui 显示 loading，为字符串时作为提示内容
+   *                            errorToast  {boolean/function}  否  请求失败时通过 sdk.ui 显示 toast，为函数时 (error) => string 返回提示内容，返回空值不提示
+   */
+  constructor(sdk, config = {}) {
+    const { session, ...defaults } = config;
+    this.sdk = sdk;
+    this.defaults = Object.assign({ baseURL: '' }, defaults, {
+      headers: Object.assign({}, defaults.headers),
+    });
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager(),
+    };
+    if (session) {
+      session.attach(this);
+    }
+  }
+  /**
+   * 合并默认配置与单次请求配置
+   * @param {object} options
+   */
+  mergeConfig(options = {}) {
+    const { headers, ...defaults } = this.defaults;
+    const config = Object.assign({}, defaults, options);
+    config.header = Object.assign({}, headers, options.headers, options.header);
+    delete config.headers;
+    return config;
+  }
+  /**
+   * 发起请求，依次经过请求拦截器、WeChat.request、响应拦截器
+   * 请求拦截器后注册的先执行，响应拦截器先注册的先执行
+   *
+   * @param {object}  options   与 WeChat.request 参数相同，另支持 baseURL、headers、loading、errorToast
+   * @returns {Promise}         经过响应拦截器处理后的结果
+   */
+  request(options) {
+    const config = this.mergeConfig(options);
+    let promise = this.send(config);
+    this.interceptors.response.forEach(({ fulfilled, rejected }) => {
+      promise = promise.then(fulfilled, rejected);
+    });
+    return this.feedback(promise, config);
+  }
+  /**
+   * 依次经过请求拦截器与 WeChat.request，不经过响应拦截器
+   * 供响应拦截器重放请求（如 Session 重新登录后），重放的响应交给后面的响应拦截器继续处理
+   *
+   * @param {object}  config    是  请求配置，如响应中的 res.config
+   * @returns {Promise}         WeChat.request 的结果，res.config 为实际发出的参数
+   */
+  send(config) {
+    const chain = [];
+    this.interceptors.request.forEach(({ fulfilled, rejected }) => {
+      chain.unshift(fulfilled, rejected);
+    });
+    let promise = Promise.resolve(config);
+    while (chain.length) {
+      promise = promise.then(chain.shift(), chain.shift());
+    }
+    return promise.then(next => this.dispatch(next));
+  }
+  /**
+   * 按 loading、errorToast 配置显示界面反馈
+   * @param {Promise} promise
+   * @param {object}  config
+   */
+  feedback(promise, config) {
+    const { loading, errorToast } = config;
+    const ui = this.sdk.ui;
+    let result = promise;
+    if (loading) {
+      result = ui.withLoading(result, typeof loading === 'string' ? loading : undefined);
+    }
+    if (errorToast) {
+      result = result.catch(error => {
+        const title = typeof errorToast === 'function' ? errorToast(error) : describeError(error);
+        if (title) {
+          ui.toast(title);
+        }
+        throw error;
+      });
+    }
+    return result;
+  }
+  /**
+   * 将合并后的配置转换为 wx.request 参数并发出，响应的 config 为实际发出的参数
+   * @param {object} config
+   */
+  dispatch(config) {
+    const { baseURL, loading, errorToast, ...options } = config;
+    options.url = combineURL(baseURL, options.url || '');
+    return this.sdk.request(options).then(res => {
+      res.config = options;
+      return res;
+    });
+  }
+  /**
+   * 发起 GET 请求
+   * @param {string} url                          是  接口地址，相对地址会拼接 baseURL
+   * @param {string/object/ArrayBuffer} data      否  请求的参数
+   * @param {Object} header                       否  本次请求额外的 header
+   * @param {object} options                      否  其他请求参数，如 validateStatus
+   */
+  get(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'GET', url, data, header }));
+  }
+  /**
+   * 发起 POST 请求
+   * @param {string} url                          是  接口地址，相对地址会拼接 baseURL
+   * @param {string/object/ArrayBuffer} data      否  请求的参数
+   * @param {Object} header                       否  本次请求额外的 header
+   * @param {object} options                      否  其他请求参数，如 validateStatus
+   */
+  post(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'POST', url, data, header }));
+  }
+  /**
+   * 发起 PUT 请求
+   * @param {string} url                          是  接口地址，相对地址会拼接 baseURL
+   * @param {string/object/ArrayBuffer} data      否  请求的参数
+   * @param {Object} header                       否  本次请求额外的 header
+   * @param {object} options                      否  其他请求参数，如 validateStatus
+   */
+  put(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'PUT', url, data, header }));
+  }
+  /**
+   * 发起 DELETE 请求
+   * @param {string} url                          是  接口地址，相对地址会拼接 baseURL
+   * @param {string/object/ArrayBuffer} data      否  请求的参数
+   * @param {Object} header                       否  本次请求额外的 header
+   * @param {object} options                      否  其他请求参数，如 validateStatus
+   */
+  delete(url = '', data = {}, header, options) {
+    return this.request(Object.assign({}, options, { method: 'DELETE', url, data, header }));
+  }
+}
+module.exports = HttpClient;
@@ -0,0 +1,84 @@
+'use strict';
+const Promise = require('bluebird');
+const { RequestError } = require('./errors');
+
+/**
+ * 选择图片，用户取消时返回空数组
+ * @param {WeChat} sdk
+ * @param {string} source
+ * @param {object} options  chooseImage / chooseMessageFile 的参数
+ * @returns {Promise}   Array.<{ path, size }>
+ */
+async function choose(sdk, source, options) {
+  const count = options.count || 9;
+  let res;
+  try {
+    res = source === 'chooseMessageFile'
+      ? await sdk.chooseMessageFile(Object.assign({}, options, { count, type: 'image' }))
+      : await sdk.chooseImage(Object.assign({}, options, { count }));
+  } catch (e) {
+    if (/:fail\s*cancel/.test((e && e.errMsg) || '')) {
+      return [];
+    }
+    throw e;
+  }
+  return (res.tempFiles || (res.tempFilePaths || []).map(path => ({ path }))).slice(0, count);
+}
+
+/**
+ * 读取尺寸，超过 maxSize 或 maxWidth 时压缩
+ * @param {WeChat} sdk
+ * @param {object} file
+ * @param {object} options
+ */
+async function prepare(sdk, file, options) {
+  const { maxSize, maxWidth, quality = 80 } = options;
+  const { width, height, type } = await sdk.getImageInfo({ src: file.path });
+  const item = { path: file.path, filePath: file.path, size: file.size, width, height, type, compressed: false };
+  const overSize = maxSize > 0 && file.size > maxSize;
+  const overWidth = maxWidth > 0 && width > maxWidth;
+  if (overSize || overWidth) {
+    const params = { src: file.path, quality };
+    if (overWidth) {
+      params.compressedWidth = maxWidth;
+    }
+    const { tempFilePath } = await sdk.compressImage(params);
+    item.filePath = tempFilePath;
+    item.compressed = true;
+  }
+  return item;
+}
+
+/**
+ * 选择图片 → getImageInfo → 超出预算时 compressImage → 并发 uploadFile
+ * 单张图片失败不影响其他图片，结果按选择顺序返回
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {object}  options   见 WeChat.pickAndUploadImages
+ * @returns {Promise}         Array.<object>，用户取消选择时为空数组
+ */
+async function pickAndUploadImages(sdk, options = {}) {
+  const { upload, concurrency = 3, retry, maxSize, maxWidth, quality, source = 'chooseImage', ...chooseOptions } = options;
+  if (typeof upload !== 'function') {
+    throw new Error('upload 必须是函数');
+  }
+  const files = await choose(sdk, source, chooseOptions);
+  return Promise.map(files, async (file, index) => {
+    const result = { index, path: file.path, size: file.size, ok: false };
+    try {
+      Object.assign(result, await prepare(sdk, file, { maxSize, maxWidth, quality }));
+      const params = await upload(result);
+      result.response = await sdk.uploadFile(Object.assign({ name: 'file', validateStatus: true, retry }, params, {
+        filePath: result.filePath,
+      }));
+      result.ok = true;
+    } catch (e) {
+      result.error = e instanceof Error ? e : new RequestError(e);
+    }
+    return result;
+  }, { concurrency });
+}
+
+module.exports = {
+  pickAndUploadImages,
+};
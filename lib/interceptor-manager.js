@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * 拦截器管理，按注册顺序保存 fulfilled / rejected 处理函数
+ */
+class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+  /**
+   * 注册拦截器
+   *
+   * @param {function}  fulfilled   否  处理配置或响应，返回值（或 Promise）会传给下一个拦截器
+   * @param {function}  rejected    否  处理上一步抛出的错误
+   * @returns {number}              拦截器 id，可传给 eject 移除
+   */
+  use(fulfilled, rejected) {
+    this.handlers.push({ fulfilled, rejected });
+    return this.handlers.length - 1;
+  }
+  /**
+   * 移除拦截器
+   *
+   * @param {number}  id   是  use 返回的拦截器 id
+   */
+  eject(id) {
+    if (this.handlers[id]) {
+      this.handlers[id] = null;
+    }
+  }
+  /**
+   * 遍历已注册的拦截器（跳过已移除的）
+   *
+   * @param {function}  fn   是  回调函数，参数为 { fulfilled, rejected }
+   */
+  forEach(fn) {
+    this.handlers.forEach(handler => {
+      if (handler !== null) {
+        fn(handler);
+      }
+    });
+  }
+}
+module.exports = InterceptorManager;
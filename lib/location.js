@@ -0,0 +1,253 @@
+'use strict';
+const Promise = require('bluebird');
+const authorize = require('./authorize');
+
+/**
+ * 地球平均半径，单位：m
+ */
+const EARTH_RADIUS = 6371000;
+
+/**
+ * GCJ-02 使用的克拉索夫斯基椭球参数
+ */
+const KRASOVSKY_A = 6378245.0;
+const KRASOVSKY_EE = 0.00669342162296594323;
+
+const rad = degree => degree * Math.PI / 180;
+
+/**
+ * 两点间的球面距离（haversine）
+ *
+ * @param {object}  from    是  { latitude, longitude }
+ * @param {object}  to      是  { latitude, longitude }
+ * @returns {number}        距离，单位：m
+ */
+function distance(from, to) {
+  const dLat = rad(to.latitude - from.latitude);
+  const dLng = rad(to.longitude - from.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * 是否在中国大陆范围外（范围外的坐标不做偏移）
+ * @param {number} latitude
+ * @param {number} longitude
+ */
+function outOfChina(latitude, longitude) {
+  return longitude < 72.004 || longitude > 137.8347 || latitude < 0.8293 || latitude > 55.8271;
+}
+
+/**
+ * GCJ-02 纬度偏移量，x、y 为相对 (105, 35) 的经纬度差
+ * @param {number} x
+ * @param {number} y
+ */
+function transformLat(x, y) {
+  let ret = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+  ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+  ret += (20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin(y / 3.0 * Math.PI)) * 2.0 / 3.0;
+  ret += (160.0 * Math.sin(y / 12.0 * Math.PI) + 320 * Math.sin(y * Math.PI / 30.0)) * 2.0 / 3.0;
+  return ret;
+}
+
+/**
+ * GCJ-02 经度偏移量
+ * @param {number} x
+ * @param {number} y
+ */
+function transformLng(x, y) {
+  let ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+  ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+  ret += (20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin(x / 3.0 * Math.PI)) * 2.0 / 3.0;
+  ret += (150.0 * Math.sin(x / 12.0 * Math.PI) + 300.0 * Math.sin(x / 30.0 * Math.PI)) * 2.0 / 3.0;
+  return ret;
+}
+
+/**
+ * WGS84 坐标（GPS）转换为 GCJ-02 坐标（国测局，wx.getLocation 默认返回、地图组件使用的坐标）
+ *
+ * @param {object}  point   是  { latitude, longitude }
+ * @returns {object}        { latitude, longitude }，其他字段原样保留
+ */
+function wgs84ToGcj02(point) {
+  const { latitude, longitude } = point;
+  if (outOfChina(latitude, longitude)) {
+    return Object.assign({}, point);
+  }
+  let dLat = transformLat(longitude - 105.0, latitude - 35.0);
+  let dLng = transformLng(longitude - 105.0, latitude - 35.0);
+  const radLat = rad(latitude);
+  let magic = Math.sin(radLat);
+  magic = 1 - KRASOVSKY_EE * magic * magic;
+  const sqrtMagic = Math.sqrt(magic);
+  dLat = (dLat * 180.0) / ((KRASOVSKY_A * (1 - KRASOVSKY_EE)) / (magic * sqrtMagic) * Math.PI);
+  dLng = (dLng * 180.0) / (KRASOVSKY_A / sqrtMagic * Math.cos(radLat) * Math.PI);
+  return Object.assign({}, point, { latitude: latitude + dLat, longitude: longitude + dLng });
+}
+
+/**
+ * GCJ-02 坐标转换为 WGS84 坐标，迭代逼近，误差小于 1e-7 度
+ *
+ * @param {object}  point   是  { latitude, longitude }
+ * @returns {object}        { latitude, longitude }，其他字段原样保留
+ */
+function gcj02ToWgs84(point) {
+  const { latitude, longitude } = point;
+  if (outOfChina(latitude, longitude)) {
+    return Object.assign({}, point);
+  }
+  let wgs = { latitude, longitude };
+  for (let i = 0; i < 10; i++) {
+    const gcj = wgs84ToGcj02(wgs);
+    const dLat = gcj.latitude - latitude;
+    const dLng = gcj.longitude - longitude;
+    wgs = { latitude: wgs.latitude - dLat, longitude: wgs.longitude - dLng };
+    if (Math.abs(dLat) < 1e-9 && Math.abs(dLng) < 1e-9) {
+      break;
+    }
+  }
+  return Object.assign({}, point, wgs);
+}
+
+/**
+ * 节流位置回调：距上次回调不足 interval 或移动距离不足 distance 时丢弃，第一个位置总是回调
+ *
+ * @param {function}  listener  是  (position) => void
+ * @param {object}    options   interval  {number}  否  默认值： 0  最短回调间隔，单位ms
+ *                              distance  {number}  否  默认值： 0  最小移动距离，单位m
+ * @returns {function}          (position) => void
+ */
+function throttlePositions(listener, options = {}) {
+  const { interval = 0, distance: minDistance = 0 } = options;
+  let last = null;
+  let lastAt = 0;
+  return position => {
+    const now = Date.now();
+    if (last && (now - lastAt < interval || distance(last, position) < minDistance)) {
+      return;
+    }
+    last = position;
+    lastAt = now;
+    listener(position);
+  };
+}
+
+/**
+ * 按坐标系转换位置，微信返回的位置为 GCJ-02（getLocation 指定 type: 'wgs84' 时除外）
+ * @param {object} position
+ * @param {string} type
+ */
+function toType(position, type) {
+  return type === 'wgs84' ? Object.assign(gcj02ToWgs84(position), { type: 'wgs84' }) : position;
+}
+
+/**
+ * 持续定位：多个监听共用一次 startLocationUpdate，全部停止后调用 stopLocationUpdate
+ * 有 background 监听时使用后台定位，直到全部监听停止
+ */
+class LocationTracker {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.watchers = new Set();
+    this.starting = null;
+    this.background = false;
+    this.unlisten = null;
+  }
+  /**
+   * 开始监听位置变化
+   *
+   * @param {function}  listener  是  (position) => void
+   * @param {object}    options   见 WeChat.watchLocation
+   * @returns {Promise}           resolve 停止监听的函数（返回 Promise）
+   */
+  async watch(listener, options = {}) {
+    const { ensureScope = true, background = false, type = 'gcj02', interval, distance: minDistance } = options;
+    if (ensureScope) {
+      await authorize.requireScope(this.sdk, 'scope.userLocation', ensureScope);
+      // 后台定位不能通过 authorize 申请，首次由 startLocationUpdateBackground 弹框，曾拒绝时引导打开设置页
+      if (background && (await this.sdk.getSetting()).authSetting['scope.userLocationBackground'] === false) {
+        await authorize.requireScope(this.sdk, 'scope.userLocationBackground', ensureScope);
+      }
+    }
+    const throttled = throttlePositions(position => listener(toType(position, type)), { interval, distance: minDistance });
+    this.watchers.add(throttled);
+    try {
+      await this.start(background);
+    } catch (e) {
+      this.watchers.delete(throttled);
+      throw e;
+    }
+    return () => this.unwatch(throttled);
+  }
+  /**
+   * 调用 startLocationUpdate 并监听 onLocationChange，已经开始时直接返回
+   * 前台定位进行中再以 background 监听时，改用 startLocationUpdateBackground 重新开始；后台定位失败时保留原来的前台定位
+   * @param {boolean} background
+   */
+  start(background) {
+    if (this.starting && (this.background || !background)) {
+      return this.starting;
+    }
+    if (!this.unlisten) {
+      this.unlisten = this.sdk.onLocationChange(position => {
+        this.watchers.forEach(watcher => watcher(position));
+      });
+    }
+    const previous = this.starting;
+    const starting = Promise.resolve(previous && previous.catch(() => {}))
+      .then(() => (background ? this.sdk.startLocationUpdateBackground() : this.sdk.startLocationUpdate()))
+      .catch(e => {
+        if (this.starting === starting) {
+          if (previous && previous.isFulfilled()) {
+            this.starting = previous;
+            this.background = false;
+          } else {
+            this.stop();
+          }
+        }
+        throw e;
+      });
+    this.starting = starting;
+    this.background = background;
+    return starting;
+  }
+  /**
+   * 移除监听，没有监听时停止定位
+   * @param {function} watcher
+   */
+  async unwatch(watcher) {
+    if (!this.watchers.delete(watcher) || this.watchers.size) {
+      return;
+    }
+    const starting = this.starting;
+    this.stop();
+    if (starting) {
+      await starting.catch(() => {});
+      await this.sdk.stopLocationUpdate().catch(() => {});
+    }
+  }
+  /**
+   * 取消 onLocationChange
+   */
+  stop() {
+    if (this.unlisten) {
+      this.unlisten();
+      this.unlisten = null;
+    }
+    this.starting = null;
+    this.background = false;
+  }
+}
+
+module.exports = {
+  distance,
+  wgs84ToGcj02,
+  gcj02ToWgs84,
+  throttlePositions,
+  LocationTracker,
+};
@@ -0,0 +1,881 @@
+'use strict';
+const crypto = require('crypto');
+
+/**
+ * 测试用的 wx 运行时，在 Node 中模拟 success / fail / complete 回调约定，供 SDK 使用方编写单元测试
+ *
+ *    const createMockWx = require('mp-wx-sdk/lib/mock-wx');
+ *    const wx = createMockWx({ tabBar: ['pages/index/index'] });
+ *    wx.mock.route('GET /goods', { data: [{ id: 1 }] });
+ *    wx.mock.answerModal(false);
+ *    const sdk = new MpWxSdk(wx);
+ *
+ * 控制与断言相关的方法和记录都挂载在 wx.mock 上
+ */
+
+/**
+ * 模拟的事件接口，on* / off* 成对提供，通过 wx.mock.trigger 触发
+ */
+const EVENTS = [
+  'WindowResize',
+  'NetworkStatusChange',
+  'AppShow',
+  'AppHide',
+  'MemoryWarning',
+  'LocationChange',
+];
+
+/**
+ * 全局 WebSocket 事件，与 wx 一致只有 on*
+ */
+const SOCKET_EVENTS = ['SocketOpen', 'SocketClose', 'SocketMessage', 'SocketError'];
+
+const DEFAULT_SYSTEM_INFO = {
+  brand: 'devtools',
+  model: 'iPhone 12/13 (Pro)',
+  pixelRatio: 3,
+  screenWidth: 390,
+  screenHeight: 844,
+  windowWidth: 390,
+  windowHeight: 844,
+  statusBarHeight: 47,
+  language: 'zh_CN',
+  version: '8.0.5',
+  system: 'iOS 10.0.1',
+  platform: 'devtools',
+  SDKVersion: '2.30.0',
+  safeArea: { left: 0, right: 390, top: 47, bottom: 810, width: 390, height: 763 },
+};
+
+const DEFAULT_MENU_BUTTON = { width: 87, height: 32, top: 51, right: 383, bottom: 83, left: 296 };
+
+/**
+ * 模拟的 setTimeout / setInterval / Date.now，install 后替换全局方法
+ *
+ * @param {number}  now   否  默认值： Date.now()  起始时间
+ */
+function createClock(now = Date.now()) {
+  const real = {
+    setTimeout: global.setTimeout,
+    clearTimeout: global.clearTimeout,
+    setInterval: global.setInterval,
+    clearInterval: global.clearInterval,
+    setImmediate: global.setImmediate,
+    now: Date.now,
+  };
+  const timers = new Map();
+  let id = 0;
+  const add = (fn, delay, args, interval) => {
+    id++;
+    timers.set(id, { id, fn, args, at: clock.now + Math.max(0, delay || 0), interval: interval ? Math.max(1, delay || 0) : 0 });
+    return id;
+  };
+  const remove = timerId => {
+    timers.delete(timerId && typeof timerId === 'object' ? timerId.id : timerId);
+  };
+  const next = limit => {
+    let found = null;
+    timers.forEach(timer => {
+      if (timer.at <= limit && (!found || timer.at < found.at || (timer.at === found.at && timer.id < found.id))) {
+        found = timer;
+      }
+    });
+    return found;
+  };
+  const run = timer => {
+    clock.now = timer.at;
+    if (timer.interval) {
+      timer.at += timer.interval;
+    } else {
+      timers.delete(timer.id);
+    }
+    timer.fn(...timer.args);
+  };
+  // 让已经 resolve 的 Promise 回调执行完（包括 bluebird 通过 setImmediate 调度的回调）
+  const flush = async () => {
+    for (let i = 0; i < 10; i++) {
+      await new Promise(resolve => real.setImmediate(resolve));
+    }
+  };
+  const clock = {
+    now,
+    /**
+     * 替换全局的定时器与 Date.now
+     */
+    install() {
+      global.setTimeout = (fn, delay, ...args) => add(fn, delay, args, false);
+      global.clearTimeout = remove;
+      global.setInterval = (fn, delay, ...args) => add(fn, delay, args, true);
+      global.clearInterval = remove;
+      Date.now = () => clock.now;
+      return clock;
+    },
+    /**
+     * 恢复全局的定时器与 Date.now
+     */
+    restore() {
+      global.setTimeout = real.setTimeout;
+      global.clearTimeout = real.clearTimeout;
+      global.setInterval = real.setInterval;
+      global.clearInterval = real.clearInterval;
+      Date.now = real.now;
+      timers.clear();
+    },
+    /**
+     * 同步推进时间，依次执行到期的定时器
+     * @param {number} ms
+     */
+    tick(ms = 0) {
+      const target = clock.now + ms;
+      let timer;
+      while ((timer = next(target))) {
+        run(timer);
+      }
+      clock.now = target;
+    },
+    /**
+     * 推进时间，每执行一个定时器前后都会等待 Promise 回调执行完，适合定时器与 Promise 交替的场景（重试、轮询等）
+     * @param {number} ms
+     */
+    async tickAsync(ms = 0) {
+      const target = clock.now + ms;
+      await flush();
+      let timer;
+      while ((timer = next(target))) {
+        run(timer);
+        await flush();
+      }
+      clock.now = target;
+    },
+    /**
+     * 执行全部定时器（不包括 setInterval），返回执行后的时间
+     */
+    async runAllAsync() {
+      await flush();
+      let timer;
+      while ((timer = next(Infinity)) && !timer.interval) {
+        run(timer);
+        await flush();
+      }
+      return clock.now;
+    },
+    /**
+     * 待执行的定时器数量
+     */
+    pending() {
+      return timers.size;
+    },
+  };
+  return clock;
+}
+
+/**
+ * 解析页面 url，返回页面栈中的页面对象
+ * @param {string} url
+ */
+function parsePage(url) {
+  const [path, search = ''] = String(url).split('?');
+  const options = {};
+  search.split('&').filter(Boolean).forEach(pair => {
+    const index = pair.indexOf('=');
+    options[index === -1 ? pair : pair.slice(0, index)] = index === -1 ? '' : pair.slice(index + 1);
+  });
+  return { route: path.replace(/^\//, ''), options };
+}
+
+/**
+ * 将回调函数抛出的异常转换为 fail 回调的参数
+ * @param {string} name
+ * @param {*} error
+ */
+function toFail(name, error) {
+  if (error && typeof error === 'object' && error.errMsg) {
+    return error;
+  }
+  const reason = error instanceof Error ? error.message : String(error === undefined ? '' : error);
+  return { errMsg: `${name}:fail ${reason}`.trim() };
+}
+
+/**
+ * 将写入文件的数据转换为 Buffer
+ * @param {string/ArrayBuffer/Buffer} data
+ * @param {string} encoding
+ */
+function toBuffer(data, encoding) {
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(new Uint8Array(data));
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  }
+  if (typeof data !== 'string') {
+    data = data === undefined || data === null ? '' : JSON.stringify(data);
+  }
+  return Buffer.from(data, !encoding || encoding === 'utf-8' ? 'utf8' : encoding);
+}
+
+/**
+ * 创建模拟的 wx 对象
+ *
+ * @param {object}  options   pages         {Array.<string>}  否  默认值： ['pages/index/index']  初始页面栈
+ *                            tabBar        {Array.<string>}  否  tabBar 页面路径
+ *                            systemInfo    {object}          否  与默认值合并后作为 getSystemInfo 的返回值，如 { SDKVersion: '2.10.0' }
+ *                            menuButton    {object}          否  getMenuButtonBoundingClientRect 的返回值
+ *                            authSetting   {object}          否  初始授权状态，如 { 'scope.userLocation': false }
+ *                            subscriptionsSetting  {object}  否  getSetting({ withSubscriptions: true }) 返回的订阅设置
+ *                            storage       {object}          否  初始本地缓存
+ *                            location      {object}          否  getLocation 的返回值，与默认值合并
+ *                            networkType   {string}          否  默认值： 'wifi'  getNetworkType 的返回值，为 'none' 时网络请求进入 fail 回调
+ *                            files         {object}          否  初始文件 { 路径: 字符串 / Buffer / ArrayBuffer }，如 { 'wxfile://tmp/a.mp4': Buffer.alloc(10) }
+ *                            unsupported   {Array.<string>}  否  canIUse 返回 false 的接口
+ * @returns {object}          wx 对象，wx.mock 上为控制方法与调用记录
+ */
+function createMockWx(options = {}) {
+  const wx = {
+    env: { USER_DATA_PATH: 'wxfile://usr' },
+  };
+  const tabBar = (options.tabBar || []).map(path => path.replace(/^\//, ''));
+  let sequence = 0;
+
+  const mock = {
+    /** 全部异步接口的调用记录 { name, options } */
+    calls: [],
+    /** request / uploadFile / downloadFile 的调用记录 */
+    requests: [],
+    /** showToast 的参数 */
+    toasts: [],
+    /** showModal 的参数 */
+    modals: [],
+    /** showActionSheet 的参数 */
+    actionSheets: [],
+    /** 当前显示的 loading 参数，未显示时为 null */
+    loading: null,
+    /** 本地缓存 */
+    storage: Object.assign({}, options.storage),
+    /** connectSocket 创建的 SocketTask */
+    sockets: [],
+    /** 页面栈 */
+    pages: (options.pages || ['pages/index/index']).map(parsePage),
+    /** 事件监听 */
+    listeners: {},
+    authSetting: Object.assign({}, options.authSetting),
+    subscriptionsSetting: Object.assign({ mainSwitch: true, itemSettings: {} }, options.subscriptionsSetting),
+    systemInfo: Object.assign({}, DEFAULT_SYSTEM_INFO, options.systemInfo),
+    menuButton: Object.assign({}, DEFAULT_MENU_BUTTON, options.menuButton),
+    /** getLocation 返回的位置（gcj02），startLocationUpdate 后可通过 trigger('LocationChange', position) 推送 */
+    location: Object.assign({ latitude: 22.543096, longitude: 114.057865, speed: 0, accuracy: 65, altitude: 0 }, options.location),
+    /** startLocationUpdate 后为 true，startLocationUpdateBackground 后为 'background' */
+    locationUpdating: false,
+    /** 当前网络类型，通过 setNetworkType 修改 */
+    networkType: options.networkType || 'wifi',
+    /** getFileSystemManager 的文件 { 路径: Buffer }，downloadFile 成功后写入响应的 data */
+    files: {},
+    /** getFileSystemManager 的目录 */
+    dirs: ['wxfile://usr', 'wxfile://tmp', 'wxfile://store'],
+    /** requestSubscribeMessage 的回答 { 模板 id: accept / reject / ban / filter }，未设置时为 accept */
+    subscribeAnswers: {},
+    /** 为 true 时处于 tap 调用的同步调用栈中 */
+    inTap: false,
+    /** 为 true 时 checkSession 失败 */
+    sessionExpired: false,
+    routes: [],
+    modalAnswers: [],
+    actionSheetAnswers: [],
+    clock: null,
+
+    /**
+     * 定义 request / uploadFile / downloadFile 的响应，后定义的优先匹配
+     *
+     * @param {string/RegExp/function}  pattern    是  'GET /goods'、'/goods'（任意方法，匹配 url 的路径部分）、匹配完整 url 的正则，或 (options) => boolean
+     * @param {object/function}         responder  是  响应 { statusCode, data, header, delay }，{ fail: 'timeout' } 表示进入 fail 回调，
+     *                                                 或 (options) => 响应 / Promise，抛出异常时进入 fail 回调
+     * @returns {object}                           wx.mock
+     */
+    route(pattern, responder) {
+      mock.routes.unshift({ match: matcher(pattern), responder });
+      return mock;
+    },
+    /**
+     * 定义或覆盖一个回调风格的接口
+     *
+     * @param {string}    name      是  接口名称
+     * @param {function}  handler   是  (options) => 结果 / Promise，抛出字符串、Error 或 { errMsg } 时进入 fail 回调
+     * @returns {object}            wx.mock
+     */
+    stub(name, handler) {
+      wx[name] = opts => respond(name, opts, () => handler(opts || {}));
+      return mock;
+    },
+    /**
+     * 依次设置 showModal 的回答，未设置时点击确定
+     * @param {...(boolean/object/function)} answers  true 确定 / false 取消 / showModal 的返回值 / (options) => 返回值
+     */
+    answerModal(...answers) {
+      mock.modalAnswers.push(...answers);
+      return mock;
+    },
+    /**
+     * 模拟用户点击：在 fn 的同步调用栈中可以调用 requestSubscribeMessage 等需要点击手势的接口，
+     * fn 中 await 之后的调用视为不在点击手势中
+     *
+     * @param {function}  fn  是  点击事件的回调
+     * @returns {*}           fn 的返回值
+     */
+    tap(fn) {
+      mock.inTap = true;
+      try {
+        return fn();
+      } finally {
+        mock.inTap = false;
+      }
+    },
+    /**
+     * 依次设置 showActionSheet 的回答，未设置时选择第一项
+     * @param {...number} answers   tapIndex，为 -1 时表示取消
+     */
+    answerActionSheet(...answers) {
+      mock.actionSheetAnswers.push(...answers);
+      return mock;
+    },
+    /**
+     * 触发事件
+     * @param {string}  event   是  事件名称，如 'WindowResize' 或 'onWindowResize'
+     * @param {*}       res     否  回调参数
+     */
+    trigger(event, res) {
+      const name = event.replace(/^on/, '');
+      (mock.listeners[name] || []).slice().forEach(fn => fn(res));
+    },
+    /**
+     * 切换网络类型并触发 NetworkStatusChange
+     * @param {string}  networkType   是  wifi / 4g / none 等，为 'none' 时网络请求进入 fail 回调
+     */
+    setNetworkType(networkType) {
+      mock.networkType = networkType;
+      mock.trigger('NetworkStatusChange', { isConnected: networkType !== 'none', networkType });
+      return mock;
+    },
+    /**
+     * 当前页面栈，可作为 createRouter 的 getCurrentPages
+     */
+    getCurrentPages() {
+      return mock.pages.slice();
+    },
+    /**
+     * 使用模拟定时器，测试结束后需要调用 clock.restore()
+     * @param {number}  now   否  起始时间
+     */
+    useFakeTimers(now) {
+      mock.clock = createClock(now).install();
+      return mock.clock;
+    },
+  };
+  wx.mock = mock;
+
+  /**
+   * 在下一个微任务中调用 success / fail 与 complete
+   * @param {string}    name
+   * @param {object}    opts
+   * @param {function}  run
+   */
+  function respond(name, opts = {}, run) {
+    mock.calls.push({ name, options: opts });
+    Promise.resolve()
+      .then(run)
+      .then(res => {
+        const result = Object.assign({ errMsg: `${name}:ok` }, res);
+        callback(opts.success, result);
+        callback(opts.complete, result);
+      }, err => {
+        const result = toFail(name, err);
+        callback(opts.fail, result);
+        callback(opts.complete, result);
+      });
+  }
+
+  function callback(fn, res) {
+    if (typeof fn === 'function') {
+      fn(res);
+    }
+  }
+
+  function matcher(pattern) {
+    if (typeof pattern === 'function') {
+      return pattern;
+    }
+    if (pattern instanceof RegExp) {
+      return opts => pattern.test(opts.url);
+    }
+    const [method, path] = / /.test(pattern) ? pattern.split(' ') : [null, pattern];
+    return opts => {
+      const pathname = String(opts.url).replace(/^[a-z][a-z\d+\-.]*:\/\/[^/]+/i, '').split('?')[0];
+      return pathname === path && (!method || method.toUpperCase() === (opts.method || 'GET').toUpperCase());
+    };
+  }
+
+  function findRoute(opts) {
+    const route = mock.routes.find(item => item.match(opts));
+    return route ? route.responder : { statusCode: 404, data: '' };
+  }
+
+  /**
+   * request / uploadFile / downloadFile 共用的实现，返回任务对象
+   * @param {string} name
+   * @param {object} opts
+   * @param {string} method
+   * @param {function} shape  根据响应生成 success 的参数
+   */
+  function network(name, opts = {}, method, shape) {
+    const record = Object.assign({ api: name }, opts, { method: (opts.method || method).toUpperCase() });
+    mock.requests.push(record);
+    const listeners = { headers: [], progress: [] };
+    let aborted = false;
+    let finish = null;
+    const task = {
+      abort() {
+        if (!aborted) {
+          aborted = true;
+          if (finish) {
+            finish();
+          }
+        }
+      },
+      onHeadersReceived: fn => listeners.headers.push(fn),
+      offHeadersReceived: fn => {
+        listeners.headers = listeners.headers.filter(item => item !== fn);
+      },
+      onProgressUpdate: fn => listeners.progress.push(fn),
+      offProgressUpdate: fn => {
+        listeners.progress = listeners.progress.filter(item => item !== fn);
+      },
+    };
+    respond(name, opts, () => new Promise((resolve, reject) => {
+      if (aborted) {
+        reject({ errMsg: `${name}:fail abort` });
+        return;
+      }
+      if (mock.networkType === 'none') {
+        reject({ errMsg: `${name}:fail network unavailable` });
+        return;
+      }
+      const responder = findRoute(record);
+      Promise.resolve()
+        .then(() => (typeof responder === 'function' ? responder(record) : responder))
+        .then(res => {
+          const response = Object.assign({ statusCode: 200, header: {}, data: '' }, res);
+          const deliver = () => {
+            if (aborted) {
+              reject({ errMsg: `${name}:fail abort` });
+            } else if (response.fail) {
+              reject({ errMsg: `${name}:fail ${response.fail}` });
+            } else {
+              listeners.headers.forEach(fn => fn({ header: response.header }));
+              listeners.progress.forEach(fn => fn({ progress: 100, totalBytesSent: 0, totalBytesExpectedToSend: 0 }));
+              resolve(shape(response));
+            }
+          };
+          if (response.delay > 0) {
+            const timer = setTimeout(deliver, response.delay);
+            finish = () => {
+              clearTimeout(timer);
+              deliver();
+            };
+          } else {
+            deliver();
+          }
+        }, reject);
+    }));
+    return task;
+  }
+
+  wx.request = opts => network('request', opts, 'GET', res => ({
+    statusCode: res.statusCode,
+    header: res.header,
+    data: res.data,
+    cookies: res.cookies || [],
+  }));
+  wx.uploadFile = opts => network('uploadFile', opts, 'POST', res => ({
+    statusCode: res.statusCode,
+    data: typeof res.data === 'string' ? res.data : JSON.stringify(res.data),
+  }));
+  wx.downloadFile = opts => network('downloadFile', opts, 'GET', res => {
+    const tempFilePath = res.tempFilePath || (opts && opts.filePath) || `wxfile://tmp/download_${++sequence}`;
+    mock.files[tempFilePath] = toBuffer(res.data);
+    return { statusCode: res.statusCode, header: res.header, tempFilePath };
+  });
+
+  // 文件系统，文件内容保存在 wx.mock.files 中
+  Object.keys(options.files || {}).forEach(path => {
+    mock.files[path] = toBuffer(options.files[path]);
+  });
+  const parentOf = path => path.slice(0, path.lastIndexOf('/'));
+  const isDir = path => mock.dirs.indexOf(path) !== -1;
+  const noEntry = path => `no such file or directory ${path}`;
+  const requireFile = path => {
+    if (!(path in mock.files)) {
+      throw noEntry(path);
+    }
+    return mock.files[path];
+  };
+  const requireParent = path => {
+    if (!isDir(parentOf(path))) {
+      throw noEntry(parentOf(path));
+    }
+  };
+  const createStats = (size, directory) => ({
+    size,
+    mode: directory ? 16877 : 33188,
+    lastAccessedTime: Math.floor(Date.now() / 1000),
+    lastModifiedTime: Math.floor(Date.now() / 1000),
+    isFile: () => !directory,
+    isDirectory: () => directory,
+  });
+  const childrenOf = dirPath => Object.keys(mock.files).concat(mock.dirs).filter(path => parentOf(path) === dirPath);
+  const fsMethods = {
+    access({ path }) {
+      if (!(path in mock.files) && !isDir(path)) {
+        throw noEntry(path);
+      }
+    },
+    readFile({ filePath, encoding, position = 0, length }) {
+      const data = requireFile(filePath);
+      const slice = data.subarray(position, length === undefined ? data.length : position + length);
+      if (encoding && encoding !== 'binary') {
+        return { data: slice.toString(encoding === 'utf-8' ? 'utf8' : encoding) };
+      }
+      return { data: slice.buffer.slice(slice.byteOffset, slice.byteOffset + slice.length) };
+    },
+    writeFile({ filePath, data, encoding }) {
+      requireParent(filePath);
+      mock.files[filePath] = toBuffer(data, encoding);
+    },
+    appendFile({ filePath, data, encoding }) {
+      mock.files[filePath] = Buffer.concat([requireFile(filePath), toBuffer(data, encoding)]);
+    },
+    mkdir({ dirPath, recursive }) {
+      if (isDir(dirPath) || dirPath in mock.files) {
+        throw `file already exists ${dirPath}`;
+      }
+      if (!isDir(parentOf(dirPath))) {
+        if (!recursive) {
+          throw noEntry(parentOf(dirPath));
+        }
+        fsMethods.mkdir({ dirPath: parentOf(dirPath), recursive });
+      }
+      mock.dirs.push(dirPath);
+    },
+    readdir({ dirPath }) {
+      if (!isDir(dirPath)) {
+        throw noEntry(dirPath);
+      }
+      return { files: childrenOf(dirPath).map(path => path.slice(dirPath.length + 1)) };
+    },
+    stat({ path, recursive }) {
+      if (path in mock.files) {
+        return { stats: createStats(mock.files[path].length, false) };
+      }
+      if (!isDir(path)) {
+        throw noEntry(path);
+      }
+      if (!recursive) {
+        return { stats: createStats(0, true) };
+      }
+      const stats = {};
+      Object.keys(mock.files).concat(mock.dirs)
+        .filter(item => item.indexOf(`${path}/`) === 0)
+        .forEach(item => {
+          stats[item.slice(path.length)] = createStats(item in mock.files ? mock.files[item].length : 0, !(item in mock.files));
+        });
+      return { stats };
+    },
+    unlink({ filePath }) {
+      requireFile(filePath);
+      delete mock.files[filePath];
+    },
+    rmdir({ dirPath, recursive }) {
+      if (!isDir(dirPath)) {
+        throw noEntry(dirPath);
+      }
+      const nested = Object.keys(mock.files).concat(mock.dirs).filter(path => path.indexOf(`${dirPath}/`) === 0);
+      if (nested.length && !recursive) {
+        throw `directory not empty ${dirPath}`;
+      }
+      nested.concat(dirPath).forEach(path => {
+        delete mock.files[path];
+      });
+      mock.dirs = mock.dirs.filter(path => path !== dirPath && nested.indexOf(path) === -1);
+    },
+    copyFile({ srcPath, destPath }) {
+      const data = requireFile(srcPath);
+      requireParent(destPath);
+      mock.files[destPath] = Buffer.from(data);
+    },
+    rename({ oldPath, newPath }) {
+      const data = requireFile(oldPath);
+      requireParent(newPath);
+      delete mock.files[oldPath];
+      mock.files[newPath] = data;
+    },
+    saveFile({ tempFilePath, filePath }) {
+      const data = requireFile(tempFilePath);
+      const savedFilePath = filePath || `wxfile://store/saved_${++sequence}`;
+      requireParent(savedFilePath);
+      delete mock.files[tempFilePath];
+      mock.files[savedFilePath] = data;
+      return { savedFilePath };
+    },
+    getFileInfo({ filePath }) {
+      const data = requireFile(filePath);
+      return { size: data.length, digest: crypto.createHash('md5').update(data).digest('hex') };
+    },
+  };
+  const fileSystemManager = {};
+  Object.keys(fsMethods).forEach(name => {
+    fileSystemManager[name] = opts => respond(name, opts, () => fsMethods[name](opts || {}));
+  });
+  wx.getFileSystemManager = () => fileSystemManager;
+
+  // 本地缓存
+  const storageInfo = () => {
+    const keys = Object.keys(mock.storage);
+    const size = keys.reduce((total, key) => total + key.length + JSON.stringify(mock.storage[key]).length, 0);
+    return { keys, currentSize: Math.ceil(size / 1024), limitSize: 10240 };
+  };
+  const copy = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  wx.setStorageSync = (key, data) => {
+    mock.storage[key] = copy(data);
+  };
+  wx.getStorageSync = key => (key in mock.storage ? copy(mock.storage[key]) : '');
+  wx.removeStorageSync = key => {
+    delete mock.storage[key];
+  };
+  wx.clearStorageSync = () => {
+    Object.keys(mock.storage).forEach(key => delete mock.storage[key]);
+  };
+  wx.getStorageInfoSync = () => storageInfo();
+  wx.setStorage = opts => respond('setStorage', opts, () => wx.setStorageSync(opts.key, opts.data));
+  wx.getStorage = opts => respond('getStorage', opts, () => {
+    if (!(opts.key in mock.storage)) {
+      throw 'data not found';
+    }
+    return { data: wx.getStorageSync(opts.key) };
+  });
+  wx.removeStorage = opts => respond('removeStorage', opts, () => wx.removeStorageSync(opts.key));
+  wx.clearStorage = opts => respond('clearStorage', opts, () => wx.clearStorageSync());
+  wx.getStorageInfo = opts => respond('getStorageInfo', opts, storageInfo);
+
+  // 页面栈
+  const isTab = url => tabBar.indexOf(parsePage(url).route) !== -1;
+  wx.navigateTo = opts => respond('navigateTo', opts, () => {
+    if (isTab(opts.url)) {
+      throw 'can not navigateTo a tabbar page';
+    }
+    if (mock.pages.length >= 10) {
+      throw 'webview count limit exceed';
+    }
+    mock.pages.push(parsePage(opts.url));
+  });
+  wx.redirectTo = opts => respond('redirectTo', opts, () => {
+    if (isTab(opts.url)) {
+      throw 'can not redirectTo a tabbar page';
+    }
+    mock.pages.splice(-1, 1, parsePage(opts.url));
+  });
+  wx.reLaunch = opts => respond('reLaunch', opts, () => {
+    mock.pages = [parsePage(opts.url)];
+  });
+  wx.switchTab = opts => respond('switchTab', opts, () => {
+    if (!isTab(opts.url)) {
+      throw 'can not switch to no-tabBar page';
+    }
+    mock.pages = [parsePage(opts.url.split('?')[0])];
+  });
+  wx.navigateBack = opts => respond('navigateBack', opts, () => {
+    const delta = Math.max(1, (opts && opts.delta) || 1);
+    if (mock.pages.length <= 1) {
+      throw 'cannot navigate back at first page.';
+    }
+    mock.pages = mock.pages.slice(0, Math.max(1, mock.pages.length - delta));
+  });
+
+  // 界面
+  wx.showToast = opts => respond('showToast', opts, () => {
+    mock.toasts.push(opts);
+    mock.loading = null;
+  });
+  wx.hideToast = opts => respond('hideToast', opts, () => {});
+  wx.showLoading = opts => respond('showLoading', opts, () => {
+    mock.loading = opts;
+  });
+  wx.hideLoading = opts => respond('hideLoading', opts, () => {
+    mock.loading = null;
+  });
+  wx.showModal = opts => respond('showModal', opts, () => {
+    mock.modals.push(opts);
+    let answer = mock.modalAnswers.length ? mock.modalAnswers.shift() : true;
+    if (typeof answer === 'function') {
+      answer = answer(opts);
+    }
+    if (typeof answer === 'object' && answer !== null) {
+      return answer;
+    }
+    return { confirm: !!answer, cancel: !answer };
+  });
+  wx.showActionSheet = opts => respond('showActionSheet', opts, () => {
+    mock.actionSheets.push(opts);
+    const tapIndex = mock.actionSheetAnswers.length ? mock.actionSheetAnswers.shift() : 0;
+    if (tapIndex < 0) {
+      throw 'cancel';
+    }
+    return { tapIndex };
+  });
+
+  // 订阅消息，需要在 wx.mock.tap 的同步调用栈中调用
+  wx.requestSubscribeMessage = opts => {
+    const inTap = mock.inTap;
+    respond('requestSubscribeMessage', opts, () => {
+      if (!inTap) {
+        throw { errMsg: 'requestSubscribeMessage:fail can only be invoked by user TAP gesture.', errCode: 20003 };
+      }
+      if (opts.tmplIds.length > 3) {
+        throw { errMsg: 'requestSubscribeMessage:fail TmplIds length exceeds limit', errCode: 20001 };
+      }
+      const res = {};
+      opts.tmplIds.forEach(id => {
+        res[id] = mock.subscribeAnswers[id] || 'accept';
+      });
+      return res;
+    });
+  };
+
+  // 登录与授权
+  wx.login = opts => respond('login', opts, () => ({ code: `mock_code_${++sequence}` }));
+  wx.checkSession = opts => respond('checkSession', opts, () => {
+    if (mock.sessionExpired) {
+      throw 'session expired';
+    }
+  });
+  const settings = opts => {
+    const res = { authSetting: Object.assign({}, mock.authSetting) };
+    if (opts && opts.withSubscriptions) {
+      res.subscriptionsSetting = copy(mock.subscriptionsSetting);
+    }
+    return res;
+  };
+  wx.getSetting = opts => respond('getSetting', opts, () => settings(opts));
+  wx.openSetting = opts => respond('openSetting', opts, () => settings(opts));
+  wx.authorize = opts => respond('authorize', opts, () => {
+    if (mock.authSetting[opts.scope] === false) {
+      throw 'auth deny';
+    }
+    mock.authSetting[opts.scope] = true;
+  });
+
+  // 位置
+  const requireLocation = () => {
+    if (mock.authSetting['scope.userLocation'] === false) {
+      throw 'auth deny';
+    }
+    mock.authSetting['scope.userLocation'] = true;
+  };
+  wx.getLocation = opts => respond('getLocation', opts, () => {
+    requireLocation();
+    return copy(mock.location);
+  });
+  wx.chooseLocation = opts => respond('chooseLocation', opts, () => {
+    requireLocation();
+    return { name: '', address: '', latitude: mock.location.latitude, longitude: mock.location.longitude };
+  });
+  wx.openLocation = opts => respond('openLocation', opts, () => {});
+  ['startLocationUpdate', 'startLocationUpdateBackground'].forEach(name => {
+    wx[name] = opts => respond(name, opts, () => {
+      requireLocation();
+      if (name === 'startLocationUpdateBackground') {
+        if (mock.authSetting['scope.userLocationBackground'] === false) {
+          throw 'auth deny';
+        }
+        mock.authSetting['scope.userLocationBackground'] = true;
+      }
+      mock.locationUpdating = name === 'startLocationUpdateBackground' ? 'background' : true;
+    });
+  });
+  wx.stopLocationUpdate = opts => respond('stopLocationUpdate', opts, () => {
+    mock.locationUpdating = false;
+  });
+
+  // 系统
+  wx.getSystemInfo = opts => respond('getSystemInfo', opts, () => copy(mock.systemInfo));
+  wx.getSystemInfoSync = () => copy(mock.systemInfo);
+  wx.getNetworkType = opts => respond('getNetworkType', opts, () => ({ networkType: mock.networkType }));
+  wx.getMenuButtonBoundingClientRect = () => Object.assign({}, mock.menuButton);
+  wx.canIUse = name => (options.unsupported || []).indexOf(name) === -1;
+  wx.nextTick = fn => setTimeout(fn, 0);
+
+  // 事件
+  EVENTS.concat(SOCKET_EVENTS).forEach(name => {
+    wx[`on${name}`] = fn => {
+      (mock.listeners[name] = mock.listeners[name] || []).push(fn);
+    };
+  });
+  EVENTS.forEach(name => {
+    wx[`off${name}`] = fn => {
+      mock.listeners[name] = (mock.listeners[name] || []).filter(item => fn !== undefined && item !== fn);
+    };
+  });
+
+  // WebSocket，连接不会自动打开，通过 task.mock 控制服务端行为
+  wx.connectSocket = opts => {
+    const listeners = { open: [], message: [], close: [], error: [] };
+    const emit = (event, res) => listeners[event].slice().forEach(fn => fn(res));
+    const task = {
+      url: opts.url,
+      readyState: 0,
+      /** 客户端发送的消息 */
+      sent: [],
+      onOpen: fn => listeners.open.push(fn),
+      onMessage: fn => listeners.message.push(fn),
+      onClose: fn => listeners.close.push(fn),
+      onError: fn => listeners.error.push(fn),
+      send: sendOptions => respond('SocketTask.send', sendOptions, () => {
+        if (task.readyState !== 1) {
+          throw 'socket is not connected';
+        }
+        task.sent.push(sendOptions.data);
+      }),
+      close: (closeOptions = {}) => respond('SocketTask.close', closeOptions, () => {
+        task.mock.close(closeOptions.code || 1000, closeOptions.reason);
+      }),
+      mock: {
+        /** 连接成功 */
+        open(header = {}) {
+          task.readyState = 1;
+          emit('open', { header });
+        },
+        /** 服务端推送消息 */
+        message(data) {
+          emit('message', { data });
+        },
+        /** 连接出错 */
+        error(errMsg = 'connection error') {
+          emit('error', { errMsg });
+        },
+        /** 连接关闭 */
+        close(code = 1006, reason = '') {
+          if (task.readyState !== 3) {
+            task.readyState = 3;
+            emit('close', { code, reason });
+          }
+        },
+      },
+    };
+    mock.sockets.push(task);
+    respond('connectSocket', opts, () => {});
+    return task;
+  };
+
+  return wx;
+}
+
+module.exports = createMockWx;
+module.exports.createMockWx = createMockWx;
+module.exports.createClock = createClock;
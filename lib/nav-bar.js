@@ -0,0 +1,180 @@
+'use strict';
+const Emitter = require('./emitter');
+
+/**
+ * 胶囊按钮的默认尺寸，getMenuButtonBoundingClientRect 返回无效值时使用
+ */
+const DEFAULT_MENU_BUTTON = { width: 87, height: 32 };
+
+/**
+ * 胶囊按钮与状态栏之间的默认间距，iOS 与 Android 不同
+ */
+const DEFAULT_GAP = { ios: 4, android: 8 };
+
+/**
+ * 胶囊按钮与屏幕右边缘的默认间距
+ */
+const DEFAULT_MARGIN = { ios: 7, android: 10 };
+
+/**
+ * 当前系统，返回 ios / android
+ * @param {object} systemInfo
+ */
+function osOf(systemInfo) {
+  const system = `${systemInfo.system || ''} ${systemInfo.platform || ''}`.toLowerCase();
+  return /ios|iphone|ipad|mac/.test(system) ? 'ios' : 'android';
+}
+
+/**
+ * 胶囊按钮位置是否有效（部分机型或启动过早时会返回全 0 或缺失的值）
+ * @param {object} rect
+ * @param {object} systemInfo
+ */
+function isValidRect(rect, systemInfo) {
+  return !!rect && rect.width > 0 && rect.height > 0 && rect.top > 0 && rect.right > 0
+    && (!systemInfo.windowWidth || rect.right <= systemInfo.windowWidth);
+}
+
+/**
+ * 根据系统信息与胶囊按钮位置计算自定义导航栏的布局
+ *
+ * @param {object}  systemInfo  是  getSystemInfoSync 的返回值
+ * @param {object}  rect        否  getMenuButtonBoundingClientRect 的返回值
+ * @returns {object}            见 WeChat.getNavBarMetrics
+ */
+function computeMetrics(systemInfo = {}, rect) {
+  const os = osOf(systemInfo);
+  const windowWidth = systemInfo.windowWidth || systemInfo.screenWidth || 375;
+  const screenWidth = systemInfo.screenWidth || windowWidth;
+  const screenHeight = systemInfo.screenHeight || systemInfo.windowHeight || 0;
+  const safeArea = systemInfo.safeArea;
+  const statusBarHeight = systemInfo.statusBarHeight || (safeArea && safeArea.top) || (os === 'ios' ? 20 : 24);
+  const fallback = !isValidRect(rect, systemInfo);
+  let menuButton;
+  if (fallback) {
+    const top = statusBarHeight + DEFAULT_GAP[os];
+    const right = windowWidth - DEFAULT_MARGIN[os];
+    menuButton = {
+      width: DEFAULT_MENU_BUTTON.width,
+      height: DEFAULT_MENU_BUTTON.height,
+      top,
+      right,
+      bottom: top + DEFAULT_MENU_BUTTON.height,
+      left: right - DEFAULT_MENU_BUTTON.width,
+    };
+  } else {
+    const { width, height, top, right, bottom, left } = rect;
+    menuButton = { width, height, top, right, bottom, left };
+  }
+  // 胶囊按钮在导航栏中垂直居中，上下间距相同
+  const capsuleGap = Math.max(0, menuButton.top - statusBarHeight);
+  const navBarHeight = menuButton.height + capsuleGap * 2;
+  const capsuleMargin = Math.max(0, windowWidth - menuButton.right);
+  return {
+    statusBarHeight,
+    navBarHeight,
+    totalHeight: statusBarHeight + navBarHeight,
+    capsuleGap,
+    capsuleMargin,
+    // 导航栏中胶囊按钮左侧可用的宽度，两侧各留出 capsuleMargin
+    contentWidth: Math.max(0, menuButton.left - capsuleMargin * 2),
+    menuButton,
+    safeAreaInsets: safeArea
+      ? {
+        top: safeArea.top,
+        right: Math.max(0, screenWidth - safeArea.right),
+        bottom: Math.max(0, screenHeight - safeArea.bottom),
+        left: safeArea.left,
+      }
+      : { top: statusBarHeight, right: 0, bottom: 0, left: 0 },
+    windowWidth,
+    windowHeight: systemInfo.windowHeight,
+    os,
+    fallback,
+  };
+}
+
+/**
+ * 自定义导航栏布局：系统信息只读取一次，窗口尺寸变化（如 iPad 旋转）时重新计算并通知
+ */
+class NavBar {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.systemInfo = null;
+    this.cached = null;
+    this.unlisten = null;
+    this.emitter = new Emitter();
+  }
+  /**
+   * 获取导航栏布局，首次调用后缓存
+   *
+   * @param {object}  options   refresh   {boolean}   否  默认值： false  重新读取系统信息与胶囊按钮位置
+   * @returns {object}
+   */
+  metrics(options = {}) {
+    if (!this.cached || options.refresh) {
+      this.refresh();
+    }
+    return this.cached;
+  }
+  /**
+   * 重新读取系统信息与胶囊按钮位置并计算，第一次调用时开始监听窗口尺寸变化
+   *
+   * @returns {object}
+   */
+  refresh() {
+    this.systemInfo = this.sdk.invokeSync('getSystemInfoSync');
+    let rect;
+    try {
+      rect = this.sdk.getMenuButtonBoundingClientRect();
+    } catch (e) {
+      rect = null;
+    }
+    this.cached = computeMetrics(this.systemInfo, rect);
+    this.listen();
+    return this.cached;
+  }
+  /**
+   * 监听窗口尺寸变化
+   */
+  listen() {
+    if (this.unlisten || !this.sdk.canUse('onWindowResize')) {
+      return;
+    }
+    this.unlisten = this.sdk.onWindowResize(() => {
+      const previous = this.cached;
+      const next = this.refresh();
+      if (!previous || previous.windowWidth !== next.windowWidth || previous.totalHeight !== next.totalHeight
+        || previous.menuButton.right !== next.menuButton.right) {
+        this.emitter.emit('change', next);
+      }
+    });
+  }
+  /**
+   * 监听布局变化
+   *
+   * @param {function}  listener  是  (metrics) => void
+   * @returns {function}          取消监听的函数
+   */
+  onChange(listener) {
+    this.metrics();
+    return this.emitter.on('change', listener);
+  }
+  /**
+   * 停止监听窗口尺寸变化并清除缓存
+   */
+  reset() {
+    if (this.unlisten) {
+      this.unlisten();
+      this.unlisten = null;
+    }
+    this.systemInfo = null;
+    this.cached = null;
+  }
+}
+
+module.exports = NavBar;
+module.exports.computeMetrics = computeMetrics;
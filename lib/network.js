@@ -0,0 +1,222 @@
+'use strict';
+const Promise = require('bluebird');
+const { HttpError, RequestError, CancelError } = require('./errors');
+const { onCancel } = require('./cancel');
+const retry = require('./retry');
+
+/**
+ * 各网络接口的默认 HTTP 方法
+ */
+const DEFAULT_METHODS = {
+  request: 'GET',
+  downloadFile: 'GET',
+  uploadFile: 'POST',
+};
+
+/**
+ * 默认的状态码校验，2xx 视为成功
+ * @param {number} statusCode
+ */
+function isSuccessStatus(statusCode) {
+  return statusCode >= 200 && statusCode < 300;
+}
+
+/**
+ * 将 validateStatus 配置转换为校验函数，未开启时返回 null
+ * @param {boolean|function} validateStatus
+ */
+function resolveValidator(validateStatus) {
+  if (typeof validateStatus === 'function') {
+    return validateStatus;
+  }
+  return validateStatus ? isSuccessStatus : null;
+}
+
+/**
+ * 单次调用 wx.request / wx.uploadFile / wx.downloadFile，超出并发限制时在 sdk.scheduler 中排队
+ * fail 回调统一转换为 RequestError，开启 validateStatus 时不合法的状态码转换为 HttpError
+ * 返回的 Promise 上挂载 task（RequestTask / UploadTask / DownloadTask，排队期间为 undefined）与 abort 方法
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {string}  api       是  wx中的方法名称字符串
+ * @param {object}  options   否  接口参数，另支持 validateStatus、cancelToken、signal、onProgressUpdate、onHeadersReceived、priority
+ */
+function sendOnce(sdk, api, options = {}) {
+  const {
+    validateStatus = sdk.options.validateStatus,
+    cancelToken,
+    signal,
+    onProgressUpdate,
+    onHeadersReceived,
+    priority,
+    ...params
+  } = options;
+  const validate = resolveValidator(validateStatus);
+  let task;
+  let abort;
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+    let dispose = () => {};
+    let dequeue = () => false;
+    let release = () => {};
+    const settle = (fn, value) => {
+      if (!settled) {
+        settled = true;
+        dispose();
+        release();
+        fn(value);
+      }
+    };
+    abort = reason => {
+      if (!settled && task && typeof task.abort === 'function') {
+        task.abort();
+      }
+      dequeue();
+      settle(reject, new CancelError(reason));
+    };
+    const run = done => {
+      release = done;
+      if (settled) {
+        release();
+        return;
+      }
+      try {
+        const call = sdk.setOption(api, params);
+        task = call.task;
+        if (task) {
+          if (onProgressUpdate && typeof task.onProgressUpdate === 'function') {
+            task.onProgressUpdate(onProgressUpdate);
+          }
+          if (onHeadersReceived && typeof task.onHeadersReceived === 'function') {
+            task.onHeadersReceived(onHeadersReceived);
+          }
+        }
+        call.then(res => {
+          if (validate && !validate(res.statusCode)) {
+            settle(reject, new HttpError(res, options));
+          } else {
+            settle(resolve, res);
+          }
+        }, err => {
+          settle(reject, err instanceof Error ? err : new RequestError(err, options));
+        });
+      } catch (e) {
+        settle(reject, e);
+      }
+    };
+    dispose = onCancel({ cancelToken, signal }, abort);
+    if (!settled) {
+      dequeue = sdk.scheduler.enqueue(run, priority);
+    }
+  });
+  Object.defineProperty(promise, 'task', {
+    enumerable: true,
+    get: () => task,
+  });
+  promise.abort = abort;
+  return promise;
+}
+
+/**
+ * 调用网络接口，按 retry 配置在失败后以指数退避重试
+ * 返回的 Promise 上的 task 始终指向当前这次尝试的任务对象，abort 会同时取消等待中的重试
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {string}  api       是  wx中的方法名称字符串
+ * @param {object}  options   否  同 sendOnce，另支持 retry
+ */
+function send(sdk, api, options = {}) {
+  const { retry: retryOptions, ...params } = options;
+  const method = params.method || DEFAULT_METHODS[api];
+  const policy = retry.resolvePolicy(sdk.options.retry, retryOptions, method);
+  if (!policy) {
+    return sendOnce(sdk, api, params);
+  }
+  let current;
+  let abort;
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+    let timer;
+    let dispose = () => {};
+    const settle = (fn, value) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        dispose();
+        fn(value);
+      }
+    };
+    abort = reason => {
+      if (current) {
+        current.abort(reason);
+      }
+      settle(reject, new CancelError(reason));
+    };
+    const attempt = n => {
+      current = sendOnce(sdk, api, params);
+      current.then(res => {
+        if (settled) {
+          return;
+        }
+        report(policy, { api, attempt: n, options: params, response: res, willRetry: false });
+        settle(resolve, res);
+      }, error => {
+        if (settled) {
+          return;
+        }
+        const willRetry = n < policy.maxAttempts && !(error instanceof CancelError) && shouldRetry(policy, error, n);
+        const delay = willRetry ? retry.getDelay(policy, n) : 0;
+        report(policy, { api, attempt: n, options: params, error, willRetry, delay });
+        if (!willRetry) {
+          settle(reject, error);
+          return;
+        }
+        timer = setTimeout(() => attempt(n + 1), delay);
+      });
+    };
+    dispose = onCancel(params, abort);
+    if (!settled) {
+      attempt(1);
+    }
+  });
+  Object.defineProperty(promise, 'task', {
+    enumerable: true,
+    get: () => current && current.task,
+  });
+  promise.abort = abort;
+  return promise;
+}
+
+/**
+ * 调用 retryOn 判断是否重试，retryOn 抛出异常时不再重试，以原始错误 reject
+ * @param {object} policy
+ * @param {Error}  error
+ * @param {number} attempt
+ */
+function shouldRetry(policy, error, attempt) {
+  try {
+    return !!policy.retryOn(error, attempt);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 上报每次尝试的结果，钩子本身的异常不影响请求
+ * @param {object} policy
+ * @param {object} info
+ */
+function report(policy, info) {
+  if (typeof policy.onAttempt === 'function') {
+    try {
+      policy.onAttempt(info);
+    } catch (e) {
+      // ignore
+    }
+  }
+}
+
+module.exports = {
+  send,
+  sendOnce,
+};
@@ -0,0 +1,319 @@
+'use strict';
+const Promise = require('bluebird');
+const { HttpError, RequestError } = require('./errors');
+
+const DEFAULTS = {
+  namespace: 'mp-wx-sdk:offline',
+  header: 'Idempotency-Key',
+  conflictStatus: [409, 412],
+  maxAttempts: 5,
+  sensitiveHeaders: ['Authorization', 'Cookie'],
+  beforeReplay: undefined,
+  onReplay: undefined,
+  onConflict: undefined,
+  onFailure: undefined,
+};
+
+/**
+ * 写入队列时保留的 request 参数，其余参数（回调、取消令牌等）无法持久化
+ */
+const PERSISTED_OPTIONS = ['url', 'method', 'data', 'header', 'dataType', 'responseType', 'timeout'];
+
+/**
+ * 是否为没有网络导致的失败（超时、中断、其他网络错误）
+ * @param {Error} error
+ */
+function isOfflineError(error) {
+  return error instanceof RequestError && ['timeout', 'interrupted', 'network'].indexOf(error.type) !== -1;
+}
+
+/**
+ * 拆分 header，返回 { kept, removed }，header 名称不区分大小写
+ * @param {object}          header
+ * @param {Array.<string>}  names
+ */
+function splitHeader(header = {}, names) {
+  const lower = names.map(name => name.toLowerCase());
+  const kept = {};
+  const removed = {};
+  Object.keys(header).forEach(name => {
+    (lower.indexOf(name.toLowerCase()) === -1 ? kept : removed)[name] = header[name];
+  });
+  return { kept, removed };
+}
+
+/**
+ * 生成幂等 key
+ */
+function createKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 离线写请求队列：标记 offline 的 POST / PUT / DELETE 在没有网络或因网络原因失败时写入本地缓存，
+ * 网络恢复（onNetworkStatusChange）后按顺序重放，每个请求携带固定的幂等 key，服务端可据此去重
+ *
+ * Authorization 等 sensitiveHeaders 不写入本地缓存，只保存在内存中；重放时依次合并内存中的 header、
+ * useSession 设置的登录态 token 以及 beforeReplay 的修改，小程序重启后恢复的请求需要通过后两者重新携带
+ *
+ * 重放结果：
+ *    2xx                 移出队列，回调 onReplay
+ *    conflictStatus      移出队列，回调 onConflict
+ *    网络错误 / 429 / 5xx  保留在队列中并暂停重放，超过 maxAttempts 次后移出队列并回调 onFailure
+ *    其他状态码          移出队列，回调 onFailure
+ *    登录或 beforeReplay 失败  请求未发出，保留在队列中并暂停重放，不计入尝试次数
+ */
+class OfflineQueue {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   namespace       {string}    否  默认值： 'mp-wx-sdk:offline'  本地缓存的命名空间
+   *                            header          {string}    否  默认值： 'Idempotency-Key'  携带幂等 key 的 header 名称
+   *                            conflictStatus  {Array.<number>}  否  默认值： [409, 412]  视为冲突的状态码
+   *                            maxAttempts     {number}    否  默认值： 5  每个请求最多重放的次数
+   *                            sensitiveHeaders  {Array.<string>}  否  默认值： ['Authorization', 'Cookie']  不写入本地缓存的 header，不区分大小写
+   *                            beforeReplay    {function}  否  (options, entry) => options/Promise  重放前修改请求参数，如更新 token
+   *                            onReplay        {function}  否  (entry, res) => void  重放成功
+   *                            onConflict      {function}  否  (entry, error) => void  重放时服务端返回冲突，error 为 HttpError
+   *                            onFailure       {function}  否  (entry, error) => void  重放失败且不再重试
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.storage = sdk.storage.namespace(this.options.namespace);
+    this.entries = [];
+    this.credentials = new Map();
+    this.session = null;
+    this.online = true;
+    this.started = null;
+    this.flushing = null;
+    this.saving = Promise.resolve();
+    this.unlisten = null;
+  }
+  /**
+   * 重放时通过 session 携带最新的 token，session 的 header 同时视为 sensitiveHeaders
+   *
+   * @param {Session}  session   是  WeChat.createSession 创建的登录态管理
+   * @returns {OfflineQueue}
+   */
+  useSession(session) {
+    this.session = session;
+    return this;
+  }
+  /**
+   * 读取上次未完成的请求，开始监听网络状态，有网络时立即重放
+   * 发起 offline 请求时会自动调用，建议在 App onLaunch 中调用以便尽早重放
+   *
+   * @returns {Promise}
+   */
+  start() {
+    if (!this.started) {
+      this.started = this.restore();
+    }
+    return this.started;
+  }
+  /**
+   * 停止监听网络状态，已缓存的请求会保留
+   */
+  stop() {
+    if (this.unlisten) {
+      this.unlisten();
+      this.unlisten = null;
+    }
+    this.started = null;
+  }
+  /**
+   * start 的实现
+   */
+  async restore() {
+    const saved = await this.storage.get('entries', []);
+    const ids = this.entries.map(entry => entry.id);
+    this.entries = saved.filter(entry => ids.indexOf(entry.id) === -1).concat(this.entries);
+    if (this.sdk.canUse('onNetworkStatusChange')) {
+      this.unlisten = this.sdk.onNetworkStatusChange(({ isConnected }) => {
+        this.online = isConnected;
+        if (isConnected) {
+          this.flush().catch(() => {});
+        }
+      });
+    }
+    if (this.sdk.canUse('getNetworkType')) {
+      try {
+        const { networkType } = await this.sdk.getNetworkType();
+        this.online = networkType !== 'none';
+      } catch (e) {
+        // 获取失败时按有网络处理，由请求结果判断
+      }
+    }
+    if (this.online && this.entries.length) {
+      this.flush().catch(() => {});
+    }
+  }
+  /**
+   * 发送或缓存写请求
+   * 没有网络、队列中还有未重放的请求（保证顺序），或因网络原因失败时写入队列，resolve { queued: true }
+   *
+   * @param {object}          params    是  request 参数
+   * @param {boolean/object}  offline   是  key {string} 否 幂等 key，默认自动生成
+   * @returns {Promise}
+   */
+  async request(params, offline) {
+    await this.start();
+    const key = (typeof offline === 'object' && offline.key) || createKey();
+    const options = Object.assign({}, params, {
+      header: Object.assign({}, params.header, { [this.options.header]: key }),
+    });
+    const entry = { id: key, key, options: {}, createdAt: Date.now(), attempts: 0 };
+    PERSISTED_OPTIONS.forEach(name => {
+      if (options[name] !== undefined) {
+        entry.options[name] = JSON.parse(JSON.stringify(options[name]));
+      }
+    });
+    const sensitive = this.options.sensitiveHeaders.concat(this.session ? [this.session.options.header] : []);
+    const { kept, removed } = splitHeader(entry.options.header, sensitive);
+    entry.options.header = kept;
+    if (this.online && !this.entries.length) {
+      try {
+        return await this.sdk.request(options);
+      } catch (e) {
+        if (!isOfflineError(e)) {
+          throw e;
+        }
+        this.online = false;
+      }
+    }
+    this.entries.push(entry);
+    if (Object.keys(removed).length) {
+      this.credentials.set(entry.id, removed);
+    }
+    await this.save();
+    if (this.online) {
+      this.flush().catch(() => {});
+    }
+    return { errMsg: 'request:queued', queued: true, id: entry.id, idempotencyKey: key };
+  }
+  /**
+   * 按顺序重放队列中的请求，重放中重复调用返回同一个 Promise
+   *
+   * @returns {Promise}         队列中剩余的请求数
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.replay().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+  /**
+   * 生成重放的请求参数：合并内存中的 header、登录态 token 以及 beforeReplay 的修改
+   * @param {object} entry
+   */
+  async prepare(entry) {
+    const { beforeReplay } = this.options;
+    let credentials = this.credentials.get(entry.id);
+    if (this.session) {
+      credentials = splitHeader(credentials, [this.session.options.header]).kept;
+    }
+    let options = Object.assign({}, entry.options, {
+      header: Object.assign({}, entry.options.header, credentials),
+    });
+    if (this.session) {
+      options = this.session.sign(options, await this.session.ensure());
+    }
+    return typeof beforeReplay === 'function' ? (await beforeReplay(options, entry)) || options : options;
+  }
+  /**
+   * flush 的实现
+   */
+  async replay() {
+    await this.start();
+    const { conflictStatus, maxAttempts } = this.options;
+    while (this.entries.length) {
+      const entry = this.entries[0];
+      let params;
+      try {
+        params = await this.prepare(entry);
+      } catch (e) {
+        // 登录或 beforeReplay 失败时请求未发出，保留在队列中且不计入尝试次数，等待下次 flush
+        await this.save();
+        break;
+      }
+      entry.attempts++;
+      let res;
+      try {
+        res = await this.sdk.request(Object.assign({}, params, { validateStatus: true, retry: false }));
+      } catch (e) {
+        const conflict = e instanceof HttpError && conflictStatus.indexOf(e.statusCode) !== -1;
+        const retryable = isOfflineError(e) || (e instanceof HttpError && (e.statusCode === 429 || e.statusCode >= 500));
+        if (!conflict && retryable && entry.attempts < maxAttempts) {
+          // 暂停重放，等待下次网络恢复或手动 flush
+          if (isOfflineError(e)) {
+            this.online = false;
+          }
+          await this.save();
+          break;
+        }
+        await this.remove(entry.id);
+        this.notify(conflict ? 'onConflict' : 'onFailure', entry, e);
+        continue;
+      }
+      await this.remove(entry.id);
+      this.notify('onReplay', entry, res);
+    }
+    return this.entries.length;
+  }
+  /**
+   * 队列中的请求
+   *
+   * @returns {Array.<object>}  id、key（幂等 key）、options（request 参数）、createdAt、attempts
+   */
+  pending() {
+    return this.entries.slice();
+  }
+  /**
+   * 从队列中删除请求
+   *
+   * @param {string}  id    是  请求 id
+   * @returns {Promise}
+   */
+  remove(id) {
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    this.credentials.delete(id);
+    return this.save();
+  }
+  /**
+   * 清空队列
+   * @returns {Promise}
+   */
+  clear() {
+    this.entries = [];
+    this.credentials.clear();
+    return this.save();
+  }
+  /**
+   * 按顺序写入缓存
+   */
+  save() {
+    const entries = this.entries.slice();
+    this.saving = this.saving
+      .then(() => (entries.length ? this.storage.set('entries', entries) : this.storage.remove('entries')))
+      .catch(() => {});
+    return this.saving;
+  }
+  /**
+   * 调用回调，回调本身的异常不影响后续重放
+   * @param {string} name
+   * @param {...*} args
+   */
+  notify(name, ...args) {
+    if (typeof this.options[name] === 'function') {
+      try {
+        this.options[name](...args);
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+}
+
+module.exports = OfflineQueue;
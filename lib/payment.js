@@ -0,0 +1,135 @@
+'use strict';
+const Promise = require('bluebird');
+const { RequestError } = require('./errors');
+
+/**
+ * 支付结果
+ */
+const PAY_STATUS = {
+  SUCCESS: 'success',
+  CANCEL: 'cancel',
+  FAIL: 'fail',
+  UNCONFIRMED: 'unconfirmed',
+};
+
+/**
+ * 支付过程中的阶段，依次通过 onStatusChange 通知
+ */
+const PAY_STAGE = {
+  CREATING: 'creating',
+  PAYING: 'paying',
+  CONFIRMING: 'confirming',
+};
+
+/**
+ * requestPayment 需要的参数
+ */
+const PAYMENT_FIELDS = ['timeStamp', 'nonceStr', 'package', 'signType', 'paySign'];
+
+/**
+ * 从 createOrder 的返回值中取出 requestPayment 参数：有 payment 字段时使用 payment，否则使用返回值本身
+ * @param {object} order
+ */
+function paymentParams(order) {
+  const source = order && typeof order.payment === 'object' ? order.payment : order;
+  const params = {};
+  PAYMENT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      params[field] = source[field];
+    }
+  });
+  return params;
+}
+
+/**
+ * 是否为用户取消支付，errMsg 为 "requestPayment:fail cancel"
+ * @param {RequestError} error
+ */
+function isCancel(error) {
+  return /^cancel/i.test(error.reason || '');
+}
+
+/**
+ * 支付后向服务器确认订单状态，确认成功前按 interval 轮询，超过 timeout 仍未确认时返回 false
+ * confirm 抛出异常视为暂未确认，继续轮询
+ *
+ * @param {function}  confirm
+ * @param {object}    order
+ * @param {object}    options   confirmInterval、confirmTimeout
+ */
+async function poll(confirm, order, options) {
+  const deadline = Date.now() + options.confirmTimeout;
+  for (;;) {
+    const paid = await Promise.resolve()
+      .then(() => confirm(order))
+      .catch(() => false);
+    if (paid) {
+      return true;
+    }
+    const wait = Math.min(options.confirmInterval, deadline - Date.now());
+    if (wait <= 0) {
+      return false;
+    }
+    await Promise.delay(wait);
+  }
+}
+
+/**
+ * 支付流程：createOrder 创建订单 → requestPayment 调起支付 → confirm 向服务器确认
+ * 除参数错误外不会 reject，结果通过 status 区分：
+ *    success      支付成功（传入 confirm 时为服务器已确认）
+ *    cancel       用户取消支付
+ *    fail         创建订单失败、调起支付失败
+ *    unconfirmed  支付已完成，但 confirmTimeout 内服务器仍未确认，需要提示用户稍后查看订单
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {object}  options   见 WeChat.pay
+ * @returns {Promise}         status  {string}  order  {object}  error  {Error}
+ */
+async function pay(sdk, options = {}) {
+  const { createOrder, confirm, onStatusChange } = options;
+  if (typeof createOrder !== 'function') {
+    throw new Error('createOrder 必须是函数');
+  }
+  const policy = Object.assign({ confirmInterval: 1000, confirmTimeout: 10000 }, options);
+  const notify = (stage, order) => {
+    if (typeof onStatusChange === 'function') {
+      onStatusChange(stage, order);
+    }
+  };
+  const finish = (status, order, error) => {
+    const outcome = { status, order, error };
+    notify(status, order);
+    return outcome;
+  };
+
+  let order;
+  notify(PAY_STAGE.CREATING);
+  try {
+    order = await createOrder();
+  } catch (e) {
+    return finish(PAY_STATUS.FAIL, undefined, e);
+  }
+
+  notify(PAY_STAGE.PAYING, order);
+  try {
+    await sdk.requestPayment(paymentParams(order));
+  } catch (e) {
+    // fail 回调的返回值统一转换为 RequestError，便于读取 errMsg / reason
+    const error = e instanceof Error ? e : new RequestError(e);
+    return finish(isCancel(error) ? PAY_STATUS.CANCEL : PAY_STATUS.FAIL, order, error);
+  }
+
+  if (typeof confirm !== 'function') {
+    return finish(PAY_STATUS.SUCCESS, order);
+  }
+  notify(PAY_STAGE.CONFIRMING, order);
+  const confirmed = await poll(confirm, order, policy);
+  return finish(confirmed ? PAY_STATUS.SUCCESS : PAY_STATUS.UNCONFIRMED, order);
+}
+
+module.exports = {
+  PAY_STATUS,
+  PAY_STAGE,
+  pay,
+};
@@ -0,0 +1,93 @@
+'use strict';
+const { HttpError, RequestError } = require('./errors');
+
+/**
+ * 幂等的 HTTP 方法，默认只对这些方法重试
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+/**
+ * 默认可重试的 HTTP 状态码（需开启 validateStatus 才会产生 HttpError）
+ */
+const RETRY_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * 默认重试判断：超时、中断、其他网络错误以及 RETRY_STATUS_CODES 中的状态码
+ *
+ * @param {Error}   error     是  本次失败的错误，可读取 errMsg、statusCode
+ * @returns {boolean}
+ */
+function defaultRetryOn(error) {
+  if (error instanceof RequestError) {
+    return ['timeout', 'interrupted', 'network'].indexOf(error.type) !== -1;
+  }
+  if (error instanceof HttpError) {
+    return RETRY_STATUS_CODES.indexOf(error.statusCode) !== -1;
+  }
+  return false;
+}
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: 0.5,
+  idempotentOnly: true,
+  methods: IDEMPOTENT_METHODS,
+  retryOn: defaultRetryOn,
+  onAttempt: undefined,
+};
+
+/**
+ * 合并全局与单次调用的重试配置
+ *
+ * @param {boolean/number/object} globalRetry   否  构造参数中的 retry
+ * @param {boolean/number/object} retry         否  本次调用的 retry，false 表示关闭重试，数字表示最大尝试次数
+ * @param {string}  method                      是  本次请求的 HTTP 方法
+ * @returns {object|null}                       重试策略，不需要重试时返回 null
+ */
+function resolvePolicy(globalRetry, retry, method) {
+  if (retry === false || (retry === undefined && !globalRetry)) {
+    return null;
+  }
+  const policy = Object.assign({}, DEFAULTS, normalize(globalRetry), normalize(retry));
+  if (policy.maxAttempts <= 1) {
+    return null;
+  }
+  if (policy.idempotentOnly && policy.methods.indexOf((method || 'GET').toUpperCase()) === -1) {
+    return null;
+  }
+  return policy;
+}
+
+/**
+ * @param {boolean/number/object} retry
+ */
+function normalize(retry) {
+  if (typeof retry === 'number') {
+    return { maxAttempts: retry };
+  }
+  return typeof retry === 'object' ? retry : {};
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间（指数退避 + 抖动）
+ *
+ * @param {object}  policy    是  重试策略
+ * @param {number}  attempt   是  已尝试次数，从 1 开始
+ * @returns {number}          单位ms
+ */
+function getDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  const jitter = Math.min(Math.max(Number(policy.jitter) || 0, 0), 1);
+  return Math.round(delay - Math.random() * delay * jitter);
+}
+
+module.exports = {
+  IDEMPOTENT_METHODS,
+  RETRY_STATUS_CODES,
+  defaultRetryOn,
+  resolvePolicy,
+  getDelay,
+};
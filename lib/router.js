@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * 小程序页面栈最多十层
+ */
+const MAX_DEPTH = 10;
+
+/**
+ * 守卫重定向的最大次数，避免守卫之间互相重定向造成死循环
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * JSON 编码的参数值的前缀，decodeQuery 只还原带有该前缀的值
+ */
+const JSON_PREFIX = 'json:';
+
+/**
+ * 将参数编码为 query string，值为 undefined / null 的参数会被忽略，
+ * 对象 / 数组以 JSON_PREFIX + JSON.stringify 编码；以 JSON_PREFIX 开头的字符串同样 JSON 编码，保证还原后仍是字符串
+ * @param {object} params
+ */
+function stringifyQuery(params = {}) {
+  return Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .map(key => {
+      const raw = params[key];
+      const json = typeof raw === 'object' || (typeof raw === 'string' && raw.indexOf(JSON_PREFIX) === 0);
+      const value = json ? `${JSON_PREFIX}${JSON.stringify(raw)}` : String(raw);
+      return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+    })
+    .join('&');
+}
+
+/**
+ * 解码页面 onLoad 收到的参数，与 stringifyQuery 对应：以 JSON_PREFIX 开头且是合法 JSON 的值还原为对象 / 数组，
+ * 其他值保持字符串（如 '[1,2]'）
+ *
+ * @param {object}  query   是  onLoad(query) 的参数
+ * @returns {object}
+ */
+function decodeQuery(query = {}) {
+  const params = {};
+  Object.keys(query).forEach(key => {
+    let value;
+    try {
+      value = decodeURIComponent(query[key]);
+    } catch (e) {
+      value = query[key];
+    }
+    if (typeof value === 'string' && value.indexOf(JSON_PREFIX) === 0) {
+      try {
+        value = JSON.parse(value.slice(JSON_PREFIX.length));
+      } catch (e) {
+        // 不是 JSON，保留字符串
+      }
+    }
+    params[key] = value;
+  });
+  return params;
+}
+
+/**
+ * 统一路径格式为以 / 开头
+ * @param {string} path
+ */
+function normalizePath(path) {
+  return path.charAt(0) === '/' ? path : `/${path}`;
+}
+
+/**
+ * 基于路由表的页面跳转：按名称和参数生成 url，tabBar 页面自动使用 switchTab，页面栈已满时 navigateTo 改为 redirectTo，
+ * 支持返回到指定名称的页面，以及跳转前的守卫
+ */
+class Router {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   见 WeChat.createRouter
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.options = Object.assign({ maxDepth: MAX_DEPTH }, options);
+    this.routes = {};
+    this.guards = [];
+    Object.keys(this.options.routes || {}).forEach(name => {
+      const route = this.options.routes[name];
+      const definition = typeof route === 'string' ? { path: route } : route;
+      this.routes[name] = Object.assign({}, definition, { name, path: normalizePath(definition.path) });
+    });
+  }
+  /**
+   * 获取当前页面栈
+   * @returns {Array.<Page>}
+   */
+  pages() {
+    if (typeof this.options.getCurrentPages === 'function') {
+      return this.options.getCurrentPages() || [];
+    }
+    return typeof getCurrentPages === 'function' ? getCurrentPages() : [];
+  }
+  /**
+   * 按路径查找路由
+   * @param {string} path
+   */
+  match(path) {
+    const pathname = normalizePath(path.split('?')[0]);
+    return Object.keys(this.routes).map(name => this.routes[name]).find(route => route.path === pathname);
+  }
+  /**
+   * 解析跳转目标
+   *
+   * @param {string/object}  target   是  路由名称、以 / 开头的页面路径，或 { name, params }
+   * @param {object}         params   否  页面参数
+   * @returns {object}                name、path、params、url、tab、meta
+   */
+  resolve(target, params) {
+    if (typeof target === 'object' && target !== null) {
+      return this.resolve(target.name || target.path, Object.assign({}, target.params, params));
+    }
+    if (typeof target !== 'string' || !target) {
+      throw new Error('跳转目标不能为空');
+    }
+    const isPath = target.charAt(0) === '/';
+    const route = isPath ? this.match(target) : this.routes[target];
+    if (!route && !isPath) {
+      throw new Error(`未定义的路由 ${target}`);
+    }
+    const [path, search] = isPath ? target.split('?') : [route.path];
+    const tab = !!(route && route.tab);
+    const query = [search, stringifyQuery(params)].filter(Boolean).join('&');
+    return {
+      name: route ? route.name : undefined,
+      path,
+      params: Object.assign({}, params),
+      url: tab || !query ? path : `${path}?${query}`,
+      tab,
+      meta: Object.assign({}, route && route.meta),
+    };
+  }
+  /**
+   * 当前页面的路由信息
+   * @returns {object|null}   name、path、params、meta
+   */
+  current() {
+    const pages = this.pages();
+    const page = pages[pages.length - 1];
+    return page ? this.describe(page) : null;
+  }
+  /**
+   * 页面栈中页面的路由信息
+   * @param {Page} page
+   * @returns {object}   name、path、params、meta
+   */
+  describe(page) {
+    const path = normalizePath(page.route || '');
+    const route = this.match(path);
+    return {
+      name: route ? route.name : undefined,
+      path,
+      params: decodeQuery(page.options),
+      meta: Object.assign({}, route && route.meta),
+    };
+  }
+  /**
+   * 注册跳转前的守卫，按注册顺序执行
+   *    返回 false 取消跳转
+   *    返回路由名称或 { name, params } 改为跳转到该页面（仍会经过守卫）
+   *    返回其他值或 Promise resolve 其他值时继续
+   *
+   * @param {function}  guard   是  (to, from) => boolean/string/object/Promise
+   * @returns {function}        移除该守卫
+   */
+  beforeEach(guard) {
+    this.guards.push(guard);
+    return () => {
+      this.guards = this.guards.filter(item => item !== guard);
+    };
+  }
+  /**
+   * 依次执行守卫
+   * @param {object} to
+   * @returns {Promise}   true 继续 / false 取消 / object 重定向目标
+   */
+  async guard(to) {
+    const from = this.current();
+    for (const guard of this.guards) {
+      const result = await guard(to, from);
+      if (result === false) {
+        return false;
+      }
+      if (typeof result === 'string' || (typeof result === 'object' && result !== null)) {
+        return result;
+      }
+    }
+    return true;
+  }
+  /**
+   * 经过守卫后跳转
+   * @param {string}          method    navigateTo / redirectTo / reLaunch
+   * @param {string/object}   target
+   * @param {object}          params
+   * @param {number}          redirects
+   */
+  async navigate(method, target, params, redirects = 0) {
+    const to = this.resolve(target, params);
+    const result = await this.guard(to);
+    if (result === false) {
+      return false;
+    }
+    if (result !== true) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`路由守卫重定向次数超过 ${MAX_REDIRECTS} 次`);
+      }
+      return this.navigate(method, result, undefined, redirects + 1);
+    }
+    if (to.tab) {
+      return this.sdk.switchTab({ url: to.url });
+    }
+    if (method === 'navigateTo' && this.pages().length >= this.options.maxDepth) {
+      // 页面栈已满时 navigateTo 会失败，改为替换当前页面
+      return this.sdk.redirectTo({ url: to.url });
+    }
+    return this.sdk[method]({ url: to.url });
+  }
+  /**
+   * 打开新页面（navigateTo），tabBar 页面使用 switchTab，页面栈已满时使用 redirectTo
+   *
+   * @param {string/object}  target   是  路由名称、以 / 开头的页面路径，或 { name, params }
+   * @param {object}         params   否  页面参数，会被 encodeURIComponent，对象 / 数组以 'json:' 前缀加 JSON.stringify 编码（decodeQuery 只还原带前缀的值），tabBar 页面不支持参数
+   * @returns {Promise}               跳转接口的返回值，被守卫取消时为 false
+   */
+  push(target, params) {
+    return this.navigate('navigateTo', target, params);
+  }
+  /**
+   * 替换当前页面（redirectTo），tabBar 页面使用 switchTab，参数同 push
+   */
+  replace(target, params) {
+    return this.navigate('redirectTo', target, params);
+  }
+  /**
+   * 关闭所有页面后打开（reLaunch），参数同 push
+   */
+  relaunch(target, params) {
+    return this.navigate('reLaunch', target, params);
+  }
+  /**
+   * 返回上一页、多级页面或指定名称的页面
+   * 页面栈中不存在该名称的页面时，以 reLaunch（tabBar 页面为 switchTab）打开该页面
+   * 返回前同样经过守卫，to 为返回到的页面（name、path、params、url、tab、meta、delta），
+   * 守卫返回 false 时取消，返回其他页面时以 redirectTo 打开该页面
+   *
+   * @param {number/string}  target   否  默认值： 1  返回的页面数，或路由名称 / 页面路径
+   * @returns {Promise}               navigateBack 的返回值，被守卫取消时为 false
+   */
+  async back(target = 1) {
+    const pages = this.pages();
+    let delta = target;
+    if (typeof target !== 'number') {
+      const { path } = this.resolve(target);
+      let index = pages.length - 1;
+      while (index >= 0 && normalizePath(pages[index].route || '') !== path) {
+        index--;
+      }
+      if (index === -1) {
+        return this.relaunch(target);
+      }
+      delta = pages.length - 1 - index;
+      if (!delta) {
+        return undefined;
+      }
+    }
+    const page = pages[Math.max(0, pages.length - 1 - delta)];
+    if (page) {
+      const to = this.describe(page);
+      const route = this.match(to.path);
+      const query = Object.keys(page.options || {}).map(key => `${key}=${page.options[key]}`).join('&');
+      const result = await this.guard(Object.assign(to, { url: query ? `${to.path}?${query}` : to.path, tab: !!(route && route.tab), delta }));
+      if (result === false) {
+        return false;
+      }
+      if (result !== true) {
+        return this.navigate('redirectTo', result, undefined, 1);
+      }
+    }
+    return this.sdk.navigateBack({ delta });
+  }
+}
+
+module.exports = Router;
+module.exports.stringifyQuery = stringifyQuery;
+module.exports.decodeQuery = decodeQuery;
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * 网络请求调度器
+ * wx.request、wx.uploadFile、wx.downloadFile 共享最多 10 个并发，超出的调用按优先级排队，同优先级先进先出
+ */
+class Scheduler {
+  /**
+   * @param {number}  concurrency   否  默认值： 10  最大并发数
+   */
+  constructor(concurrency = 10) {
+    this.concurrency = concurrency;
+    this.inFlight = 0;
+    this.queue = [];
+  }
+  /**
+   * 加入调度，有空闲名额时同步执行 run
+   *
+   * @param {function}  run       是  run(release)，调用结束后必须执行 release 归还名额
+   * @param {number}    priority  否  默认值： 0  优先级，数值越大越先执行
+   * @returns {function}          移出队列的函数，仍在排队时返回 true
+   */
+  enqueue(run, priority = 0) {
+    const job = { run, priority };
+    if (this.inFlight < this.concurrency && !this.queue.length) {
+      this.start(job);
+      return () => false;
+    }
+    let index = this.queue.findIndex(item => item.priority < priority);
+    if (index === -1) {
+      index = this.queue.length;
+    }
+    this.queue.splice(index, 0, job);
+    return () => {
+      const i = this.queue.indexOf(job);
+      if (i === -1) {
+        return false;
+      }
+      this.queue.splice(i, 1);
+      return true;
+    };
+  }
+  /**
+   * @param {object} job
+   */
+  start(job) {
+    let released = false;
+    this.inFlight++;
+    job.run(() => {
+      if (!released) {
+        released = true;
+        this.inFlight--;
+        this.next();
+      }
+    });
+  }
+  next() {
+    while (this.inFlight < this.concurrency && this.queue.length) {
+      this.start(this.queue.shift());
+    }
+  }
+  /**
+   * 队列状态，便于调试
+   *
+   * @returns {object}  concurrency   {number}  最大并发数
+   *                    inFlight      {number}  正在进行的调用数
+   *                    pending       {number}  排队中的调用数
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      inFlight: this.inFlight,
+      pending: this.queue.length,
+    };
+  }
+}
+module.exports = Scheduler;
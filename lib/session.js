@@ -0,0 +1,190 @@
+'use strict';
+const Promise = require('bluebird');
+const { HttpError } = require('./errors');
+
+/**
+ * 登录态管理
+ * checkSession → login → exchangeCode(code) 换取业务 token → 写入缓存，并发的登录只会执行一次
+ */
+class Session {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   exchangeCode        {function}  是  (code) => Promise，用 wx.login 的 code 向业务服务器换取 token，
+   *                                                                返回 token 字符串或 { token, expiresIn }（expiresIn 单位ms）
+   *                            storageKey          {string}    否  默认值： 'mp-wx-sdk:session'  token 缓存的 key
+   *                            header              {string}    否  默认值： 'Authorization'  携带 token 的 header 名称
+   *                            formatToken         {function}  否  默认值： token => 'Bearer ' + token  header 的值
+   *                            unauthorizedStatus  {number/Array.<number>}  否  默认值： 401  需要重新登录的状态码
+   */
+  constructor(sdk, options = {}) {
+    if (typeof options.exchangeCode !== 'function') {
+      throw new Error('exchangeCode 必须是函数');
+    }
+    this.sdk = sdk;
+    this.options = Object.assign({
+      storageKey: 'mp-wx-sdk:session',
+      header: 'Authorization',
+      formatToken: token => `Bearer ${token}`,
+      unauthorizedStatus: 401,
+    }, options);
+    this.state = undefined;
+    this.pending = null;
+  }
+  /**
+   * 读取缓存中的登录态
+   * @returns {object|null}   token {string}  expiresAt {number}
+   */
+  read() {
+    if (this.state === undefined) {
+      try {
+        this.state = this.sdk.storage.getSync(this.options.storageKey, null);
+      } catch (e) {
+        this.state = null;
+      }
+    }
+    return this.state;
+  }
+  /**
+   * 写入登录态
+   * @param {object} state
+   */
+  write(state) {
+    this.state = state;
+    try {
+      if (state) {
+        this.sdk.storage.setSync(this.options.storageKey, state);
+      } else {
+        this.sdk.storage.removeSync(this.options.storageKey);
+      }
+    } catch (e) {
+      // 缓存失败时仍保留内存中的登录态
+    }
+  }
+  /**
+   * 获取未过期的 token，没有时返回 null
+   * @returns {string|null}
+   */
+  getToken() {
+    const state = this.read();
+    if (!state || !state.token) {
+      return null;
+    }
+    if (state.expiresAt && state.expiresAt <= Date.now()) {
+      return null;
+    }
+    return state.token;
+  }
+  /**
+   * 清除登录态
+   */
+  clear() {
+    this.write(null);
+  }
+  /**
+   * 登录并换取 token，并发调用会合并为一次
+   *
+   * @returns {Promise}   token
+   */
+  login() {
+    if (!this.pending) {
+      this.pending = Promise.resolve(this.sdk.login())
+        .then(({ code }) => this.options.exchangeCode(code))
+        .then(result => {
+          const state = typeof result === 'object' && result !== null ? result : { token: result };
+          if (!state.token) {
+            throw new Error('exchangeCode 未返回 token');
+          }
+          this.write({
+            token: state.token,
+            expiresAt: state.expiresIn ? Date.now() + state.expiresIn : state.expiresAt,
+          });
+          return state.token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+  /**
+   * 清除登录态后重新登录
+   *
+   * @returns {Promise}   token
+   */
+  relogin() {
+    if (!this.pending) {
+      this.clear();
+    }
+    return this.login();
+  }
+  /**
+   * 确保登录态有效：有 token 时通过 wx.checkSession 校验，过期则重新登录
+   * 适合在 App onLaunch 中调用
+   *
+   * @returns {Promise}   token
+   */
+  check() {
+    if (!this.getToken()) {
+      return this.login();
+    }
+    return Promise.resolve(this.sdk.checkSession())
+      .then(() => this.getToken(), () => this.relogin());
+  }
+  /**
+   * 获取 token，没有时自动登录
+   *
+   * @returns {Promise}   token
+   */
+  ensure() {
+    const token = this.getToken();
+    return token ? Promise.resolve(token) : this.login();
+  }
+  /**
+   * 判断状态码是否需要重新登录
+   * @param {number} statusCode
+   */
+  isUnauthorized(statusCode) {
+    return [].concat(this.options.unauthorizedStatus).indexOf(statusCode) !== -1;
+  }
+  /**
+   * 为请求参数加上 token header
+   * @param {object} options
+   * @param {string} token
+   */
+  sign(options, token) {
+    const header = Object.assign({}, options.header, {
+      [this.options.header]: this.options.formatToken(token),
+    });
+    return Object.assign({}, options, { header });
+  }
+  /**
+   * 接入请求客户端：请求前自动携带 token，遇到 unauthorizedStatus 时重新登录一次并重放请求
+   * 重放经过请求拦截器，结果带有 res.config 并交给之后注册的响应拦截器，重放的响应不会再次触发重新登录
+   *
+   * @param {HttpClient}  client   是  WeChat.create 创建的请求客户端
+   * @returns {HttpClient}
+   */
+  attach(client) {
+    const replay = options => {
+      const token = this.getToken();
+      const used = options.header && options.header[this.options.header];
+      // 其他请求已经重新登录过时直接使用新 token
+      const refresh = token && used !== this.options.formatToken(token) ? Promise.resolve(token) : this.relogin();
+      return refresh.then(fresh => client.send(this.sign(options, fresh)));
+    };
+    client.interceptors.request.use(config => this.ensure().then(token => this.sign(config, token)));
+    client.interceptors.response.use(res => {
+      if (res && res.config && this.isUnauthorized(res.statusCode)) {
+        return replay(res.config);
+      }
+      return res;
+    }, err => {
+      if (err instanceof HttpError && this.isUnauthorized(err.statusCode)) {
+        return replay(err.options);
+      }
+      throw err;
+    });
+    return client;
+  }
+}
+module.exports = Session;
@@ -0,0 +1,292 @@
+'use strict';
+const Promise = require('bluebird');
+const Emitter = require('./emitter');
+const eventIterator = require('./event-iterator');
+const retry = require('./retry');
+
+const RECONNECT_DEFAULTS = {
+  maxAttempts: Infinity,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5,
+};
+
+const HEARTBEAT_DEFAULTS = {
+  interval: 30000,
+  timeout: 10000,
+  message: 'ping',
+  isPong: data => data === 'pong',
+};
+
+/**
+ * 基于 SocketTask 的 WebSocket 客户端，每个实例对应一条连接
+ * 支持断线重连、心跳、连接建立前发送的消息排队、JSON 编解码
+ *
+ * 事件：open / message / close / error / reconnect / pong
+ *
+ *    const socket = WeChat.createSocket({ url: 'wss://example.com/ws', heartbeat: true });
+ *    socket.on('message', data => {});
+ *    for await (const data of socket) {}
+ */
+class SocketClient extends Emitter {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   url         {string}    是  服务器 wss 接口地址
+   *                            header      {Object}    否  HTTP 请求的 Header
+   *                            protocols   {Array.<string>}  否  子协议数组
+   *                            json        {boolean}   否  默认值： true  发送时将对象序列化为 JSON，收到的字符串尝试 JSON.parse
+   *                            reconnect   {boolean/object}  否  默认值： true  非主动关闭时自动重连，false 关闭
+   *                                            maxAttempts {number}  默认值： Infinity  最大连续重连次数
+   *                                            baseDelay   {number}  默认值： 1000      首次重连前的等待时间，单位ms
+   *                                            maxDelay    {number}  默认值： 30000     等待时间上限，单位ms
+   *                                            factor      {number}  默认值： 2         退避倍数
+   *                                            jitter      {number}  默认值： 0.5       随机抖动比例
+   *                            heartbeat   {boolean/object}  否  默认值： false  开启心跳
+   *                                            interval    {number}    默认值： 30000   发送 ping 的间隔，单位ms
+   *                                            timeout     {number}    默认值： 10000   发送 ping 后未收到任何消息的超时时间，超时后断开重连
+   *                                            message     {any/function}  默认值： 'ping'  ping 的内容
+   *                                            isPong      {function}  默认值： data => data === 'pong'  判断是否为 pong，pong 不会触发 message 事件
+   */
+  constructor(sdk, options = {}) {
+    super();
+    const { reconnect = true, heartbeat = false, ...rest } = options;
+    this.sdk = sdk;
+    this.options = Object.assign({ json: true }, rest);
+    this.reconnectPolicy = reconnect ? Object.assign({}, RECONNECT_DEFAULTS, typeof reconnect === 'object' ? reconnect : {}) : null;
+    this.heartbeat = heartbeat ? Object.assign({}, HEARTBEAT_DEFAULTS, typeof heartbeat === 'object' ? heartbeat : {}) : null;
+    this.state = 'idle';
+    this.task = null;
+    this.queue = [];
+    this.attempts = 0;
+    this.timers = {};
+  }
+  /**
+   * 建立连接
+   *
+   * @returns {Promise}   连接打开时 resolve
+   */
+  connect() {
+    if (this.state === 'open') {
+      return Promise.resolve();
+    }
+    const opened = new Promise((resolve, reject) => {
+      const offOpen = this.once('open', () => {
+        offClose();
+        resolve();
+      });
+      // 重连期间的 close 不算失败，直到放弃重连
+      const offClose = this.on('close', res => {
+        if (this.state === 'closed') {
+          offOpen();
+          offClose();
+          reject(new Error((res && res.reason) || 'socket closed'));
+        }
+      });
+    });
+    if (this.state !== 'connecting' && this.state !== 'reconnecting') {
+      this.open();
+    }
+    return opened;
+  }
+  /**
+   * 创建 SocketTask 并绑定事件
+   */
+  open() {
+    const { json, url, ...params } = this.options;
+    this.state = 'connecting';
+    this.manual = false;
+    const call = this.sdk.setOption('connectSocket', Object.assign({ url }, params));
+    const task = call.task;
+    this.task = task;
+    call.catch(err => this.handleClose(task, { code: 1006, reason: err && err.errMsg }));
+    if (!task) {
+      return;
+    }
+    task.onOpen(res => {
+      if (task !== this.task) {
+        return;
+      }
+      this.state = 'open';
+      this.attempts = 0;
+      this.startHeartbeat();
+      this.flush();
+      this.emit('open', res);
+    });
+    task.onMessage(res => {
+      if (task === this.task) {
+        this.handleMessage(res.data);
+      }
+    });
+    task.onError(err => {
+      if (task === this.task) {
+        this.emit('error', err);
+      }
+    });
+    task.onClose(res => this.handleClose(task, res));
+  }
+  /**
+   * @param {string/ArrayBuffer} raw
+   */
+  handleMessage(raw) {
+    this.resetHeartbeatTimeout();
+    if (this.heartbeat && this.heartbeat.isPong(raw)) {
+      this.emit('pong', raw);
+      return;
+    }
+    let data = raw;
+    if (this.options.json && typeof raw === 'string') {
+      try {
+        data = JSON.parse(raw);
+      } catch (e) {
+        data = raw;
+      }
+    }
+    this.emit('message', data);
+  }
+  /**
+   * @param {SocketTask}  task
+   * @param {object}      res   code、reason
+   */
+  handleClose(task, res = {}) {
+    if (task !== this.task) {
+      return;
+    }
+    this.task = null;
+    this.stopHeartbeat();
+    const policy = this.reconnectPolicy;
+    if (!this.manual && policy && this.attempts < policy.maxAttempts) {
+      this.state = 'reconnecting';
+      this.attempts++;
+      const delay = retry.getDelay(policy, this.attempts);
+      this.emit('close', res);
+      this.emit('reconnect', { attempt: this.attempts, delay });
+      this.timers.reconnect = setTimeout(() => this.open(), delay);
+      return;
+    }
+    this.state = 'closed';
+    this.emit('close', res);
+    this.rejectQueue(new Error((res && res.reason) || 'socket closed'));
+  }
+  /**
+   * 发送消息，连接未打开时排队，打开后按顺序发送
+   *
+   * @param {*}  data   是  string / ArrayBuffer，开启 json 时其他类型会被 JSON.stringify
+   * @returns {Promise}
+   */
+  send(data) {
+    const payload = this.encode(data);
+    return new Promise((resolve, reject) => {
+      if (this.state === 'open') {
+        this.write(payload, resolve, reject);
+        return;
+      }
+      if (this.state === 'closed' || this.state === 'closing') {
+        reject(new Error('socket closed'));
+        return;
+      }
+      this.queue.push({ payload, resolve, reject });
+      if (this.state === 'idle') {
+        this.open();
+      }
+    });
+  }
+  /**
+   * @param {*} data
+   */
+  encode(data) {
+    if (typeof data === 'string' || data instanceof ArrayBuffer || !this.options.json) {
+      return data;
+    }
+    return JSON.stringify(data);
+  }
+  write(data, resolve, reject) {
+    this.task.send({ data, success: resolve, fail: reject });
+  }
+  flush() {
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach(({ payload, resolve, reject }) => this.write(payload, resolve, reject));
+  }
+  /**
+   * @param {Error} error
+   */
+  rejectQueue(error) {
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach(({ reject }) => reject(error));
+  }
+  /**
+   * 主动关闭连接，不会重连
+   *
+   * @param {number}  code      否  默认值： 1000  关闭连接的状态号
+   * @param {string}  reason    否  关闭的原因
+   * @returns {Promise}
+   */
+  close(code = 1000, reason) {
+    this.manual = true;
+    clearTimeout(this.timers.reconnect);
+    this.stopHeartbeat();
+    const task = this.task;
+    if (!task) {
+      if (this.state !== 'closed') {
+        this.state = 'closed';
+        this.emit('close', { code, reason });
+        this.rejectQueue(new Error(reason || 'socket closed'));
+      }
+      return Promise.resolve();
+    }
+    this.state = 'closing';
+    return new Promise((resolve, reject) => {
+      task.close({ code, reason, success: resolve, fail: reject });
+    });
+  }
+  startHeartbeat() {
+    if (!this.heartbeat) {
+      return;
+    }
+    this.stopHeartbeat();
+    this.timers.ping = setInterval(() => {
+      const message = this.heartbeat.message;
+      this.write(this.encode(typeof message === 'function' ? message() : message), () => {}, () => {});
+      if (!this.timers.pong) {
+        this.timers.pong = setTimeout(() => {
+          // 心跳超时视为断线，按重连策略处理
+          const task = this.task;
+          if (task) {
+            task.close({ code: 4000, reason: 'heartbeat timeout' });
+            this.handleClose(task, { code: 4000, reason: 'heartbeat timeout' });
+          }
+        }, this.heartbeat.timeout);
+      }
+    }, this.heartbeat.interval);
+  }
+  resetHeartbeatTimeout() {
+    clearTimeout(this.timers.pong);
+    this.timers.pong = null;
+  }
+  stopHeartbeat() {
+    clearInterval(this.timers.ping);
+    this.resetHeartbeatTimeout();
+  }
+  /**
+   * 以异步迭代器的方式读取消息，连接最终关闭后结束
+   *
+   * @returns {AsyncIterator}
+   */
+  [Symbol.asyncIterator]() {
+    return eventIterator((push, finish) => {
+      const offMessage = this.on('message', push);
+      const offClose = this.on('close', () => {
+        if (this.state === 'closed') {
+          finish();
+        }
+      });
+      return () => {
+        offMessage();
+        offClose();
+      };
+    });
+  }
+}
+module.exports = SocketClient;
@@ -0,0 +1,297 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+ * 缓存值的包装标记，用于区分本模块写入的数据与其他方式写入的原始数据
+ */
+const MARK = '__mpwx';
+
+/**
+ * 包装缓存值
+ * @param {*}       value
+ * @param {number}  ttl     有效期，单位ms
+ */
+function pack(value, ttl) {
+  const envelope = { [MARK]: 1, e: ttl > 0 ? Date.now() + ttl : 0 };
+  if (value instanceof Date) {
+    envelope.t = 'date';
+    envelope.v = value.toISOString();
+  } else {
+    envelope.v = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+  return envelope;
+}
+
+/**
+ * 解析缓存值
+ * @param {*} data
+ * @returns {object}  value {*}  expired {boolean}
+ */
+function unpack(data) {
+  if (!data || typeof data !== 'object' || data[MARK] !== 1) {
+    return { value: data, expired: false };
+  }
+  if (data.e && data.e <= Date.now()) {
+    return { value: undefined, expired: true };
+  }
+  return { value: data.t === 'date' ? new Date(data.v) : data.v, expired: false };
+}
+
+/**
+ * 本地缓存，值以 JSON 包装后写入，支持过期时间、命名空间，并提供异步与同步两套方法
+ */
+class Storage {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   namespace       {string}    否  key 前缀，如用户 id、版本号
+   *                            quotaThreshold  {number}    否  默认值： 0.9  已用空间超过 limitSize 的比例时，写入前清理已过期的数据
+   *                            quotaCheckInterval  {number}  否  默认值： 60000  写入前检查已用空间的最短间隔，单位ms，写入失败时总会清理
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.options = Object.assign({ namespace: '', quotaThreshold: 0.9, quotaCheckInterval: 60000 }, options);
+    // 各命名空间共用上次检查的时间
+    this.quota = { checkedAt: -Infinity };
+  }
+  /**
+   * 创建子命名空间
+   *
+   * @param {string}  name   是  命名空间，会拼接在当前命名空间之后
+   * @returns {Storage}
+   */
+  namespace(name) {
+    const storage = new Storage(this.sdk, Object.assign({}, this.options, { namespace: this.key(name) }));
+    storage.quota = this.quota;
+    return storage;
+  }
+  /**
+   * 加上命名空间前缀
+   * @param {string} key
+   */
+  key(key) {
+    return this.options.namespace ? `${this.options.namespace}:${key}` : key;
+  }
+  /**
+   * 是否属于当前命名空间
+   * @param {string} key
+   */
+  owns(key) {
+    return !this.options.namespace || key.indexOf(`${this.options.namespace}:`) === 0;
+  }
+  /**
+   * 写入缓存
+   *
+   * @param {string}  key       是  缓存的 key
+   * @param {*}       value     是  可 JSON 序列化的值或 Date
+   * @param {object}  options   ttl   {number}  否  有效期，单位ms，不传则永久有效
+   * @returns {Promise}
+   */
+  async set(key, value, options = {}) {
+    const data = pack(value, options.ttl);
+    if (this.quotaDue()) {
+      const info = await this.sdk.getStorageInfo();
+      if (this.nearQuota(info)) {
+        await this.evictExpired(info.keys);
+      }
+    }
+    try {
+      await this.sdk.setStorage({ key: this.key(key), data });
+    } catch (e) {
+      // 空间不足时清理过期数据后重试一次
+      if ((await this.evictExpired()) === 0) {
+        throw e;
+      }
+      await this.sdk.setStorage({ key: this.key(key), data });
+    }
+  }
+  /**
+   * 读取缓存，过期的数据会被删除
+   *
+   * @param {string}  key           是  缓存的 key
+   * @param {*}       defaultValue  否  不存在或已过期时返回的值
+   * @returns {Promise}
+   */
+  async get(key, defaultValue) {
+    let data;
+    try {
+      ({ data } = await this.sdk.getStorage({ key: this.key(key) }));
+    } catch (e) {
+      return defaultValue;
+    }
+    // key 不存在时部分平台返回空字符串；set 写入的值都经过包装，未包装的空字符串视为不存在
+    if (data === '') {
+      return defaultValue;
+    }
+    const { value, expired } = unpack(data);
+    if (expired) {
+      await this.remove(key);
+    }
+    return value === undefined ? defaultValue : value;
+  }
+  /**
+   * 删除缓存
+   * @param {string}  key   是  缓存的 key
+   * @returns {Promise}
+   */
+  async remove(key) {
+    await this.sdk.removeStorage({ key: this.key(key) });
+  }
+  /**
+   * 清空当前命名空间，没有命名空间时清空全部缓存
+   * @returns {Promise}
+   */
+  async clear() {
+    if (!this.options.namespace) {
+      await this.sdk.clearStorage();
+      return;
+    }
+    const { keys } = await this.sdk.getStorageInfo();
+    await Promise.all(keys.filter(key => this.owns(key)).map(key => this.sdk.removeStorage({ key })));
+  }
+  /**
+   * 获取空间使用情况
+   *
+   * @returns {Promise}         keys          {Array.<string>}  当前命名空间下的 key（不含前缀）
+   *                            currentSize   {number}          已用空间，单位KB
+   *                            limitSize     {number}          空间上限，单位KB
+   *                            usage         {number}          currentSize / limitSize
+   */
+  async info() {
+    return this.describe(await this.sdk.getStorageInfo());
+  }
+  /**
+   * 清理已过期的数据（所有命名空间）
+   *
+   * @param {Array.<string>}  keys  否  需要检查的 key，默认检查全部
+   * @returns {Promise}             清理的数量
+   */
+  async evictExpired(keys) {
+    if (!keys) {
+      ({ keys } = await this.sdk.getStorageInfo());
+    }
+    let count = 0;
+    for (const key of keys) {
+      try {
+        const { data } = await this.sdk.getStorage({ key });
+        if (unpack(data).expired) {
+          await this.sdk.removeStorage({ key });
+          count++;
+        }
+      } catch (e) {
+        // key 已被删除
+      }
+    }
+    return count;
+  }
+  /**
+   * 同步写入缓存，参数同 set
+   */
+  setSync(key, value, options = {}) {
+    const data = pack(value, options.ttl);
+    if (this.quotaDue()) {
+      const info = this.sdk.getStorageInfoSync();
+      if (this.nearQuota(info)) {
+        this.evictExpiredSync(info.keys);
+      }
+    }
+    try {
+      this.sdk.setStorageSync(this.key(key), data);
+    } catch (e) {
+      if (this.evictExpiredSync() === 0) {
+        throw e;
+      }
+      this.sdk.setStorageSync(this.key(key), data);
+    }
+  }
+  /**
+   * 同步读取缓存，参数同 get
+   */
+  getSync(key, defaultValue) {
+    let data;
+    try {
+      data = this.sdk.getStorageSync(this.key(key));
+    } catch (e) {
+      return defaultValue;
+    }
+    // key 不存在时 getStorageSync 返回空字符串
+    if (data === '') {
+      return defaultValue;
+    }
+    const { value, expired } = unpack(data);
+    if (expired) {
+      this.removeSync(key);
+    }
+    return value === undefined ? defaultValue : value;
+  }
+  /**
+   * 同步删除缓存，参数同 remove
+   */
+  removeSync(key) {
+    this.sdk.removeStorageSync(this.key(key));
+  }
+  /**
+   * 同步清空缓存，同 clear
+   */
+  clearSync() {
+    if (!this.options.namespace) {
+      this.sdk.clearStorageSync();
+      return;
+    }
+    this.sdk.getStorageInfoSync().keys
+      .filter(key => this.owns(key))
+      .forEach(key => this.sdk.removeStorageSync(key));
+  }
+  /**
+   * 同步获取空间使用情况，同 info
+   */
+  infoSync() {
+    return this.describe(this.sdk.getStorageInfoSync());
+  }
+  /**
+   * 同步清理已过期的数据，同 evictExpired
+   */
+  evictExpiredSync(keys) {
+    let count = 0;
+    (keys || this.sdk.getStorageInfoSync().keys).forEach(key => {
+      try {
+        if (unpack(this.sdk.getStorageSync(key)).expired) {
+          this.sdk.removeStorageSync(key);
+          count++;
+        }
+      } catch (e) {
+        // key 已被删除
+      }
+    });
+    return count;
+  }
+  /**
+   * 距上次检查已用空间超过 quotaCheckInterval 时返回 true，避免每次写入都调用 getStorageInfo
+   */
+  quotaDue() {
+    const now = Date.now();
+    if (now - this.quota.checkedAt < this.options.quotaCheckInterval) {
+      return false;
+    }
+    this.quota.checkedAt = now;
+    return true;
+  }
+  /**
+   * @param {object} info  getStorageInfo 的返回值
+   */
+  nearQuota(info) {
+    return info.limitSize > 0 && info.currentSize / info.limitSize >= this.options.quotaThreshold;
+  }
+  /**
+   * @param {object} info  getStorageInfo 的返回值
+   */
+  describe(info) {
+    const prefix = this.options.namespace ? this.options.namespace.length + 1 : 0;
+    return {
+      keys: info.keys.filter(key => this.owns(key)).map(key => key.slice(prefix)),
+      currentSize: info.currentSize,
+      limitSize: info.limitSize,
+      usage: info.limitSize > 0 ? info.currentSize / info.limitSize : 0,
+    };
+  }
+}
+module.exports = Storage;
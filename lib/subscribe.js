@@ -0,0 +1,127 @@
+'use strict';
+const { RequestError, GestureRequiredError } = require('./errors');
+
+/**
+ * 单个模板的订阅结果
+ */
+const SUBSCRIBE_STATUS = {
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+  BAN: 'ban',
+  FILTER: 'filter',
+};
+
+/**
+ * requestSubscribeMessage 一次最多传入的模板数量
+ */
+const MAX_TMPL_IDS = 3;
+
+/**
+ * 结果中各状态对应的列表字段
+ */
+const LISTS = {
+  accept: 'accepted',
+  reject: 'rejected',
+  ban: 'banned',
+  filter: 'filtered',
+};
+
+/**
+ * 订阅消息：调用 requestSubscribeMessage 并按状态归类结果，通过 getSetting 记录用户「总是保持以上选择」的决定
+ *
+ * requestSubscribeMessage 只能在点击事件的同步调用栈中调用，await 之后再次调用会失败，
+ * 因此每次只请求前 3 个模板，其余模板放在结果的 remaining 中，需要用户再次点击后请求
+ */
+class Subscriptions {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.setting = null;
+  }
+  /**
+   * 通过 getSetting({ withSubscriptions: true }) 刷新订阅设置
+   *
+   * @returns {Promise}         mainSwitch    {boolean}   订阅消息总开关
+   *                            itemSettings  {Object}    用户选择了「总是保持」的模板，值为 accept / reject / ban
+   */
+  async refresh() {
+    const { subscriptionsSetting } = await this.sdk.getSetting({ withSubscriptions: true });
+    this.setting = Object.assign({ mainSwitch: true }, subscriptionsSetting);
+    this.setting.itemSettings = Object.assign({}, this.setting.itemSettings);
+    return this.setting;
+  }
+  /**
+   * 获取用户对模板「总是保持」的选择，未知时返回 undefined
+   * @param {string} tmplId
+   */
+  remembered(tmplId) {
+    return this.setting ? this.setting.itemSettings[tmplId] : undefined;
+  }
+  /**
+   * 请求订阅，必须在用户点击事件的回调中调用，且调用前不能有 await
+   * 已知总开关关闭或「总是拒绝」的模板不会再弹窗请求，直接记为 reject / ban；
+   * 需要请求的模板超过 3 个时只请求前 3 个，其余模板放在 remaining 中
+   *
+   * @param {Array.<string>}  tmplIds   是  模板 id
+   * @param {object}          options   skipRemembered  {boolean}  否  默认值： true  跳过已知总是拒绝的模板
+   * @returns {Promise}
+   */
+  async request(tmplIds, options = {}) {
+    const { skipRemembered = true } = options;
+    const result = {
+      accepted: [],
+      rejected: [],
+      banned: [],
+      filtered: [],
+      statuses: {},
+      always: {},
+      remaining: [],
+    };
+    const record = (id, status) => {
+      result.statuses[id] = status;
+      if (LISTS[status]) {
+        result[LISTS[status]].push(id);
+      }
+    };
+    const pending = [];
+    Array.from(new Set([].concat(tmplIds))).forEach(id => {
+      const decision = this.setting && !this.setting.mainSwitch ? SUBSCRIBE_STATUS.REJECT : this.remembered(id);
+      if (skipRemembered && (decision === SUBSCRIBE_STATUS.REJECT || decision === SUBSCRIBE_STATUS.BAN)) {
+        record(id, decision);
+      } else {
+        pending.push(id);
+      }
+    });
+    const batch = pending.slice(0, MAX_TMPL_IDS);
+    result.remaining = pending.slice(MAX_TMPL_IDS);
+    if (batch.length) {
+      let res;
+      try {
+        // 调用发生在首个 await 之前，仍处于点击事件的同步调用栈中
+        res = await this.sdk.requestSubscribeMessage({ tmplIds: batch });
+      } catch (e) {
+        const error = /TAP gesture/i.test((e && e.errMsg) || '')
+          ? new GestureRequiredError('requestSubscribeMessage', e)
+          : e instanceof Error ? e : new RequestError(e);
+        error.result = result;
+        throw error;
+      }
+      batch.forEach(id => record(id, res[id]));
+    }
+    if (pending.length) {
+      await this.refresh().catch(() => {});
+    }
+    Object.keys(result.statuses).forEach(id => {
+      if (this.remembered(id)) {
+        result.always[id] = this.remembered(id);
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = Subscriptions;
+module.exports.SUBSCRIBE_STATUS = SUBSCRIBE_STATUS;
+module.exports.MAX_TMPL_IDS = MAX_TMPL_IDS;
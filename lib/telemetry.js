@@ -0,0 +1,351 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+ * 默认脱敏的字段名，匹配任意层级的 key
+ */
+const DEFAULT_REDACT_KEYS = [
+  /^auth$/i,
+  /authorization/i,
+  /cookie/i,
+  /token/i,
+  /passw(or)?d/i,
+  /secret/i,
+  /session/i,
+  /^paySign$/i,
+  /^code$/i,
+  /^encryptedData$/i,
+  /^iv$/i,
+  /^signature$/i,
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * 字符串超过该长度时截断
+ */
+const MAX_STRING_LENGTH = 256;
+
+/**
+ * 序列化参数的最大层级
+ */
+const MAX_DEPTH = 4;
+
+/**
+ * 值为地址的字段，其中 query 参数名命中规则时脱敏参数值
+ */
+const URL_KEYS = ['url', 'filePath'];
+
+/**
+ * 将字符串规则转换为不区分大小写的完整匹配
+ * @param {string/RegExp} rule
+ */
+function toPattern(rule) {
+  if (rule instanceof RegExp) {
+    return rule;
+  }
+  return new RegExp(`^${String(rule).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+/**
+ * 脱敏地址中参数名命中规则的 query 参数，如 /api?access_token=xxx
+ * @param {string}          url
+ * @param {Array.<RegExp>}  patterns
+ */
+function redactQuery(url, patterns) {
+  return url.replace(/([?&;])([^=&#;]+)=([^&#;]*)/g, (match, separator, name) => {
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name);
+    } catch (e) {
+      // ignore
+    }
+    return patterns.some(pattern => pattern.test(decoded)) ? `${separator}${name}=${REDACTED}` : match;
+  });
+}
+
+/**
+ * 生成可安全上报的参数副本：去掉回调函数，脱敏 key 命中规则的值，截断过长的字符串与过深的对象
+ * url、filePath 中参数名命中规则的 query 参数同样脱敏；带 key、data 的参数（如 setStorage）key 命中规则时脱敏 data
+ *
+ * @param {*}               value     是  接口参数
+ * @param {Array.<RegExp>}  patterns  是  需要脱敏的 key
+ * @returns {*}
+ */
+function sanitize(value, patterns, depth = 0) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…(${value.length})` : value;
+  }
+  if (typeof value === 'function') {
+    return undefined;
+  }
+  if (typeof ArrayBuffer !== 'undefined' && value instanceof ArrayBuffer) {
+    return `[ArrayBuffer ${value.byteLength}]`;
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, 20).map(item => sanitize(item, patterns, depth + 1));
+  }
+  const result = {};
+  const matches = key => patterns.some(pattern => pattern.test(key));
+  const storageKey = typeof value.key === 'string' && 'data' in value && matches(value.key);
+  Object.keys(value).forEach(key => {
+    if (matches(key) || (storageKey && key === 'data')) {
+      result[key] = REDACTED;
+      return;
+    }
+    const raw = URL_KEYS.indexOf(key) !== -1 && typeof value[key] === 'string' ? redactQuery(value[key], patterns) : value[key];
+    const item = sanitize(raw, patterns, depth + 1);
+    if (item !== undefined) {
+      result[key] = item;
+    }
+  });
+  return result;
+}
+
+/**
+ * 控制台输出：失败使用 console.warn，成功使用 console.info（onlyErrors 为 true 时不输出）
+ *
+ * @param {object}  options   onlyErrors  {boolean}   否  默认值： false  只输出失败的调用
+ * @returns {object}          sink
+ */
+function createConsoleSink(options = {}) {
+  return {
+    write(event) {
+      const line = `[mp-wx-sdk] ${event.api} ${event.outcome} ${event.duration}ms`;
+      if (event.outcome !== 'success') {
+        console.warn(line, event.errMsg, event);
+      } else if (!options.onlyErrors) {
+        console.info(line, event);
+      }
+    },
+  };
+}
+
+/**
+ * 写入实时日志（wx.getRealtimeLogManager），可在小程序管理后台查询，失败写入 warn 级别
+ * 基础库不支持时不输出
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {object}  options   onlyErrors  {boolean}   否  默认值： false  只写入失败的调用
+ * @returns {object}          sink
+ */
+function createRealtimeLogSink(sdk, options = {}) {
+  let manager;
+  return {
+    write(event) {
+      if (manager === undefined) {
+        manager = sdk.canUse('getRealtimeLogManager') ? sdk.invokeSync('getRealtimeLogManager') : null;
+      }
+      if (!manager) {
+        return;
+      }
+      if (event.outcome !== 'success') {
+        manager.warn(event.api, event.outcome, event.errMsg, event);
+      } else if (!options.onlyErrors) {
+        manager.info(event.api, event.outcome, event);
+      }
+    },
+  };
+}
+
+/**
+ * 批量上报到业务服务器：达到 batchSize 或 flushInterval 后以 POST { events } 发送，
+ * 小程序切到后台时立即发送，发送失败的事件放回缓冲区（最多保留 maxBuffer 条）
+ * 上报请求本身不会产生事件
+ *
+ * @param {WeChat}  sdk       是  WeChat 实例
+ * @param {object}  options   url             {string}    是  上报地址
+ *                            header          {Object}    否  请求 header
+ *                            batchSize       {number}    否  默认值： 20  每批事件数
+ *                            flushInterval   {number}    否  默认值： 10000  缓冲的最长时间，单位ms
+ *                            maxBuffer       {number}    否  默认值： 200  缓冲区最多保留的事件数，超出时丢弃最早的事件
+ *                            transform       {function}  否  (events) => data  生成请求数据，默认 { events }
+ * @returns {object}          sink，sink.flush() 立即发送
+ */
+function createBatchSink(sdk, options = {}) {
+  const { url, header, batchSize = 20, flushInterval = 10000, maxBuffer = 200, transform } = options;
+  if (!url) {
+    throw new Error('url 不能为空');
+  }
+  let buffer = [];
+  let timer = null;
+  let sending = Promise.resolve();
+  let unlisten = null;
+  const sink = {
+    write(event) {
+      buffer.push(event);
+      if (buffer.length > maxBuffer) {
+        buffer = buffer.slice(-maxBuffer);
+      }
+      if (!unlisten && sdk.canUse('onAppHide')) {
+        unlisten = sdk.listen('onAppHide', () => sink.flush());
+      }
+      if (buffer.length >= batchSize) {
+        sink.flush();
+      } else if (!timer) {
+        timer = setTimeout(() => sink.flush(), flushInterval);
+      }
+    },
+    /**
+     * 发送缓冲区中的全部事件
+     * @returns {Promise}
+     */
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      sending = sending.then(async () => {
+        while (buffer.length) {
+          const events = buffer.splice(0, batchSize);
+          try {
+            await sdk.request({
+              url,
+              method: 'POST',
+              header,
+              data: typeof transform === 'function' ? transform(events) : { events },
+              validateStatus: true,
+              retry: false,
+              telemetry: false,
+            });
+          } catch (e) {
+            buffer = events.concat(buffer).slice(-maxBuffer);
+            break;
+          }
+        }
+      });
+      return sending;
+    },
+  };
+  return sink;
+}
+
+/**
+ * 接口调用埋点：setOption 发起的每次调用结束后生成事件并写入各个 sink
+ *
+ * 事件字段：
+ *    api         接口名称
+ *    platform    宿主平台
+ *    options     脱敏后的参数
+ *    startTime   开始时间戳
+ *    duration    耗时，单位ms
+ *    outcome     success / fail / unsupported
+ *    errMsg      失败原因
+ *    statusCode  网络请求的 HTTP 状态码
+ */
+class Telemetry {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   * @param {object}  options   见构造参数 telemetry
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.options = Object.assign({ sampleRate: 1, errorSampleRate: 1, redact: [] }, options);
+    this.patterns = DEFAULT_REDACT_KEYS.concat((this.options.redact || []).map(toPattern));
+    this.sinks = [];
+    this.emitting = false;
+    if (this.options.console) {
+      this.addSink(createConsoleSink(typeof this.options.console === 'object' ? this.options.console : {}));
+    }
+    if (this.options.realtimeLog) {
+      this.addSink(createRealtimeLogSink(sdk, typeof this.options.realtimeLog === 'object' ? this.options.realtimeLog : {}));
+    }
+    if (this.options.upload) {
+      this.addSink(createBatchSink(sdk, this.options.upload));
+    }
+    (this.options.sinks || []).forEach(sink => this.addSink(sink));
+  }
+  /**
+   * 添加 sink
+   *
+   * @param {object/function}  sink  是  { write(event), flush() } 或 (event) => void
+   * @returns {function}             移除该 sink
+   */
+  addSink(sink) {
+    const item = typeof sink === 'function' ? { write: sink } : sink;
+    this.sinks.push(item);
+    return () => {
+      this.sinks = this.sinks.filter(other => other !== item);
+    };
+  }
+  /**
+   * 开始记录一次调用，没有 sink 或参数中 telemetry 为 false 时返回 null
+   * sink 写入过程中发生的调用（如获取实时日志管理器）不记录，避免递归
+   *
+   * @param {string}  api       是  接口名称
+   * @param {object}  options   否  接口参数
+   * @returns {object|null}     trace.end(error, res)
+   */
+  trace(api, options) {
+    if (!this.sinks.length || this.emitting || (options && options.telemetry === false)) {
+      return null;
+    }
+    const startTime = Date.now();
+    return {
+      end: (error, res) => {
+        const outcome = error ? (error.name === 'UnsupportedApiError' ? 'unsupported' : 'fail') : 'success';
+        const rate = outcome === 'success' ? this.options.sampleRate : this.options.errorSampleRate;
+        if (rate < 1 && Math.random() >= rate) {
+          return;
+        }
+        const event = {
+          api,
+          platform: this.sdk.platform,
+          options: sanitize(options || {}, this.patterns),
+          startTime,
+          duration: Date.now() - startTime,
+          outcome,
+        };
+        if (error) {
+          event.errMsg = error.errMsg || error.message || String(error);
+        }
+        if (res && res.statusCode !== undefined) {
+          event.statusCode = res.statusCode;
+        }
+        this.emit(event);
+      },
+    };
+  }
+  /**
+   * 经过 beforeSend 后写入各个 sink，钩子或单个 sink 出错不影响接口调用与其他 sink
+   * @param {object} event
+   */
+  emit(event) {
+    const hook = this.options.beforeSend;
+    this.emitting = true;
+    try {
+      const output = typeof hook === 'function' ? hook(event) : event;
+      if (!output) {
+        return;
+      }
+      this.sinks.forEach(sink => {
+        try {
+          sink.write(output);
+        } catch (e) {
+          // sink 出错不影响接口调用
+        }
+      });
+    } catch (e) {
+      // beforeSend 出错时丢弃该事件
+    } finally {
+      this.emitting = false;
+    }
+  }
+  /**
+   * 立即发送各个 sink 缓冲中的事件
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.all(this.sinks.map(sink => (typeof sink.flush === 'function' ? sink.flush() : undefined)));
+  }
+}
+
+module.exports = Telemetry;
+module.exports.sanitize = sanitize;
+module.exports.createConsoleSink = createConsoleSink;
+module.exports.createRealtimeLogSink = createRealtimeLogSink;
+module.exports.createBatchSink = createBatchSink;
@@ -0,0 +1,147 @@
+'use strict';
+const Promise = require('bluebird');
+const { HttpError, RequestError, CancelError, FileSystemError } = require('./errors');
+
+/**
+ * 请求失败时默认的提示文案
+ *
+ * @param {Error}   error   是  请求失败的错误
+ * @returns {string}        CancelError 返回空字符串，表示不提示
+ */
+function describeError(error) {
+  if (error instanceof CancelError) {
+    return '';
+  }
+  if (error instanceof HttpError) {
+    return `请求失败（${error.statusCode}）`;
+  }
+  if (error instanceof RequestError && error.type === 'timeout') {
+    return '请求超时，请稍后重试';
+  }
+  if (error instanceof FileSystemError) {
+    return error.type === 'quota' ? '存储空间不足' : '文件读写失败';
+  }
+  return '网络异常，请稍后重试';
+}
+
+/**
+ * 界面反馈：引用计数的 loading、依次显示的 toast、依次弹出的 modal
+ * showLoading 与 showToast 共用同一个提示框，loading 显示期间 toast 会排队等待 loading 结束
+ */
+class UI {
+  /**
+   * @param {WeChat}  sdk       是  WeChat 实例
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.loadingCount = 0;
+    this.loadingTitle = undefined;
+    this.toasts = [];
+    this.toasting = false;
+    this.modals = Promise.resolve();
+  }
+  /**
+   * 显示 loading，多次调用时只有全部 hideLoading 后才会关闭
+   *
+   * @param {string/object}  options   否  默认值： '加载中'  提示的内容，或 showLoading 参数
+   */
+  showLoading(options) {
+    const params = Object.assign({ title: '加载中', mask: true }, typeof options === 'string' ? { title: options } : options);
+    this.loadingCount++;
+    // 已经显示时只在文案变化时更新
+    if (this.loadingCount === 1 || params.title !== this.loadingTitle) {
+      this.loadingTitle = params.title;
+      this.sdk.showLoading(params).catch(() => {});
+    }
+  }
+  /**
+   * 与 showLoading 配对调用，计数归零时关闭 loading 并显示排队中的 toast
+   */
+  hideLoading() {
+    if (this.loadingCount === 0) {
+      return;
+    }
+    this.loadingCount--;
+    if (this.loadingCount === 0) {
+      this.loadingTitle = undefined;
+      this.sdk.hideLoading().catch(() => {});
+      this.drain();
+    }
+  }
+  /**
+   * 在 task 执行期间显示 loading
+   *
+   *    const res = await WeChat.ui.withLoading(api.get('/list'), '加载中');
+   *
+   * @param {Promise/function}  task      是  Promise，或返回 Promise 的函数
+   * @param {string/object}     options   否  同 showLoading
+   * @returns {Promise}                   task 的结果
+   */
+  withLoading(task, options) {
+    this.showLoading(options);
+    return Promise.resolve()
+      .then(() => (typeof task === 'function' ? task() : task))
+      .finally(() => this.hideLoading());
+  }
+  /**
+   * 排队显示 toast，前一个显示 duration 后再显示下一个
+   *
+   * @param {string/object}  options   是  提示的内容，或 showToast 参数，icon 默认为 'none'
+   * @returns {Promise}                toast 显示结束后 resolve
+   */
+  toast(options) {
+    const params = Object.assign({ icon: 'none', duration: 1500 }, typeof options === 'string' ? { title: options } : options);
+    return new Promise(resolve => {
+      this.toasts.push({ params, resolve });
+      this.drain();
+    });
+  }
+  /**
+   * 显示下一个 toast
+   */
+  drain() {
+    if (this.toasting || this.loadingCount > 0 || !this.toasts.length) {
+      return;
+    }
+    const { params, resolve } = this.toasts.shift();
+    this.toasting = true;
+    const done = () => {
+      this.toasting = false;
+      resolve();
+      this.drain();
+    };
+    this.sdk.showToast(params).then(() => setTimeout(done, params.duration), done);
+  }
+  /**
+   * 依次弹出 modal，前一个关闭后才会弹出下一个
+   * @param {object} options  showModal 参数
+   */
+  modal(options) {
+    const result = this.modals.then(() => this.sdk.showModal(options));
+    this.modals = result.catch(() => {});
+    return result;
+  }
+  /**
+   * 确认框
+   *
+   * @param {string/object}  options   是  提示的内容，或 showModal 参数
+   * @returns {Promise}                点击确定为 true，点击取消为 false
+   */
+  confirm(options) {
+    const params = Object.assign({ title: '提示' }, typeof options === 'string' ? { content: options } : options, { showCancel: true });
+    return this.modal(params).then(res => !!res.confirm);
+  }
+  /**
+   * 提示框，只有确定按钮
+   *
+   * @param {string/object}  options   是  提示的内容，或 showModal 参数
+   * @returns {Promise}                关闭后 resolve true
+   */
+  alert(options) {
+    const params = Object.assign({ title: '提示' }, typeof options === 'string' ? { content: options } : options, { showCancel: false });
+    return this.modal(params).then(() => true);
+  }
+}
+
+module.exports = UI;
+module.exports.describeError = describeError;
@@ -0,0 +1,111 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+
+function createMy() {
+  const store = {};
+  return {
+    calls: [],
+    request(options) {
+      this.calls.push(['request', options]);
+      if (options.url === '/missing') {
+        options.fail({ error: 19, errorMessage: 'http status error', status: 404, data: 'nf', headers: {} });
+      } else if (options.url === '/timeout') {
+        options.fail({ error: 13, errorMessage: '超时' });
+      } else {
+        options.success({ status: 200, data: { ok: true }, headers: { 'x-id': '1' } });
+      }
+    },
+    getAuthCode(options) {
+      this.calls.push(['getAuthCode', options]);
+      options.success({ authCode: 'auth' });
+    },
+    showToast(options) {
+      this.calls.push(['showToast', options]);
+      options.success({});
+    },
+    confirm(options) {
+      this.calls.push(['confirm', options]);
+      options.success({ confirm: false });
+    },
+    alert(options) {
+      this.calls.push(['alert', options]);
+      options.success({});
+    },
+    showActionSheet(options) {
+      options.success({ index: 2 });
+    },
+    setStorageSync({ key, data }) {
+      store[key] = data;
+    },
+    getStorageSync({ key }) {
+      return { data: store[key] };
+    },
+    getStorageInfoSync() {
+      return { keys: Object.keys(store), currentSize: 0, limitSize: 10240 };
+    },
+  };
+}
+
+describe('platform adapters', () => {
+  let my;
+  let sdk;
+
+  beforeEach(() => {
+    my = createMy();
+    sdk = new WeChat(my, { platform: 'alipay' });
+  });
+
+  it('maps request header and response fields', async () => {
+    const res = await sdk.get('/list', { page: 1 }, { token: 't' });
+    assert.deepStrictEqual(my.calls[0][1].headers, { token: 't' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.header, { 'x-id': '1' });
+  });
+
+  it('treats HTTP errors as responses so validateStatus applies', async () => {
+    const res = await sdk.get('/missing');
+    assert.strictEqual(res.statusCode, 404);
+    await assert.rejects(sdk.get('/missing', {}, null, { validateStatus: true }), err => err instanceof WeChat.HttpError && err.statusCode === 404);
+  });
+
+  it('normalizes fail callbacks into errMsg', async () => {
+    await assert.rejects(sdk.get('/timeout'), err => err instanceof WeChat.RequestError && err.type === 'timeout');
+  });
+
+  it('maps login to getAuthCode', async () => {
+    const res = await sdk.login();
+    assert.strictEqual(res.code, 'auth');
+    assert.strictEqual(my.calls[0][0], 'getAuthCode');
+  });
+
+  it('maps showToast title to content', async () => {
+    await sdk.showToast({ title: '已保存', icon: 'error' });
+    assert.deepStrictEqual(my.calls[0][1].content, '已保存');
+    assert.deepStrictEqual(my.calls[0][1].type, 'fail');
+  });
+
+  it('maps showModal to confirm or alert', async () => {
+    const res = await sdk.showModal({ title: 't', content: 'c', confirmText: '好' });
+    assert.deepStrictEqual([res.confirm, res.cancel], [false, true]);
+    assert.strictEqual(my.calls[0][1].confirmButtonText, '好');
+    await sdk.showModal({ title: 't', content: 'c', showCancel: false });
+    assert.strictEqual(my.calls[1][0], 'alert');
+  });
+
+  it('maps showActionSheet result', async () => {
+    const res = await sdk.showActionSheet({ itemList: ['a', 'b', 'c'] });
+    assert.strictEqual(res.tapIndex, 2);
+  });
+
+  it('maps sync storage arguments', () => {
+    sdk.setStorageSync('k', 'v');
+    assert.strictEqual(sdk.getStorageSync('k'), 'v');
+    sdk.storage.setSync('json', { a: 1 });
+    assert.deepStrictEqual(sdk.storage.getSync('json'), { a: 1 });
+  });
+
+  it('rejects unknown platforms', () => {
+    assert.throws(() => new WeChat(my, { platform: 'unknown' }), /不支持的平台/);
+  });
+});
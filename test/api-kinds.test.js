@@ -0,0 +1,144 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const { KIND, kindOf } = require('../lib/api-kinds');
+const createMockWx = require('../lib/mock-wx');
+
+describe('api kinds', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+  });
+
+  describe('kindOf', () => {
+    it('classifies on*/off* as event APIs', () => {
+      assert.strictEqual(kindOf('onWindowResize'), KIND.EVENT);
+      assert.strictEqual(kindOf('offWindowResize'), KIND.EVENT);
+      assert.strictEqual(kindOf('onSocketMessage'), KIND.EVENT);
+    });
+
+    it('classifies Sync, create* and listed APIs as sync', () => {
+      assert.strictEqual(kindOf('getStorageSync'), KIND.SYNC);
+      assert.strictEqual(kindOf('createSelectorQuery'), KIND.SYNC);
+      assert.strictEqual(kindOf('getMenuButtonBoundingClientRect'), KIND.SYNC);
+      assert.strictEqual(kindOf('nextTick'), KIND.SYNC);
+    });
+
+    it('classifies callback APIs as async', () => {
+      assert.strictEqual(kindOf('request'), KIND.ASYNC);
+      assert.strictEqual(kindOf('login'), KIND.ASYNC);
+      assert.strictEqual(kindOf('createBLEConnection'), KIND.ASYNC);
+      assert.strictEqual(kindOf('online'), KIND.ASYNC);
+    });
+  });
+
+  describe('async APIs', () => {
+    it('resolves with the success result and calls wx with this bound', async () => {
+      const res = await sdk.login({ timeout: 1000 });
+      assert.strictEqual(res.code, 'mock_code_1');
+      assert.strictEqual(wx.mock.calls[0].options.timeout, 1000);
+      wx.login = function (options) {
+        options.success({ bound: this === wx });
+      };
+      assert.strictEqual((await sdk.login()).bound, true);
+    });
+
+    it('rejects with the fail result', async () => {
+      wx.mock.sessionExpired = true;
+      await assert.rejects(sdk.checkSession(), res => res.errMsg === 'checkSession:fail session expired');
+    });
+  });
+
+  describe('sync APIs', () => {
+    it('returns the value directly', () => {
+      assert.deepStrictEqual(sdk.getMenuButtonBoundingClientRect(), wx.mock.menuButton);
+    });
+
+    it('nextTick resolves with the callback result on the next tick', async () => {
+      let ran = false;
+      const promise = sdk.nextTick(() => {
+        ran = true;
+        return 1;
+      });
+      assert.strictEqual(ran, false);
+      assert.strictEqual(await promise, 1);
+      assert.strictEqual(ran, true);
+    });
+  });
+
+  describe('event APIs', () => {
+    it('returns an unsubscribe function that calls off*', () => {
+      const sizes = [];
+      const off = sdk.onWindowResize(res => sizes.push(res.size));
+      wx.mock.trigger('WindowResize', { size: { windowWidth: 1 } });
+      off();
+      wx.mock.trigger('WindowResize', { size: { windowWidth: 2 } });
+      assert.deepStrictEqual(sizes, [{ windowWidth: 1 }]);
+      assert.strictEqual(wx.mock.listeners.WindowResize.length, 0);
+    });
+
+    it('removes the registered handler when off* gets the same listener', () => {
+      const sizes = [];
+      const onResize = res => sizes.push(res.size);
+      sdk.onWindowResize(onResize);
+      sdk.onWindowResize(onResize);
+      wx.mock.trigger('WindowResize', { size: 1 });
+      sdk.offWindowResize(onResize);
+      wx.mock.trigger('WindowResize', { size: 2 });
+      assert.deepStrictEqual(sizes, [1, 1]);
+      assert.strictEqual(wx.mock.listeners.WindowResize.length, 0);
+
+      const seen = [];
+      const onChange = res => seen.push(res.isConnected);
+      sdk.onNetworkStatusChange(onChange);
+      sdk.onLocationChange(onChange);
+      sdk.offNetworkStatusChange(onChange);
+      sdk.invoke('offLocationChange', onChange);
+      wx.mock.setNetworkType('none');
+      assert.deepStrictEqual([seen, wx.mock.listeners.NetworkStatusChange.length, wx.mock.listeners.LocationChange.length], [[], 0, 0]);
+    });
+
+    it('passes unknown listeners straight to off*', () => {
+      const onResize = () => {};
+      wx.onWindowResize(onResize);
+      sdk.onWindowResize(() => {});
+      sdk.offWindowResize(onResize);
+      assert.strictEqual(wx.mock.listeners.WindowResize.length, 1);
+      sdk.offWindowResize();
+      assert.strictEqual(wx.mock.listeners.WindowResize.length, 0);
+    });
+
+    it('stops forwarding events without an off* API', () => {
+      const messages = [];
+      const off = sdk.onSocketMessage(res => messages.push(res.data));
+      wx.mock.trigger('SocketMessage', { data: 'a' });
+      off();
+      wx.mock.trigger('SocketMessage', { data: 'b' });
+      assert.deepStrictEqual(messages, ['a']);
+    });
+
+    it('returns an async iterator without a listener', async () => {
+      const events = sdk.onWindowResize();
+      wx.mock.trigger('WindowResize', { size: 1 });
+      wx.mock.trigger('WindowResize', { size: 2 });
+      const received = [];
+      for await (const res of events) {
+        received.push(res.size);
+        if (received.length === 2) {
+          break;
+        }
+      }
+      assert.deepStrictEqual(received, [1, 2]);
+      assert.strictEqual(wx.mock.listeners.WindowResize.length, 0);
+    });
+
+    it('invoke dispatches by kind', async () => {
+      assert.deepStrictEqual(sdk.invoke('getMenuButtonBoundingClientRect'), wx.mock.menuButton);
+      assert.strictEqual(typeof sdk.invoke('onWindowResize', () => {}), 'function');
+      assert.strictEqual((await sdk.invoke('login')).code, 'mock_code_1');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('ensureScope', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+  });
+
+  const names = () => wx.mock.calls.map(call => call.name);
+  // 模拟用户在设置页中修改授权
+  const toggleInSettings = (scope, value) => wx.mock.stub('openSetting', () => {
+    wx.mock.authSetting[scope] = value;
+    return { authSetting: Object.assign({}, wx.mock.authSetting) };
+  });
+
+  it('resolves granted without prompting when already authorized', async () => {
+    wx.mock.authSetting['scope.camera'] = true;
+    assert.strictEqual(await sdk.ensureScope('scope.camera'), 'granted');
+    assert.deepStrictEqual(names(), ['getSetting']);
+  });
+
+  it('calls authorize the first time', async () => {
+    assert.strictEqual(await sdk.ensureScope('scope.record'), 'granted');
+    assert.deepStrictEqual(names(), ['getSetting', 'authorize']);
+    assert.strictEqual(wx.mock.authSetting['scope.record'], true);
+
+    wx.mock.stub('authorize', () => {
+      throw 'auth deny';
+    });
+    assert.strictEqual(await sdk.ensureScope('scope.werun'), 'denied');
+    assert.deepStrictEqual(wx.mock.modals, []);
+  });
+
+  it('resolves denied when the user cancels the modal', async () => {
+    wx.mock.authSetting['scope.writePhotosAlbum'] = false;
+    wx.mock.answerModal(false);
+    assert.strictEqual(await sdk.ensureScope('scope.writePhotosAlbum'), 'denied');
+    assert.deepStrictEqual(names(), ['getSetting', 'showModal']);
+    assert.deepStrictEqual(
+      [wx.mock.modals[0].title, wx.mock.modals[0].content, wx.mock.modals[0].confirmText],
+      ['授权提示', '需要您授权「保存到相册」才能继续，请在设置中开启', '去设置'],
+    );
+  });
+
+  it('resolves granted when the user turns the scope on in settings', async () => {
+    wx.mock.authSetting['scope.userLocation'] = false;
+    toggleInSettings('scope.userLocation', true);
+    wx.mock.answerModal(true);
+    assert.strictEqual(await sdk.ensureScope('scope.userLocation', { rationale: '查找附近门店需要获取您的位置' }), 'granted');
+    assert.deepStrictEqual(names(), ['getSetting', 'showModal', 'openSetting']);
+    assert.strictEqual(wx.mock.modals[0].content, '查找附近门店需要获取您的位置');
+  });
+
+  it('resolves denied when the scope is still off after openSetting', async () => {
+    wx.mock.authSetting['scope.camera'] = false;
+    wx.mock.answerModal(true);
+    const rationale = { title: '需要摄像头', content: '扫码需要使用摄像头', confirmText: '打开' };
+    assert.strictEqual(await sdk.ensureScope('scope.camera', { rationale }), 'denied');
+    assert.deepStrictEqual(names(), ['getSetting', 'showModal', 'openSetting']);
+    assert.deepStrictEqual(
+      [wx.mock.modals[0].title, wx.mock.modals[0].content, wx.mock.modals[0].confirmText],
+      ['需要摄像头', '扫码需要使用摄像头', '打开'],
+    );
+  });
+
+  it('rejects ScopeDeniedError from wrappers that require the scope', async () => {
+    wx.mock.authSetting['scope.userLocation'] = false;
+    wx.mock.answerModal(true);
+    const err = await sdk.getLocation().catch(e => e);
+    assert.ok(err instanceof WeChat.ScopeDeniedError);
+    assert.strictEqual(err.scope, 'scope.userLocation');
+    assert.strictEqual(names().indexOf('getLocation'), -1);
+
+    toggleInSettings('scope.userLocation', true);
+    wx.mock.answerModal(true);
+    assert.strictEqual((await sdk.getLocation()).errMsg, 'getLocation:ok');
+  });
+});
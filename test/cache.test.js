@@ -0,0 +1,147 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('ResponseCache', () => {
+  let wx;
+  let sdk;
+  let hits;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    hits = 0;
+    wx.mock.route('GET /goods', () => ({ data: { version: ++hits }, delay: 5 }));
+    sdk = new WeChat(wx);
+  });
+
+  const get = (cache, options) => sdk.get('https://api/goods', { page: 1 }, null, Object.assign({ cache }, options));
+
+  it('returns cached responses within maxAge and shares concurrent requests', async () => {
+    const [first, second] = await Promise.all([get(true), get(true)]);
+    assert.strictEqual(hits, 1);
+    assert.deepStrictEqual([first.data, second.data], [{ version: 1 }, { version: 1 }]);
+    assert.strictEqual(first.fromCache, undefined);
+    const third = await get(true);
+    assert.deepStrictEqual([third.data, third.fromCache, hits], [{ version: 1 }, true, 1]);
+  });
+
+  it('serves stale data while revalidating and calls onUpdate', async () => {
+    const clock = wx.mock.useFakeTimers(0);
+    try {
+      const updates = [];
+      const policy = { maxAge: 1000, staleWhileRevalidate: 5000, onUpdate: res => updates.push(res.data.version) };
+      const first = get(policy);
+      await clock.tickAsync(5);
+      assert.strictEqual((await first).data.version, 1);
+
+      await clock.tickAsync(2000);
+      const stale = await get(policy);
+      assert.deepStrictEqual([stale.data.version, stale.fromCache], [1, true]);
+      await clock.tickAsync(5);
+      assert.deepStrictEqual(updates, [2]);
+      assert.strictEqual((await get(policy)).data.version, 2);
+
+      await clock.tickAsync(10000);
+      const fresh = get(policy);
+      await clock.tickAsync(5);
+      assert.deepStrictEqual([(await fresh).data.version, hits], [3, 3]);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('cancels only the caller whose token fires', async () => {
+    const source = WeChat.CancelToken.source();
+    const cancelled = get(true, { cancelToken: source.token });
+    const other = get(true);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    source.cancel('离开页面');
+    await assert.rejects(cancelled, err => err instanceof WeChat.CancelError && err.reason === '离开页面');
+    assert.strictEqual((await other).data.version, 1);
+    assert.strictEqual('cancelToken' in wx.mock.requests[0], false);
+    assert.strictEqual(hits, 1);
+  });
+
+  it('aborts the request when every caller cancels', async () => {
+    const events = [];
+    sdk = new WeChat(wx, { telemetry: { sinks: [event => events.push(event.errMsg)] } });
+    const first = get(true);
+    const second = get(true);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    first.abort('a');
+    second.abort('b');
+    await assert.rejects(first, WeChat.CancelError);
+    await assert.rejects(second, WeChat.CancelError);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(events, ['request:fail abort']);
+    assert.strictEqual((await get(true)).data.version, 2);
+  });
+
+  it('persists to storage and restores after restart', async () => {
+    await get({ persist: true, maxAge: 60000 });
+    const restarted = new WeChat(wx);
+    const res = await restarted.get('https://api/goods', { page: 1 }, null, { cache: { persist: true, maxAge: 60000 } });
+    assert.deepStrictEqual([res.data.version, res.fromCache, hits], [1, true, 1]);
+  });
+
+  it('does not cache non-2xx responses', async () => {
+    wx.mock.route('GET /broken', { statusCode: 500 });
+    await sdk.get('https://api/broken', {}, null, { cache: true });
+    await sdk.get('https://api/broken', {}, null, { cache: true });
+    assert.strictEqual(wx.mock.requests.length, 2);
+  });
+
+  it('shares requests only between callers with the same validateStatus', async () => {
+    wx.mock.route('GET /broken', { statusCode: 500, delay: 5 });
+    const url = 'https://api/broken';
+    const allow = statusCode => statusCode < 600;
+    const results = await Promise.all([
+      sdk.get(url, {}, null, { cache: true }),
+      sdk.get(url, {}, null, { cache: true, validateStatus: true }),
+      sdk.get(url, {}, null, { cache: true, validateStatus: allow }),
+      sdk.get(url, {}, null, { cache: true, validateStatus: allow }),
+    ].map(promise => promise.catch(e => e)));
+    assert.deepStrictEqual(results.map(res => res.statusCode), [500, 500, 500, 500]);
+    assert.deepStrictEqual(results.map(res => res instanceof WeChat.HttpError), [false, true, false, false]);
+    assert.strictEqual(wx.mock.requests.length, 3);
+  });
+
+  it('caches responses separately per dataType and responseType', async () => {
+    await Promise.all([get(true), get(true, { dataType: 'text' }), get(true, { responseType: 'arraybuffer' })]);
+    assert.strictEqual(hits, 3);
+    assert.strictEqual((await get(true, { dataType: 'json', responseType: 'text' })).data.version, 1);
+    assert.strictEqual(hits, 3);
+  });
+
+  it('ignores errors thrown by onUpdate', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const policy = { maxAge: 0, staleWhileRevalidate: 5000, onUpdate: () => { throw new Error('setData failed'); } };
+      await get(policy);
+      assert.strictEqual((await get(policy)).data.version, 1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual((await get(policy)).data.version, 2);
+      assert.deepStrictEqual(unhandled, []);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('invalidates by key and by prefix', async () => {
+    const key = 'https://api/goods?{"page":1}';
+    await get({ persist: true });
+    await sdk.cache.invalidate(key);
+    assert.strictEqual((await get({ persist: true })).data.version, 2);
+
+    await sdk.get('https://api/goods', { page: 2 }, null, { cache: { persist: true } });
+    assert.strictEqual(hits, 3);
+    await sdk.cache.invalidatePrefix('https://api/goods');
+    assert.strictEqual(Object.keys(wx.mock.storage).filter(name => name.indexOf('https://api/goods') !== -1).length, 0);
+    await get({ persist: true });
+    await sdk.get('https://api/goods', { page: 2 }, null, { cache: { persist: true } });
+    assert.strictEqual(hits, 5);
+  });
+});
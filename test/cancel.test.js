@@ -0,0 +1,79 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('cancel', () => {
+  let wx;
+  let sdk;
+  let events;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.mock.route('/search', { data: [], header: { 'X-Id': '1' }, delay: 10 });
+    events = [];
+    sdk = new WeChat(wx, { telemetry: { sinks: [event => events.push(event.errMsg || event.outcome)] } });
+  });
+
+  it('notifies CancelToken subscribers once', () => {
+    const { token, cancel } = WeChat.CancelToken.source();
+    const reasons = [];
+    const unsubscribe = token.subscribe(reason => reasons.push(`a:${reason}`));
+    token.subscribe(reason => reasons.push(`b:${reason}`));
+    unsubscribe();
+    cancel('first');
+    cancel('second');
+    token.subscribe(reason => reasons.push(`late:${reason}`));
+    assert.deepStrictEqual(reasons, ['b:first', 'late:first']);
+    assert.deepStrictEqual([token.requested, token.reason], [true, 'first']);
+  });
+
+  it('exposes the task and forwards task listeners', async () => {
+    const headers = [];
+    const progress = [];
+    const request = sdk.request({
+      url: 'https://api/search',
+      onHeadersReceived: res => headers.push(res.header),
+      onProgressUpdate: res => progress.push(res.progress),
+    });
+    assert.strictEqual(typeof request.task.abort, 'function');
+    assert.strictEqual('onHeadersReceived' in wx.mock.requests[0], false);
+    await request;
+    assert.deepStrictEqual([headers, progress], [[{ 'X-Id': '1' }], [100]]);
+  });
+
+  it('aborts the task with promise.abort()', async () => {
+    const request = sdk.get('https://api/search');
+    request.abort('离开页面');
+    const error = await request.catch(e => e);
+    assert.ok(error instanceof WeChat.CancelError);
+    assert.deepStrictEqual([error.message, error.reason], ['离开页面', '离开页面']);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual(events, ['request:fail abort']);
+  });
+
+  it('cancels with an AbortSignal', async () => {
+    const controller = new AbortController();
+    const request = sdk.request({ url: 'https://api/search', signal: controller.signal });
+    controller.abort('关键字已变化');
+    await assert.rejects(request, err => err instanceof WeChat.CancelError && err.reason === '关键字已变化');
+  });
+
+  it('does not send when the token is already cancelled', async () => {
+    const { token, cancel } = WeChat.CancelToken.source();
+    cancel();
+    const error = await sdk.uploadFile({ url: 'https://api/search', filePath: 'wxfile://tmp/a.png', name: 'file', cancelToken: token }).catch(e => e);
+    assert.deepStrictEqual([error.name, error.message], ['CancelError', 'Request cancelled']);
+    assert.deepStrictEqual([wx.mock.requests, sdk.getQueueStats().inFlight], [[], 0]);
+  });
+
+  it('ignores cancellation after the call settles', async () => {
+    const { token, cancel } = WeChat.CancelToken.source();
+    const request = sdk.downloadFile({ url: 'https://api/search', cancelToken: token });
+    assert.strictEqual((await request).statusCode, 200);
+    cancel();
+    request.abort();
+    assert.deepStrictEqual(token.listeners, []);
+    assert.deepStrictEqual(events, ['success']);
+  });
+});
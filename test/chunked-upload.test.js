@@ -0,0 +1,104 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+/**
+ * uploadFile 按 formData.index 记录上传的分片，文件内容取自 wx.mock.files
+ */
+function setup(wx) {
+  wx.uploads = [];
+  wx.failChunk = {};
+  wx.mock.route(/^https:\/\/up\//, options => {
+    const index = Number(options.formData.index);
+    if (wx.failChunk[index]) {
+      wx.failChunk[index]--;
+      return { fail: 'timeout', delay: 1 };
+    }
+    wx.uploads.push({ index, size: wx.mock.files[options.filePath].length, url: options.url });
+    return { data: `etag-${index}`, delay: 1 };
+  });
+}
+
+describe('ChunkedUploader', () => {
+  let wx;
+  let sdk;
+
+  const part = (chunk, session) => ({ url: `https://up/${session.uploadId}`, name: 'file', formData: { index: chunk.index } });
+
+  beforeEach(() => {
+    wx = createMockWx({ files: { 'wxfile://tmp/video.mp4': Buffer.alloc(10, 1) } });
+    setup(wx);
+    sdk = new WeChat(wx);
+  });
+
+  it('uploads chunks in parallel and completes with ordered parts', async () => {
+    const progress = [];
+    let completed;
+    const result = await sdk.createUploader({
+      filePath: 'wxfile://tmp/video.mp4',
+      chunkSize: 4,
+      init: async ({ size, chunkCount }) => ({ uploadId: 'u1', size, chunkCount }),
+      part,
+      complete: async info => {
+        completed = info;
+        return 'done';
+      },
+      onProgress: ({ progress: value }) => progress.push(value),
+    }).start();
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(completed.session, { uploadId: 'u1', size: 10, chunkCount: 3 });
+    assert.deepStrictEqual(completed.parts.map(p => p.data), ['etag-0', 'etag-1', 'etag-2']);
+    assert.deepStrictEqual(wx.uploads.map(u => u.size).sort(), [2, 4, 4]);
+    assert.strictEqual(progress[progress.length - 1], 100);
+    assert.ok(progress.some(value => value > 0 && value < 100));
+    assert.deepStrictEqual(Object.keys(wx.mock.storage), []);
+    assert.deepStrictEqual(Object.keys(wx.mock.files), ['wxfile://tmp/video.mp4']);
+  });
+
+  it('retries failed chunks', async () => {
+    wx.failChunk[1] = 1;
+    const result = await sdk.createUploader({
+      filePath: 'wxfile://tmp/video.mp4',
+      chunkSize: 4,
+      part,
+      retry: { maxAttempts: 2, baseDelay: 1, idempotentOnly: false },
+    }).start();
+    assert.strictEqual(result.parts.length, 3);
+  });
+
+  it('resumes from persisted state after a failure', async () => {
+    wx.failChunk[2] = 5;
+    let inits = 0;
+    const options = {
+      filePath: 'wxfile://tmp/video.mp4',
+      chunkSize: 4,
+      concurrency: 1,
+      retry: false,
+      init: async () => ({ uploadId: `u${++inits}` }),
+      part,
+    };
+    await assert.rejects(sdk.createUploader(options).start(), err => err instanceof WeChat.RequestError);
+    assert.deepStrictEqual(wx.uploads.map(u => u.index), [0, 1]);
+
+    wx.failChunk[2] = 0;
+    const resumed = await new WeChat(wx).createUploader(options).start();
+    assert.strictEqual(inits, 1);
+    assert.deepStrictEqual(wx.uploads.map(u => u.index), [0, 1, 2]);
+    assert.deepStrictEqual(resumed.parts.map(p => p.data), ['etag-0', 'etag-1', 'etag-2']);
+  });
+
+  it('pauses with CancelError and keeps progress', async () => {
+    const uploader = sdk.createUploader({ filePath: 'wxfile://tmp/video.mp4', chunkSize: 4, concurrency: 1, part });
+    const started = uploader.start();
+    setTimeout(() => uploader.pause(), 0);
+    await assert.rejects(started, err => err instanceof WeChat.CancelError);
+    await uploader.cancel();
+    assert.deepStrictEqual(Object.keys(wx.mock.storage), []);
+  });
+
+  it('requires filePath and part', () => {
+    assert.throws(() => sdk.createUploader({ part }), /filePath/);
+    assert.throws(() => sdk.createUploader({ filePath: 'a' }), /part/);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('errors', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.mock.route('/missing', { statusCode: 404, data: { message: 'not found' }, header: { 'X-Id': '1' } });
+    sdk = new WeChat(wx);
+  });
+
+  it('parses RequestError from the fail errMsg', () => {
+    const error = new WeChat.RequestError({ errMsg: 'request:fail timeout', errno: 5 }, { url: 'https://api/a' });
+    assert.ok(error instanceof Error);
+    assert.deepStrictEqual(
+      [error.name, error.message, error.api, error.reason, error.type, error.errno, error.options],
+      ['RequestError', 'request:fail timeout', 'request', 'timeout', 'timeout', 5, { url: 'https://api/a' }],
+    );
+    assert.deepStrictEqual(
+      ['timed out', 'interrupted', 'url not in domain list', 'abort', 'ssl hand shake error', undefined].map(reason => WeChat.RequestError.parseType(reason)),
+      ['timeout', 'interrupted', 'domain', 'abort', 'network', 'network'],
+    );
+    const unknown = new WeChat.RequestError();
+    assert.deepStrictEqual([unknown.message, unknown.api, unknown.reason, unknown.type], ['Request failed', undefined, '', 'network']);
+  });
+
+  it('resolves any status code unless validateStatus is set', async () => {
+    assert.strictEqual((await sdk.get('https://api/missing')).statusCode, 404);
+
+    const error = await sdk.get('https://api/missing', {}, null, { validateStatus: true }).catch(e => e);
+    assert.ok(error instanceof WeChat.HttpError);
+    assert.deepStrictEqual(
+      [error.message, error.statusCode, error.data, error.header, error.errMsg],
+      ['Request failed with status code 404', 404, { message: 'not found' }, { 'X-Id': '1' }, 'request:ok'],
+    );
+    assert.strictEqual(error.response.statusCode, 404);
+    assert.strictEqual(error.options.url, 'https://api/missing');
+  });
+
+  it('validates status codes with a function or the constructor default', async () => {
+    const allow404 = statusCode => statusCode < 500;
+    assert.strictEqual((await sdk.get('https://api/missing', {}, null, { validateStatus: allow404 })).statusCode, 404);
+
+    sdk = new WeChat(wx, { validateStatus: true });
+    await assert.rejects(sdk.get('https://api/missing'), WeChat.HttpError);
+    await assert.rejects(sdk.downloadFile({ url: 'https://api/missing' }), WeChat.HttpError);
+    assert.strictEqual((await sdk.get('https://api/missing', {}, null, { validateStatus: false })).statusCode, 404);
+  });
+
+  it('rejects RequestError for every network api', async () => {
+    wx.mock.route('/offline', { fail: 'interrupted' });
+    const errors = await Promise.all([
+      sdk.request({ url: 'https://api/offline' }),
+      sdk.uploadFile({ url: 'https://api/offline', filePath: 'wxfile://tmp/a.png', name: 'file' }),
+      sdk.downloadFile({ url: 'https://api/offline' }),
+    ].map(promise => promise.catch(e => e)));
+    assert.ok(errors.every(error => error instanceof WeChat.RequestError && error.type === 'interrupted'));
+    assert.deepStrictEqual(errors.map(error => error.api), ['request', 'uploadFile', 'downloadFile']);
+  });
+});
@@ -0,0 +1,205 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('FileSystem', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+  });
+
+  it('reads and writes files with promises', async () => {
+    const dir = sdk.fs.userPath('docs', '2024');
+    assert.strictEqual(dir, 'wxfile://usr/docs/2024');
+    await sdk.fs.mkdir(dir);
+    await sdk.fs.mkdir(dir);
+    await sdk.fs.writeFile(`${dir}/a.json`, '{"a":1}');
+    await sdk.fs.appendFile(`${dir}/a.json`, '\n');
+    assert.strictEqual(await sdk.fs.readFile(`${dir}/a.json`, 'utf8'), '{"a":1}\n');
+    assert.strictEqual((await sdk.fs.readFile(`${dir}/a.json`, { position: 1, length: 3 })).byteLength, 3);
+    assert.deepStrictEqual(await sdk.fs.readdir(dir), ['a.json']);
+
+    const stats = await sdk.fs.stat(`${dir}/a.json`);
+    assert.deepStrictEqual([stats.size, stats.isFile(), stats.isDirectory()], [8, true, false]);
+    assert.strictEqual((await sdk.fs.getFileInfo(`${dir}/a.json`)).size, 8);
+
+    await sdk.fs.rename(`${dir}/a.json`, `${dir}/b.json`);
+    assert.deepStrictEqual(await Promise.all([sdk.fs.exists(`${dir}/a.json`), sdk.fs.exists(`${dir}/b.json`)]), [false, true]);
+    await sdk.fs.unlink(`${dir}/b.json`);
+    await sdk.fs.rmdir(sdk.fs.userPath('docs'), true);
+    assert.strictEqual(await sdk.fs.exists(dir), false);
+  });
+
+  it('rejects FileSystemError on fail', async () => {
+    const err = await sdk.fs.readFile('wxfile://usr/missing.txt').catch(e => e);
+    assert.ok(err instanceof WeChat.FileSystemError);
+    assert.strictEqual(err instanceof WeChat.RequestError, false);
+    assert.deepStrictEqual([err.api, err.type], ['readFile', 'notFound']);
+    assert.strictEqual(err.reason, 'no such file or directory wxfile://usr/missing.txt');
+    await assert.rejects(sdk.fs.mkdir('wxfile://usr/a/b', false), err => err.type === 'notFound');
+  });
+
+  it('records file system calls in telemetry', async () => {
+    const events = [];
+    sdk = new WeChat(wx, { telemetry: { sinks: [event => events.push(event)] } });
+    await sdk.fs.writeFile('wxfile://usr/a.txt', 'hello');
+    await sdk.fs.unlink('wxfile://usr/missing.txt').catch(() => {});
+    assert.deepStrictEqual(events.map(({ api, outcome }) => [api, outcome]), [
+      ['getFileSystemManager', 'success'],
+      ['FileSystemManager.writeFile', 'success'],
+      ['FileSystemManager.unlink', 'fail'],
+    ]);
+    assert.deepStrictEqual(events[1].options, { filePath: 'wxfile://usr/a.txt', data: 'hello' });
+  });
+
+  it('saves temp files', async () => {
+    wx = createMockWx({ files: { 'wxfile://tmp/a.png': Buffer.alloc(4) } });
+    sdk = new WeChat(wx);
+    const savedFilePath = await sdk.fs.saveFile('wxfile://tmp/a.png', 'wxfile://usr/a.png');
+    assert.strictEqual(savedFilePath, 'wxfile://usr/a.png');
+    assert.deepStrictEqual(Object.keys(wx.mock.files), ['wxfile://usr/a.png']);
+  });
+});
+
+describe('DownloadCache', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.mock.route(/\/files\//, options => ({ data: 'x'.repeat(Number(/size=(\d+)/.exec(options.url)[1])) }));
+    sdk = new WeChat(wx, { downloadCache: { maxSize: 10 } });
+  });
+
+  const downloads = () => wx.mock.requests.filter(request => request.api === 'downloadFile').map(request => request.url);
+
+  it('saves downloads to the user directory and reuses them', async () => {
+    const url = 'https://cdn/files/manual.PDF?size=4';
+    const [first, second] = await Promise.all([sdk.downloadFile({ url, cache: true }), sdk.downloadFile({ url, cache: true })]);
+    assert.strictEqual(first, second);
+    assert.strictEqual(first.fromCache, false);
+    assert.ok(/^wxfile:\/\/usr\/mp-wx-sdk-downloads\/[0-9a-f]{16}\.pdf$/.test(first.tempFilePath), first.tempFilePath);
+    assert.strictEqual(first.filePath, first.tempFilePath);
+    assert.strictEqual(wx.mock.files[first.tempFilePath].toString(), 'xxxx');
+
+    const again = await sdk.downloadFile({ url, cache: true });
+    assert.deepStrictEqual(again, { errMsg: 'downloadFile:ok', statusCode: 200, tempFilePath: first.tempFilePath, filePath: first.tempFilePath, fromCache: true });
+    assert.deepStrictEqual(downloads(), [url]);
+
+    // 小程序重启后仍可命中
+    const restarted = new WeChat(wx);
+    assert.strictEqual((await restarted.downloadFile({ url, cache: true })).fromCache, true);
+    assert.deepStrictEqual(await restarted.downloads.stats(), { count: 1, size: 4, maxSize: 52428800 });
+  });
+
+  it('evicts the least recently used files over maxSize', async () => {
+    const clock = wx.mock.useFakeTimers(0);
+    try {
+      const a = await sdk.downloadFile({ url: 'https://cdn/files/a.png?size=4', cache: true });
+      clock.tick(1);
+      await sdk.downloadFile({ url: 'https://cdn/files/b.png?size=4', cache: true });
+      clock.tick(1);
+      await sdk.downloadFile({ url: 'https://cdn/files/a.png?size=4', cache: true });
+      clock.tick(1);
+      const c = await sdk.downloadFile({ url: 'https://cdn/files/c.png?size=4', cache: true });
+      assert.deepStrictEqual(await sdk.downloads.stats(), { count: 2, size: 8, maxSize: 10 });
+      clock.tick(1);
+      await sdk.downloadFile({ url: 'https://cdn/files/a.png?size=4', cache: true });
+      clock.tick(1);
+      await sdk.downloadFile({ url: 'https://cdn/files/b.png?size=4', cache: true });
+      assert.deepStrictEqual(downloads().map(url => url.slice(18, 19)), ['a', 'b', 'c', 'b']);
+      assert.strictEqual(a.tempFilePath in wx.mock.files, true);
+      assert.strictEqual(c.tempFilePath in wx.mock.files, false);
+
+      const big = await sdk.downloadFile({ url: 'https://cdn/files/big.zip?size=11', cache: true });
+      assert.strictEqual(big.fromCache, undefined);
+      assert.ok(/^wxfile:\/\/tmp\//.test(big.tempFilePath));
+      assert.strictEqual((await sdk.downloads.stats()).count, 2);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('cancels only the caller and keeps the shared task', async () => {
+    const clock = wx.mock.useFakeTimers(0);
+    try {
+      wx.mock.route(/\/slow\//, { data: 'xx', delay: 5 });
+      const url = 'https://cdn/slow/a.png';
+      const source = WeChat.CancelToken.source();
+      const cancelled = sdk.downloadFile({ url, cache: true, cancelToken: source.token });
+      const other = sdk.downloadFile({ url, cache: true });
+      await clock.tickAsync(0);
+      assert.strictEqual(typeof cancelled.task.abort, 'function');
+      assert.strictEqual(other.task, cancelled.task);
+      source.cancel('离开页面');
+      await assert.rejects(cancelled, WeChat.CancelError);
+      await clock.tickAsync(5);
+      assert.strictEqual((await other).fromCache, false);
+      assert.strictEqual('cancelToken' in wx.mock.requests[0], false);
+
+      const hit = sdk.downloadFile({ url, cache: true });
+      assert.strictEqual(typeof hit.abort, 'function');
+      assert.strictEqual((await hit).fromCache, true);
+      assert.strictEqual(hit.task, undefined);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('shares downloads only between callers with the same header, timeout and validateStatus', async () => {
+    wx.mock.route(/\/private\//, options => ((options.header || {}).Authorization ? { data: 'xx', delay: 5 } : { statusCode: 403, delay: 5 }));
+    const url = 'https://cdn/private/a.pdf';
+    const results = await Promise.all([
+      sdk.downloadFile({ url, cache: true }),
+      sdk.downloadFile({ url, cache: true, validateStatus: true }),
+      sdk.downloadFile({ url, cache: true, header: { Authorization: 'token' } }),
+      sdk.downloadFile({ url, cache: true, header: { Authorization: 'token' }, timeout: 1000 }),
+      sdk.downloadFile({ url, cache: true, header: { Authorization: 'token' } }),
+    ].map(promise => promise.catch(e => e)));
+    assert.deepStrictEqual(results.map(res => res.statusCode), [403, 403, 200, 200, 200]);
+    assert.ok(results[1] instanceof WeChat.HttpError);
+    assert.strictEqual(results[2], results[4]);
+    assert.strictEqual(wx.mock.requests.length, 4);
+  });
+
+  it('aborts the download when every caller cancels', async () => {
+    wx.mock.route(/\/slow\//, { data: 'xx', delay: 5 });
+    const url = 'https://cdn/slow/a.png';
+    const first = sdk.downloadFile({ url, cache: true });
+    const second = sdk.downloadFile({ url, cache: true });
+    first.abort();
+    second.abort();
+    await assert.rejects(first, WeChat.CancelError);
+    await assert.rejects(second, WeChat.CancelError);
+    const res = await sdk.downloadFile({ url, cache: true });
+    assert.strictEqual(res.fromCache, false);
+    assert.strictEqual(wx.mock.requests.length, 1);
+  });
+
+  it('downloads again when the file is gone, expired or not 2xx', async () => {
+    const url = 'https://cdn/files/a.png?size=1';
+    const first = await sdk.downloadFile({ url, cache: { maxAge: 1000 } });
+    delete wx.mock.files[first.tempFilePath];
+    assert.strictEqual((await sdk.downloadFile({ url, cache: { maxAge: 1000 } })).fromCache, false);
+
+    const clock = wx.mock.useFakeTimers(Date.now() + 1000);
+    try {
+      assert.strictEqual((await sdk.downloadFile({ url, cache: { maxAge: 1000 } })).fromCache, false);
+      assert.strictEqual(downloads().length, 3);
+    } finally {
+      clock.restore();
+    }
+
+    wx.mock.route('/missing.pdf', { statusCode: 404 });
+    const missing = await sdk.downloadFile({ url: 'https://cdn/missing.pdf', cache: true });
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual((await sdk.downloads.stats()).count, 1);
+
+    await sdk.downloads.clear();
+    assert.deepStrictEqual(await sdk.fs.readdir('wxfile://usr/mp-wx-sdk-downloads'), []);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('HttpClient', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.mock.route(() => true, options => ({ data: { method: options.method, header: options.header } }));
+    sdk = new WeChat(wx);
+  });
+
+  it('joins baseURL with relative urls only', async () => {
+    const api = sdk.create({ baseURL: 'https://api.example.com/v1/' });
+    await api.get('/goods');
+    await api.get('goods/1');
+    await api.get();
+    await api.get('https://cdn.example.com/a.json');
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.url), [
+      'https://api.example.com/v1/goods',
+      'https://api.example.com/v1/goods/1',
+      'https://api.example.com/v1/',
+      'https://cdn.example.com/a.json',
+    ]);
+  });
+
+  it('merges default headers and options with each request', async () => {
+    const api = sdk.create({ headers: { 'X-App': 'mini', 'X-Lang': 'zh' }, timeout: 3000 });
+    const res = await api.post('https://api/orders', { id: 1 }, { 'X-Lang': 'en' }, { headers: { 'X-Trace': 't1' } });
+    assert.deepStrictEqual(res.data, { method: 'POST', header: { 'X-App': 'mini', 'X-Lang': 'en', 'X-Trace': 't1' } });
+    assert.deepStrictEqual(res.config, {
+      timeout: 3000,
+      method: 'POST',
+      url: 'https://api/orders',
+      data: { id: 1 },
+      header: { 'X-App': 'mini', 'X-Lang': 'en', 'X-Trace': 't1' },
+    });
+    assert.strictEqual(wx.mock.requests[0].timeout, 3000);
+    assert.strictEqual((await api.put('https://api/orders')).data.method, 'PUT');
+    assert.strictEqual((await api.delete('https://api/orders')).data.method, 'DELETE');
+    assert.deepStrictEqual(sdk.create().defaults, { baseURL: '', headers: {} });
+  });
+
+  it('runs request interceptors last-in first and response interceptors in order', async () => {
+    const api = sdk.create({ baseURL: 'https://api' });
+    const order = [];
+    api.interceptors.request.use(config => {
+      order.push('request 1');
+      return Object.assign({}, config, { header: Object.assign({}, config.header, { Authorization: 'Bearer t' }) });
+    });
+    api.interceptors.request.use(config => {
+      order.push('request 2');
+      return config;
+    });
+    api.interceptors.response.use(res => {
+      order.push('response 1');
+      return res.data;
+    });
+    api.interceptors.response.use(data => {
+      order.push('response 2');
+      return data.header;
+    });
+    assert.deepStrictEqual(await api.get('/me'), { Authorization: 'Bearer t' });
+    assert.deepStrictEqual(order, ['request 2', 'request 1', 'response 1', 'response 2']);
+  });
+
+  it('ejects interceptors', async () => {
+    const api = sdk.create();
+    const id = api.interceptors.response.use(() => 'intercepted');
+    api.interceptors.response.eject(id);
+    api.interceptors.response.eject(id);
+    assert.strictEqual((await api.get('https://api/a')).data.method, 'GET');
+  });
+
+  it('passes errors to rejected handlers', async () => {
+    wx.mock.route('/broken', { statusCode: 500 });
+    const api = sdk.create({ baseURL: 'https://api', validateStatus: true });
+    api.interceptors.response.use(null, error => {
+      if (error instanceof WeChat.HttpError && error.statusCode === 500) {
+        return { fallback: true };
+      }
+      throw error;
+    });
+    assert.deepStrictEqual(await api.get('/broken'), { fallback: true });
+
+    const failing = sdk.create();
+    failing.interceptors.request.use(() => {
+      throw new Error('no token');
+    });
+    await assert.rejects(failing.get('https://api/a'), /no token/);
+    assert.strictEqual(wx.mock.requests.length, 1);
+  });
+});
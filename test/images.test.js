@@ -0,0 +1,103 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('pickAndUploadImages', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.images = {
+      'tmp/a.jpg': { size: 100, width: 800, height: 600 },
+      'tmp/b.jpg': { size: 5000, width: 800, height: 600 },
+      'tmp/c.jpg': { size: 100, width: 3000, height: 2000 },
+    };
+    wx.mock
+      .stub('chooseImage', () => {
+        if (wx.cancel) {
+          throw 'cancel';
+        }
+        const tempFiles = Object.keys(wx.images).map(path => ({ path, size: wx.images[path].size }));
+        return { tempFilePaths: tempFiles.map(file => file.path), tempFiles };
+      })
+      .stub('chooseMessageFile', () => ({ tempFiles: [{ path: 'tmp/a.jpg', size: 100, name: 'a.jpg', type: 'image' }] }))
+      .stub('getImageInfo', ({ src }) => Object.assign({ type: 'jpeg' }, wx.images[src]))
+      .stub('compressImage', ({ src }) => ({ tempFilePath: `${src}.compressed` }));
+    wx.active = 0;
+    wx.maxActive = 0;
+    wx.mock.route('POST /images', options => {
+      wx.active++;
+      wx.maxActive = Math.max(wx.maxActive, wx.active);
+      return new Promise(resolve => setTimeout(() => {
+        wx.active--;
+        resolve(options.filePath === wx.failPath ? { statusCode: 500 } : { data: { url: options.filePath } });
+      }, 2));
+    });
+    sdk = new WeChat(wx);
+  });
+
+  const calls = name => wx.mock.calls.filter(call => call.name === name).map(call => call.options);
+
+  it('compresses images over the byte or pixel budget only', async () => {
+    const results = await sdk.pickAndUploadImages({
+      count: 3,
+      maxSize: 1000,
+      maxWidth: 1280,
+      quality: 60,
+      upload: () => ({ url: 'https://up/images' }),
+    });
+    assert.deepStrictEqual(results.map(item => item.compressed), [false, true, true]);
+    assert.deepStrictEqual(calls('compressImage').map(({ src, quality, compressedWidth }) => [src, quality, compressedWidth]),
+      [['tmp/b.jpg', 60, undefined], ['tmp/c.jpg', 60, 1280]]);
+    assert.deepStrictEqual(calls('uploadFile').map(options => options.filePath).sort(),
+      ['tmp/a.jpg', 'tmp/b.jpg.compressed', 'tmp/c.jpg.compressed']);
+    assert.ok(calls('uploadFile').every(options => options.name === 'file'));
+    assert.deepStrictEqual([results[2].width, results[2].height], [3000, 2000]);
+    assert.strictEqual(calls('chooseImage')[0].count, 3);
+  });
+
+  it('limits upload concurrency and reports partial failures', async () => {
+    wx.failPath = 'tmp/b.jpg';
+    const results = await sdk.pickAndUploadImages({
+      concurrency: 2,
+      upload: image => ({ url: 'https://up/images', formData: { index: image.index } }),
+    });
+    assert.strictEqual(wx.maxActive, 2);
+    assert.deepStrictEqual(results.map(item => item.ok), [true, false, true]);
+    assert.ok(results[1].error instanceof WeChat.HttpError);
+    assert.deepStrictEqual(results.map(item => item.index), [0, 1, 2]);
+    assert.strictEqual(JSON.parse(results[0].response.data).url, 'tmp/a.jpg');
+  });
+
+  it('reports upload hook errors per image', async () => {
+    const results = await sdk.pickAndUploadImages({
+      upload: image => {
+        if (image.index === 0) {
+          throw new Error('no token');
+        }
+        return { url: 'https://up/images' };
+      },
+    });
+    assert.strictEqual(results[0].error.message, 'no token');
+    assert.deepStrictEqual(results.map(item => item.ok), [false, true, true]);
+  });
+
+  it('uses chooseMessageFile as source', async () => {
+    const results = await sdk.pickAndUploadImages({
+      source: 'chooseMessageFile',
+      count: 2,
+      upload: () => ({ url: 'https://up/images' }),
+    });
+    assert.deepStrictEqual(calls('chooseMessageFile').map(({ count, type }) => [count, type]), [[2, 'image']]);
+    assert.strictEqual(results.length, 1);
+    assert.ok(results[0].ok);
+  });
+
+  it('resolves an empty list when the user cancels', async () => {
+    wx.cancel = true;
+    const results = await sdk.pickAndUploadImages({ upload: () => ({}) });
+    assert.deepStrictEqual(results, []);
+  });
+});
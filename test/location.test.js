@@ -0,0 +1,141 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+const close = (actual, expected, delta) => assert.ok(Math.abs(actual - expected) <= delta, `${actual} ≈ ${expected}`);
+
+describe('location', () => {
+  describe('utilities', () => {
+    it('computes haversine distance', () => {
+      const tiananmen = { latitude: 39.9087, longitude: 116.3975 };
+      const peoplesSquare = { latitude: 31.2304, longitude: 121.4737 };
+      close(WeChat.distance(tiananmen, peoplesSquare), 1068139, 1);
+      assert.strictEqual(WeChat.distance(tiananmen, tiananmen), 0);
+    });
+
+    it('converts between WGS84 and GCJ-02', () => {
+      const wgs = { latitude: 39.908823, longitude: 116.39747, speed: 1 };
+      const gcj = WeChat.wgs84ToGcj02(wgs);
+      close(gcj.latitude, 39.910226, 1e-6);
+      close(gcj.longitude, 116.403714, 1e-6);
+      assert.strictEqual(gcj.speed, 1);
+      const back = WeChat.gcj02ToWgs84(gcj);
+      close(back.latitude, wgs.latitude, 1e-7);
+      close(back.longitude, wgs.longitude, 1e-7);
+
+      const tokyo = { latitude: 35.6895, longitude: 139.6917 };
+      assert.deepStrictEqual(WeChat.wgs84ToGcj02(tokyo), tokyo);
+    });
+
+    it('throttles positions by time and distance', () => {
+      const wx = createMockWx();
+      const clock = wx.mock.useFakeTimers(0);
+      try {
+        const seen = [];
+        const push = WeChat.throttlePositions(position => seen.push(position.latitude), { interval: 1000, distance: 50 });
+        push({ latitude: 30, longitude: 120 });
+        push({ latitude: 30.01, longitude: 120 });
+        clock.tick(1000);
+        push({ latitude: 30.0001, longitude: 120 });
+        push({ latitude: 30.01, longitude: 120 });
+        clock.tick(999);
+        push({ latitude: 30.02, longitude: 120 });
+        assert.deepStrictEqual(seen, [30, 30.01]);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('wrappers', () => {
+    let wx;
+    let sdk;
+
+    beforeEach(() => {
+      wx = createMockWx();
+      sdk = new WeChat(wx);
+    });
+
+    it('authorizes before getLocation and chooseLocation', async () => {
+      const res = await sdk.getLocation({ type: 'gcj02' });
+      assert.deepStrictEqual([res.latitude, res.longitude], [22.543096, 114.057865]);
+      assert.deepStrictEqual(wx.mock.calls.map(call => call.name), ['getSetting', 'authorize', 'getLocation']);
+      assert.strictEqual(wx.mock.calls[2].options.ensureScope, undefined);
+
+      wx.mock.authSetting['scope.userLocation'] = false;
+      wx.mock.answerModal(false);
+      await assert.rejects(sdk.chooseLocation(), WeChat.ScopeDeniedError);
+      assert.strictEqual(wx.mock.modals.length, 1);
+      await assert.rejects(sdk.getLocation({ ensureScope: false }), err => err.errMsg === 'getLocation:fail auth deny');
+    });
+
+    it('shares one location update between watchers', async () => {
+      const first = [];
+      const second = [];
+      const stopFirst = await sdk.watchLocation(position => first.push(position));
+      const stopSecond = await sdk.watchLocation(position => second.push(position.latitude), { type: 'wgs84' });
+      assert.strictEqual(wx.mock.calls.filter(call => call.name === 'startLocationUpdate').length, 1);
+      assert.strictEqual(wx.mock.locationUpdating, true);
+
+      wx.mock.trigger('LocationChange', { latitude: 39.910226, longitude: 116.403714 });
+      assert.deepStrictEqual(first, [{ latitude: 39.910226, longitude: 116.403714 }]);
+      close(second[0], 39.908823, 1e-6);
+
+      await stopFirst();
+      assert.strictEqual(wx.mock.locationUpdating, true);
+      await stopSecond();
+      await stopSecond();
+      assert.strictEqual(wx.mock.locationUpdating, false);
+      assert.deepStrictEqual(wx.mock.listeners.LocationChange, []);
+      wx.mock.trigger('LocationChange', { latitude: 1, longitude: 1 });
+      assert.strictEqual(first.length, 1);
+    });
+
+    it('restarts in background mode for a later background watch', async () => {
+      const starts = () => wx.mock.calls.map(call => call.name).filter(name => /LocationUpdate/.test(name));
+      const positions = [];
+      const stopForeground = await sdk.watchLocation(position => positions.push(position.latitude));
+      assert.strictEqual(wx.mock.locationUpdating, true);
+      const stopBackground = await sdk.watchLocation(position => positions.push(position.latitude), { background: true });
+      assert.strictEqual(wx.mock.locationUpdating, 'background');
+      assert.strictEqual(wx.mock.authSetting['scope.userLocationBackground'], true);
+      await sdk.watchLocation(() => {});
+      await sdk.watchLocation(() => {}, { background: true });
+      assert.deepStrictEqual(starts(), ['startLocationUpdate', 'startLocationUpdateBackground']);
+
+      wx.mock.trigger('LocationChange', { latitude: 1, longitude: 1 });
+      assert.deepStrictEqual(positions, [1, 1]);
+      assert.strictEqual(wx.mock.listeners.LocationChange.length, 1);
+      await stopBackground();
+      await stopForeground();
+      assert.strictEqual(wx.mock.locationUpdating, 'background');
+    });
+
+    it('keeps the foreground update when background location is refused', async () => {
+      const stop = await sdk.watchLocation(() => {}, { ensureScope: false });
+      wx.mock.authSetting['scope.userLocationBackground'] = false;
+      await assert.rejects(sdk.watchLocation(() => {}, { background: true, ensureScope: false }), err => err.errMsg === 'startLocationUpdateBackground:fail auth deny');
+      assert.strictEqual(wx.mock.locationUpdating, true);
+      await sdk.watchLocation(() => {});
+      assert.strictEqual(wx.mock.calls.filter(call => call.name === 'startLocationUpdate').length, 1);
+      await stop();
+    });
+
+    it('guides to settings when background location was refused', async () => {
+      wx.mock.authSetting['scope.userLocation'] = true;
+      wx.mock.authSetting['scope.userLocationBackground'] = false;
+      wx.mock.answerModal(false);
+      await assert.rejects(sdk.watchLocation(() => {}, { background: true }), err => err.scope === 'scope.userLocationBackground');
+      assert.ok(/后台定位/.test(wx.mock.modals[0].content), wx.mock.modals[0].content);
+      assert.strictEqual(wx.mock.locationUpdating, false);
+    });
+
+    it('rejects watchLocation when permission is denied', async () => {
+      wx.mock.authSetting['scope.userLocation'] = false;
+      wx.mock.answerModal(false);
+      await assert.rejects(sdk.watchLocation(() => {}), WeChat.ScopeDeniedError);
+      assert.strictEqual(wx.mock.locationUpdating, false);
+    });
+  });
+});
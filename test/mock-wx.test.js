@@ -0,0 +1,153 @@
+'use strict';
+const assert = require('assert');
+const createMockWx = require('../lib/mock-wx');
+
+/**
+ * 以 Promise 形式调用模拟接口，返回 [回调名称, 参数, complete 参数]
+ */
+function call(wx, name, options = {}) {
+  return new Promise(resolve => {
+    let result;
+    wx[name](Object.assign({}, options, {
+      success: res => { result = ['success', res]; },
+      fail: res => { result = ['fail', res]; },
+      complete: res => resolve(result.concat([res])),
+    }));
+  });
+}
+
+describe('createMockWx', () => {
+  it('follows the success / fail / complete convention asynchronously', async () => {
+    const wx = createMockWx();
+    let called = false;
+    wx.login({ success: () => { called = true; } });
+    assert.strictEqual(called, false);
+
+    const [type, res, complete] = await call(wx, 'login');
+    assert.strictEqual(type, 'success');
+    assert.deepStrictEqual(res, { errMsg: 'login:ok', code: 'mock_code_2' });
+    assert.strictEqual(complete, res);
+
+    wx.mock.sessionExpired = true;
+    assert.deepStrictEqual(await call(wx, 'checkSession'), ['fail', { errMsg: 'checkSession:fail session expired' },
+      { errMsg: 'checkSession:fail session expired' }]);
+  });
+
+  it('matches the newest route first', async () => {
+    const wx = createMockWx();
+    wx.mock
+      .route('/goods', { data: 'any' })
+      .route('POST /goods', options => ({ statusCode: 201, data: options.data }))
+      .route(/\/offline$/, { fail: 'timeout' });
+
+    assert.deepStrictEqual((await call(wx, 'request', { url: 'https://api/goods?page=1' }))[1].data, 'any');
+    const [, created] = await call(wx, 'request', { url: 'https://api/goods', method: 'post', data: { id: 1 } });
+    assert.deepStrictEqual([created.statusCode, created.data], [201, { id: 1 }]);
+    assert.deepStrictEqual((await call(wx, 'request', { url: 'https://api/offline' }))[1], { errMsg: 'request:fail timeout' });
+    assert.strictEqual((await call(wx, 'request', { url: 'https://api/unknown' }))[1].statusCode, 404);
+    assert.deepStrictEqual(wx.mock.requests.map(({ method, url }) => `${method} ${url}`), [
+      'GET https://api/goods?page=1', 'POST https://api/goods', 'GET https://api/offline', 'GET https://api/unknown',
+    ]);
+  });
+
+  it('aborts delayed responses', async () => {
+    const wx = createMockWx();
+    wx.mock.route('/slow', { data: {}, delay: 50 });
+    const done = new Promise(resolve => {
+      const task = wx.request({ url: '/slow', fail: resolve });
+      setTimeout(() => task.abort(), 1);
+    });
+    assert.deepStrictEqual(await done, { errMsg: 'request:fail abort' });
+  });
+
+  it('keeps storage in memory', async () => {
+    const wx = createMockWx({ storage: { token: 'abc' } });
+    assert.strictEqual(wx.getStorageSync('token'), 'abc');
+    assert.strictEqual(wx.getStorageSync('missing'), '');
+    await call(wx, 'setStorage', { key: 'user', data: { id: 1 } });
+    assert.deepStrictEqual((await call(wx, 'getStorage', { key: 'user' }))[1].data, { id: 1 });
+    assert.strictEqual((await call(wx, 'getStorage', { key: 'missing' }))[0], 'fail');
+    assert.deepStrictEqual(wx.getStorageInfoSync().keys, ['token', 'user']);
+    wx.clearStorageSync();
+    assert.deepStrictEqual(wx.mock.storage, {});
+  });
+
+  it('maintains the page stack', async () => {
+    const wx = createMockWx({ tabBar: ['/pages/index/index'] });
+    await call(wx, 'navigateTo', { url: '/pages/detail/detail?id=1' });
+    assert.deepStrictEqual(wx.mock.getCurrentPages().map(page => page.route), ['pages/index/index', 'pages/detail/detail']);
+    assert.deepStrictEqual(wx.mock.pages[1].options, { id: '1' });
+    assert.strictEqual((await call(wx, 'navigateTo', { url: '/pages/index/index' }))[0], 'fail');
+    assert.strictEqual((await call(wx, 'switchTab', { url: '/pages/detail/detail' }))[0], 'fail');
+
+    for (let i = 2; i < 10; i++) {
+      await call(wx, 'navigateTo', { url: '/pages/detail/detail' });
+    }
+    assert.strictEqual((await call(wx, 'navigateTo', { url: '/pages/detail/detail' }))[0], 'fail');
+    await call(wx, 'navigateBack', { delta: 8 });
+    assert.strictEqual(wx.mock.pages.length, 2);
+    await call(wx, 'switchTab', { url: '/pages/index/index' });
+    assert.deepStrictEqual(wx.mock.pages, [{ route: 'pages/index/index', options: {} }]);
+  });
+
+  it('records prompts and answers them as scripted', async () => {
+    const wx = createMockWx();
+    wx.mock.answerModal(false, { confirm: true, content: '备注' }).answerActionSheet(-1);
+    await call(wx, 'showToast', { title: '已保存' });
+    assert.deepStrictEqual((await call(wx, 'showModal', { content: 'a' }))[1], { errMsg: 'showModal:ok', confirm: false, cancel: true });
+    assert.strictEqual((await call(wx, 'showModal', { content: 'b' }))[1].content, '备注');
+    assert.strictEqual((await call(wx, 'showModal', { content: 'c' }))[1].confirm, true);
+    assert.deepStrictEqual((await call(wx, 'showActionSheet', { itemList: ['x'] }))[1], { errMsg: 'showActionSheet:fail cancel' });
+    assert.deepStrictEqual(wx.mock.toasts.map(toast => toast.title), ['已保存']);
+    assert.deepStrictEqual(wx.mock.modals.map(modal => modal.content), ['a', 'b', 'c']);
+  });
+
+  it('stubs callback apis', async () => {
+    const wx = createMockWx();
+    wx.mock
+      .stub('requestPayment', () => { throw 'cancel'; })
+      .stub('getLocation', () => Promise.resolve({ latitude: 1, longitude: 2 }))
+      .stub('scanCode', () => { throw new Error('camera busy'); });
+    assert.deepStrictEqual((await call(wx, 'requestPayment'))[1], { errMsg: 'requestPayment:fail cancel' });
+    assert.deepStrictEqual((await call(wx, 'getLocation'))[1], { errMsg: 'getLocation:ok', latitude: 1, longitude: 2 });
+    assert.deepStrictEqual((await call(wx, 'scanCode'))[1], { errMsg: 'scanCode:fail camera busy' });
+  });
+
+  it('triggers events and controls sockets', async () => {
+    const wx = createMockWx();
+    const seen = [];
+    const listener = res => seen.push(res.isConnected);
+    wx.onNetworkStatusChange(listener);
+    wx.mock.trigger('onNetworkStatusChange', { isConnected: false });
+    wx.offNetworkStatusChange(listener);
+    wx.mock.trigger('NetworkStatusChange', { isConnected: true });
+    assert.deepStrictEqual(seen, [false]);
+
+    const task = wx.connectSocket({ url: 'wss://ws' });
+    const messages = [];
+    task.onMessage(res => messages.push(res.data));
+    assert.strictEqual((await call(task, 'send', { data: 'early' }))[0], 'fail');
+    task.mock.open();
+    await call(task, 'send', { data: 'hi' });
+    task.mock.message('pong');
+    assert.deepStrictEqual([task.sent, messages, wx.mock.sockets.length], [['hi'], ['pong'], 1]);
+  });
+
+  it('provides fake timers', async () => {
+    const wx = createMockWx();
+    const clock = wx.mock.useFakeTimers(1000);
+    try {
+      wx.mock.route('/slow', { data: 'late', delay: 5000 });
+      let res;
+      wx.request({ url: '/slow', success: value => { res = value; } });
+      await clock.tickAsync(4999);
+      assert.strictEqual(res, undefined);
+      await clock.tickAsync(1);
+      assert.strictEqual(res.data, 'late');
+      assert.strictEqual(Date.now(), 6000);
+      assert.strictEqual(clock.pending(), 0);
+    } finally {
+      clock.restore();
+    }
+  });
+});
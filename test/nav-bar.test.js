@@ -0,0 +1,78 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('getNavBarMetrics', () => {
+  it('computes the layout from system info and the capsule rect', () => {
+    const wx = createMockWx();
+    const sdk = new WeChat(wx);
+    assert.deepStrictEqual(sdk.getNavBarMetrics(), {
+      statusBarHeight: 47,
+      navBarHeight: 40,
+      totalHeight: 87,
+      capsuleGap: 4,
+      capsuleMargin: 7,
+      contentWidth: 282,
+      menuButton: { width: 87, height: 32, top: 51, right: 383, bottom: 83, left: 296 },
+      safeAreaInsets: { top: 47, right: 0, bottom: 34, left: 0 },
+      windowWidth: 390,
+      windowHeight: 844,
+      os: 'ios',
+      fallback: false,
+    });
+  });
+
+  it('reads system info once', () => {
+    const wx = createMockWx();
+    let reads = 0;
+    const getSystemInfoSync = wx.getSystemInfoSync;
+    wx.getSystemInfoSync = () => {
+      reads++;
+      return getSystemInfoSync();
+    };
+    const sdk = new WeChat(wx);
+    const metrics = sdk.getNavBarMetrics();
+    const first = reads;
+    assert.strictEqual(sdk.getNavBarMetrics(), metrics);
+    assert.strictEqual(reads, first);
+    sdk.getNavBarMetrics({ refresh: true });
+    assert.strictEqual(reads, first + 1);
+  });
+
+  it('falls back when the capsule rect is invalid', () => {
+    const wx = createMockWx({
+      systemInfo: { system: 'Android 12', platform: 'android', statusBarHeight: 30, windowWidth: 400, safeArea: undefined },
+      menuButton: { width: 0, height: 0, top: 0, right: 0, bottom: 0, left: 0 },
+    });
+    const metrics = new WeChat(wx).getNavBarMetrics();
+    assert.deepStrictEqual(metrics.menuButton, { width: 87, height: 32, top: 38, right: 390, bottom: 70, left: 303 });
+    assert.deepStrictEqual([metrics.navBarHeight, metrics.totalHeight, metrics.os, metrics.fallback], [48, 78, 'android', true]);
+    assert.deepStrictEqual(metrics.safeAreaInsets, { top: 30, right: 0, bottom: 0, left: 0 });
+  });
+
+  it('falls back when the capsule api is missing', () => {
+    const wx = createMockWx();
+    delete wx.getMenuButtonBoundingClientRect;
+    const metrics = new WeChat(wx).getNavBarMetrics();
+    assert.deepStrictEqual([metrics.fallback, metrics.menuButton.top, metrics.navBarHeight], [true, 51, 40]);
+  });
+
+  it('refreshes on window resize', () => {
+    const wx = createMockWx({ systemInfo: { model: 'iPad', windowWidth: 768, screenWidth: 768 }, menuButton: { right: 761, left: 674 } });
+    const sdk = new WeChat(wx);
+    const seen = [];
+    const off = sdk.onNavBarMetricsChange(metrics => seen.push([metrics.windowWidth, metrics.menuButton.right]));
+    assert.strictEqual(sdk.getNavBarMetrics().windowWidth, 768);
+
+    Object.assign(wx.mock.systemInfo, { windowWidth: 1024, screenWidth: 1024 });
+    Object.assign(wx.mock.menuButton, { right: 1017, left: 930 });
+    wx.mock.trigger('WindowResize', { size: { windowWidth: 1024, windowHeight: 768 } });
+    assert.strictEqual(sdk.getNavBarMetrics().capsuleMargin, 7);
+    wx.mock.trigger('WindowResize', { size: { windowWidth: 1024, windowHeight: 768 } });
+    off();
+    Object.assign(wx.mock.systemInfo, { windowWidth: 768 });
+    wx.mock.trigger('WindowResize', { size: { windowWidth: 768, windowHeight: 1024 } });
+    assert.deepStrictEqual(seen, [[1024, 1017]]);
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('network', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+  });
+
+  it('sends requests through the client with interceptors', async () => {
+    wx.mock.route('GET /goods', options => ({ data: { page: options.data.page, auth: options.header['X-App'] } }));
+    const api = sdk.create({ baseURL: 'https://api.example.com', headers: { 'X-App': 'mini' } });
+    api.interceptors.response.use(res => res.data);
+    assert.deepStrictEqual(await api.get('/goods', { page: 2 }), { page: 2, auth: 'mini' });
+    assert.strictEqual(wx.mock.requests[0].url, 'https://api.example.com/goods');
+  });
+
+  it('rejects HttpError and RequestError', async () => {
+    wx.mock.route('/missing', { statusCode: 404, data: 'not found' }).route('/offline', { fail: 'timeout' });
+    const error = await sdk.get('/missing', {}, null, { validateStatus: true }).catch(e => e);
+    assert.ok(error instanceof WeChat.HttpError);
+    assert.deepStrictEqual([error.statusCode, error.data], [404, 'not found']);
+    await assert.rejects(sdk.get('/offline'), e => e instanceof WeChat.RequestError && e.type === 'timeout');
+  });
+
+  it('cancels requests with a token', async () => {
+    wx.mock.route('/search', { data: [], delay: 50 });
+    const source = WeChat.CancelToken.source();
+    const request = sdk.get('/search', {}, null, { cancelToken: source.token });
+    setTimeout(() => source.cancel('关键字已变化'), 1);
+    await assert.rejects(request, WeChat.CancelError);
+  });
+
+  it('retries with backoff on fake timers', async () => {
+    const clock = wx.mock.useFakeTimers();
+    try {
+      let attempts = 0;
+      wx.mock.route('/flaky', () => (++attempts < 3 ? { statusCode: 503 } : { data: 'ok' }));
+      const result = sdk.get('/flaky', {}, null, { validateStatus: true, retry: { maxAttempts: 3, jitter: 0 } });
+      await clock.tickAsync(300);
+      assert.strictEqual(attempts, 2);
+      await clock.tickAsync(600);
+      assert.strictEqual((await result).data, 'ok');
+      assert.strictEqual(attempts, 3);
+    } finally {
+      clock.restore();
+    }
+  });
+});
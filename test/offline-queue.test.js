@@ -0,0 +1,182 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('OfflineQueue', () => {
+  let wx;
+  let sdk;
+  let events;
+
+  const createSdk = () => new WeChat(wx, {
+    offline: {
+      onReplay: (entry, res) => events.push(['replay', entry.options.url, res.statusCode]),
+      onConflict: (entry, error) => events.push(['conflict', entry.options.url, error.statusCode]),
+      onFailure: (entry, error) => events.push(['failure', entry.options.url, error.statusCode || error.type]),
+    },
+  });
+
+  beforeEach(() => {
+    events = [];
+    wx = createMockWx();
+    wx.mock.route(() => true, options => ({ statusCode: 201, data: options.data }));
+    sdk = createSdk();
+  });
+
+  afterEach(() => sdk.offline.stop());
+
+  const sent = () => wx.mock.requests.map(({ method, url, header }) => [method, url, (header || {})['Idempotency-Key']]);
+
+  it('sends directly while online', async () => {
+    const res = await sdk.post('/forms', { a: 1 }, null, { offline: true });
+    assert.deepStrictEqual([res.statusCode, res.data], [201, { a: 1 }]);
+    assert.ok(wx.mock.requests[0].header['Idempotency-Key']);
+    assert.deepStrictEqual(sdk.offline.pending(), []);
+  });
+
+  it('queues while offline and replays in order when the network returns', async () => {
+    wx.mock.setNetworkType('none');
+    const first = await sdk.post('/forms', { a: 1 }, null, { offline: { key: 'k1' } });
+    const second = await sdk.put('/forms/1', { b: 2 }, null, { offline: true });
+    const third = await sdk.delete('/forms/2', {}, null, { offline: true });
+    assert.deepStrictEqual(first, { errMsg: 'request:queued', queued: true, id: 'k1', idempotencyKey: 'k1' });
+    assert.strictEqual(second.queued, true);
+    assert.deepStrictEqual(wx.mock.requests, []);
+    assert.ok('mp-wx-sdk:offline:entries' in wx.mock.storage);
+
+    wx.mock.setNetworkType('wifi');
+    assert.strictEqual(await sdk.offline.flush(), 0);
+    assert.deepStrictEqual(sent(), [
+      ['POST', '/forms', 'k1'],
+      ['PUT', '/forms/1', second.idempotencyKey],
+      ['DELETE', '/forms/2', third.idempotencyKey],
+    ]);
+    assert.deepStrictEqual(events.map(([type, url]) => [type, url]), [['replay', '/forms'], ['replay', '/forms/1'], ['replay', '/forms/2']]);
+    assert.ok(!('mp-wx-sdk:offline:entries' in wx.mock.storage));
+  });
+
+  it('queues requests that fail for network reasons with the same idempotency key', async () => {
+    wx.mock.route('/forms', { fail: 'timeout' });
+    const res = await sdk.post('/forms', { a: 1 }, null, { offline: true });
+    assert.strictEqual(res.queued, true);
+    await assert.rejects(sdk.post('/forms', { a: 2 }), WeChat.RequestError);
+
+    wx.mock.route('/forms', { statusCode: 200 });
+    wx.mock.setNetworkType('4g');
+    await sdk.offline.flush();
+    assert.deepStrictEqual(sent().map(([, , key]) => key), [res.idempotencyKey, undefined, res.idempotencyKey]);
+  });
+
+  it('does not queue server errors of the first attempt', async () => {
+    wx.mock.route('/forms', { statusCode: 400 });
+    await assert.rejects(sdk.post('/forms', {}, null, { offline: true, validateStatus: true }), WeChat.HttpError);
+    assert.deepStrictEqual(sdk.offline.pending(), []);
+  });
+
+  it('reports conflicts and failures, and pauses on server errors', async () => {
+    wx.mock.setNetworkType('none');
+    await sdk.post('/conflict', {}, null, { offline: true });
+    await sdk.post('/invalid', {}, null, { offline: true });
+    await sdk.post('/busy', {}, null, { offline: true });
+    await sdk.post('/later', {}, null, { offline: true });
+    wx.mock
+      .route('/conflict', { statusCode: 409 })
+      .route('/invalid', { statusCode: 422 })
+      .route('/busy', { statusCode: 503 });
+
+    wx.mock.setNetworkType('wifi');
+    assert.strictEqual(await sdk.offline.flush(), 2);
+    assert.deepStrictEqual(events, [['conflict', '/conflict', 409], ['failure', '/invalid', 422]]);
+    assert.deepStrictEqual(sdk.offline.pending().map(entry => [entry.options.url, entry.attempts]), [['/busy', 1], ['/later', 0]]);
+
+    wx.mock.route('/busy', { statusCode: 200 });
+    assert.strictEqual(await sdk.offline.flush(), 0);
+    assert.deepStrictEqual(events.slice(2), [['replay', '/busy', 200], ['replay', '/later', 201]]);
+  });
+
+  it('restores persisted requests after restart', async () => {
+    wx.mock.setNetworkType('none');
+    await sdk.post('/forms', { a: 1 }, { 'X-Token': 'old' }, { offline: { key: 'k1' }, cancelToken: WeChat.CancelToken.source().token });
+    sdk.offline.stop();
+
+    wx.mock.networkType = 'wifi';
+    sdk = new WeChat(wx, { offline: { beforeReplay: options => Object.assign(options, { header: Object.assign(options.header, { 'X-Token': 'new' }) }) } });
+    await sdk.offline.start();
+    assert.strictEqual(await sdk.offline.flush(), 0);
+    assert.deepStrictEqual(wx.mock.requests.map(({ url, data, header }) => [url, data, header]), [
+      ['/forms', { a: 1 }, { 'X-Token': 'new', 'Idempotency-Key': 'k1' }],
+    ]);
+  });
+
+  it('keeps auth headers out of storage and replays them from memory', async () => {
+    wx.mock.setNetworkType('none');
+    await sdk.post('/forms', {}, { authorization: 'Bearer t1', Cookie: 'sid=1', 'X-App': 'mini' }, { offline: { key: 'k1' } });
+    const stored = JSON.stringify(wx.mock.storage['mp-wx-sdk:offline:entries']);
+    assert.ok(!/Bearer|sid=1/.test(stored), stored);
+    assert.deepStrictEqual(sdk.offline.pending()[0].options.header, { 'X-App': 'mini', 'Idempotency-Key': 'k1' });
+
+    wx.mock.setNetworkType('wifi');
+    await sdk.offline.flush();
+    assert.deepStrictEqual(wx.mock.requests[0].header, { 'X-App': 'mini', 'Idempotency-Key': 'k1', authorization: 'Bearer t1', Cookie: 'sid=1' });
+    assert.strictEqual(sdk.offline.credentials.size, 0);
+  });
+
+  it('signs restored requests with the current session', async () => {
+    wx.mock.setNetworkType('none');
+    await sdk.post('/forms', {}, { 'X-Session': 'old', Authorization: 'Basic a' }, { offline: { key: 'k1' } });
+    sdk.offline.stop();
+
+    wx.mock.networkType = 'wifi';
+    sdk = new WeChat(wx);
+    const session = sdk.createSession({ exchangeCode: code => `${code}`, header: 'X-Session', formatToken: token => token });
+    sdk.offline.useSession(session);
+    await sdk.offline.start();
+    await sdk.offline.flush();
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.header), [{ 'Idempotency-Key': 'k1', 'X-Session': 'mock_code_1' }]);
+  });
+
+  it('keeps the request without counting an attempt when login fails before replay', async () => {
+    wx.mock.setNetworkType('none');
+    await sdk.post('/forms', {}, null, { offline: { key: 'k1' } });
+    wx.mock.networkType = 'wifi';
+    let logins = 0;
+    const exchangeCode = code => (++logins === 1 ? Promise.reject(new Error('login failed')) : code);
+    sdk.offline.useSession(sdk.createSession({ exchangeCode, header: 'X-Session', formatToken: token => token }));
+
+    assert.strictEqual(await sdk.offline.flush(), 1);
+    assert.deepStrictEqual([wx.mock.requests, sdk.offline.pending()[0].attempts, events], [[], 0, []]);
+    assert.strictEqual(wx.mock.storage['mp-wx-sdk:offline:entries'].v.length, 1);
+
+    assert.strictEqual(await sdk.offline.flush(), 0);
+    assert.deepStrictEqual(events, [['replay', '/forms', 201]]);
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.header), [{ 'Idempotency-Key': 'k1', 'X-Session': 'mock_code_2' }]);
+  });
+
+  it('keeps replaying when a callback throws', async () => {
+    wx.mock.setNetworkType('none');
+    sdk = new WeChat(wx, {
+      offline: {
+        onReplay: entry => {
+          events.push(entry.options.url);
+          throw new Error('callback broken');
+        },
+      },
+    });
+    await sdk.post('/a', {}, null, { offline: true });
+    await sdk.post('/b', {}, null, { offline: true });
+    wx.mock.setNetworkType('wifi');
+    assert.strictEqual(await sdk.offline.flush(), 0);
+    assert.deepStrictEqual(events, ['/a', '/b']);
+  });
+
+  it('wraps getNetworkType and onNetworkStatusChange', async () => {
+    wx.mock.networkType = '5g';
+    assert.strictEqual((await sdk.getNetworkType()).networkType, '5g');
+    const seen = [];
+    const off = sdk.onNetworkStatusChange(res => seen.push(res.isConnected));
+    wx.mock.setNetworkType('none');
+    off();
+    wx.mock.setNetworkType('wifi');
+    assert.deepStrictEqual(seen, [false]);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+const PAYMENT = { timeStamp: '1', nonceStr: 'n', package: 'prepay_id=1', signType: 'RSA', paySign: 's' };
+
+describe('pay', () => {
+  let wx;
+  let sdk;
+  let result;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    result = null;
+    wx.mock.stub('requestPayment', () => {
+      if (result) {
+        throw result;
+      }
+    });
+    sdk = new WeChat(wx);
+  });
+
+  it('pays with the params returned by createOrder', async () => {
+    const stages = [];
+    const outcome = await sdk.pay({
+      createOrder: async () => ({ id: 7, payment: PAYMENT }),
+      onStatusChange: stage => stages.push(stage),
+    });
+    assert.strictEqual(outcome.status, WeChat.PAY_STATUS.SUCCESS);
+    assert.strictEqual(outcome.order.id, 7);
+    const params = wx.mock.calls[0].options;
+    assert.deepStrictEqual(
+      [params.timeStamp, params.nonceStr, params.package, params.signType, params.paySign],
+      ['1', 'n', 'prepay_id=1', 'RSA', 's']);
+    assert.deepStrictEqual(stages, ['creating', 'paying', 'success']);
+  });
+
+  it('maps user cancel to cancel', async () => {
+    result = 'cancel';
+    const outcome = await sdk.pay({ createOrder: async () => PAYMENT });
+    assert.strictEqual(outcome.status, 'cancel');
+    assert.ok(outcome.error instanceof WeChat.RequestError);
+    assert.strictEqual(outcome.error.reason, 'cancel');
+  });
+
+  it('maps other failures to fail', async () => {
+    result = '(detail message)';
+    const outcome = await sdk.pay({ createOrder: async () => PAYMENT });
+    assert.strictEqual(outcome.status, 'fail');
+    assert.strictEqual(outcome.error.errMsg, 'requestPayment:fail (detail message)');
+  });
+
+  it('reports createOrder errors as fail without calling requestPayment', async () => {
+    const error = new Error('sold out');
+    const outcome = await sdk.pay({ createOrder: async () => { throw error; } });
+    assert.strictEqual(outcome.status, 'fail');
+    assert.strictEqual(outcome.error, error);
+    assert.strictEqual(wx.mock.calls.length, 0);
+  });
+
+  it('polls confirm until the server reports paid', async () => {
+    let checks = 0;
+    const outcome = await sdk.pay({
+      createOrder: async () => PAYMENT,
+      confirm: async () => {
+        checks++;
+        if (checks === 1) {
+          throw new Error('network');
+        }
+        return checks === 3;
+      },
+      confirmInterval: 1,
+    });
+    assert.strictEqual(outcome.status, 'success');
+    assert.strictEqual(checks, 3);
+  });
+
+  it('returns unconfirmed when confirm times out', async () => {
+    const clock = wx.mock.useFakeTimers();
+    try {
+      const stages = [];
+      let checks = 0;
+      const pending = sdk.pay({
+        createOrder: async () => PAYMENT,
+        confirm: async () => {
+          checks++;
+          return false;
+        },
+        onStatusChange: stage => stages.push(stage),
+      });
+      await clock.tickAsync(10000);
+      const outcome = await pending;
+      assert.strictEqual(outcome.status, 'unconfirmed');
+      assert.strictEqual(checks, 11);
+      assert.deepStrictEqual(stages, ['creating', 'paying', 'confirming', 'unconfirmed']);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('rejects without createOrder', async () => {
+    await assert.rejects(sdk.pay({}), /createOrder/);
+  });
+});
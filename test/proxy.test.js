@@ -0,0 +1,63 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const { compareVersion } = require('../lib/capability');
+const createMockWx = require('../lib/mock-wx');
+
+function createWx() {
+  const wx = createMockWx({ systemInfo: { SDKVersion: '2.0.9' }, unsupported: ['vibrateShort'] });
+  wx.mock
+    .stub('scanCode', () => ({ result: 'code' }))
+    .stub('vibrateShort', () => {});
+  wx.getClipboardDataSync = () => 'text';
+  return wx;
+}
+
+describe('proxy mode', () => {
+  it('promisifies any success/fail API', async () => {
+    const sdk = new WeChat(createWx(), { proxy: true });
+    const res = await sdk.scanCode({ onlyFromCamera: true });
+    assert.strictEqual(res.result, 'code');
+  });
+
+  it('keeps sync and event APIs out of promisify', () => {
+    const wx = createWx();
+    const sdk = new WeChat(wx, { proxy: true });
+    assert.strictEqual(sdk.getClipboardDataSync(), 'text');
+    const events = [];
+    const off = sdk.onNetworkStatusChange(res => events.push(res));
+    wx.mock.trigger('NetworkStatusChange', { isConnected: true });
+    off();
+    wx.mock.trigger('NetworkStatusChange', { isConnected: false });
+    assert.deepStrictEqual(events, [{ isConnected: true }]);
+  });
+
+  it('rejects missing APIs with UnsupportedApiError', async () => {
+    const sdk = new WeChat(createWx(), { proxy: true });
+    await assert.rejects(sdk.requestPayment({}), err => err instanceof WeChat.UnsupportedApiError && err.api === 'requestPayment');
+  });
+
+  it('rejects APIs that canIUse reports unsupported', async () => {
+    const sdk = new WeChat(createWx(), { proxy: true });
+    await assert.rejects(sdk.vibrateShort(), WeChat.UnsupportedApiError);
+  });
+
+  it('checks the minimum base library version', () => {
+    const sdk = new WeChat(createWx());
+    assert.throws(() => sdk.getMenuButtonBoundingClientRect(), err => err.minVersion === '2.1.0' && err.SDKVersion === '2.0.9');
+    assert.strictEqual(sdk.canUse('scanCode'), true);
+    assert.strictEqual(sdk.canUse('requestPayment'), false);
+  });
+
+  it('is not treated as a thenable', async () => {
+    const sdk = new WeChat(createWx(), { proxy: true });
+    const resolved = await Promise.resolve(sdk);
+    assert.strictEqual(resolved, sdk);
+  });
+
+  it('compares versions', () => {
+    assert.strictEqual(compareVersion('2.10.0', '2.9.9'), 1);
+    assert.strictEqual(compareVersion('2.1', '2.1.0'), 0);
+    assert.strictEqual(compareVersion('1.9.0', '2.0.0'), -1);
+  });
+});
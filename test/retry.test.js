@@ -0,0 +1,123 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+const retry = require('../lib/retry');
+
+describe('retry', () => {
+  describe('policy', () => {
+    it('resolves the policy from global and per-call options', () => {
+      assert.strictEqual(retry.resolvePolicy(undefined, undefined, 'GET'), null);
+      assert.strictEqual(retry.resolvePolicy(true, false, 'GET'), null);
+      assert.strictEqual(retry.resolvePolicy(undefined, 1, 'GET'), null);
+      assert.strictEqual(retry.resolvePolicy(true, undefined, 'POST'), null);
+      assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, undefined, 'get').maxAttempts, 5);
+      assert.strictEqual(retry.resolvePolicy({ maxAttempts: 5 }, 2, 'GET').maxAttempts, 2);
+      const post = retry.resolvePolicy(undefined, { idempotentOnly: false }, 'POST');
+      assert.deepStrictEqual([post.maxAttempts, post.baseDelay, post.retryOn], [3, 300, retry.defaultRetryOn]);
+    });
+
+    it('backs off exponentially up to maxDelay with jitter', () => {
+      const policy = { baseDelay: 100, maxDelay: 1000, factor: 2, jitter: 0 };
+      assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => retry.getDelay(policy, attempt)), [100, 200, 400, 800, 1000]);
+      const random = Math.random;
+      try {
+        Math.random = () => 1;
+        assert.strictEqual(retry.getDelay(Object.assign({}, policy, { jitter: 0.5 }), 3), 200);
+        assert.strictEqual(retry.getDelay(Object.assign({}, policy, { jitter: 2 }), 3), 0);
+      } finally {
+        Math.random = random;
+      }
+    });
+
+    it('retries network failures and retryable status codes by default', () => {
+      const fail = reason => new WeChat.RequestError({ errMsg: `request:fail ${reason}` });
+      const status = statusCode => new WeChat.HttpError({ statusCode });
+      assert.deepStrictEqual(
+        [fail('timeout'), fail('interrupted'), fail('ssl error'), fail('abort'), fail('url not in domain list')].map(retry.defaultRetryOn),
+        [true, true, true, false, false],
+      );
+      assert.deepStrictEqual([429, 503, 400, 404].map(code => retry.defaultRetryOn(status(code))), [true, true, false, false]);
+      assert.strictEqual(retry.defaultRetryOn(new WeChat.CancelError()), false);
+    });
+  });
+
+  describe('send', () => {
+    let wx;
+    let sdk;
+    let clock;
+    let attempts;
+
+    beforeEach(() => {
+      wx = createMockWx();
+      attempts = 0;
+      wx.mock.route('/flaky', () => (++attempts < 3 ? { fail: 'timeout' } : { data: 'ok' }));
+      sdk = new WeChat(wx);
+      clock = wx.mock.useFakeTimers(0);
+    });
+
+    afterEach(() => clock.restore());
+
+    it('reports every attempt to onAttempt', async () => {
+      const reports = [];
+      const onAttempt = info => {
+        reports.push([info.attempt, info.error ? info.error.type : info.response.data, info.willRetry, info.delay]);
+        throw new Error('ignored');
+      };
+      const result = sdk.get('https://api/flaky', {}, null, { retry: { baseDelay: 100, jitter: 0, onAttempt } });
+      await clock.tickAsync(300);
+      assert.strictEqual((await result).data, 'ok');
+      assert.deepStrictEqual(reports, [[1, 'timeout', true, 100], [2, 'timeout', true, 200], [3, 'ok', false, undefined]]);
+    });
+
+    it('gives up after maxAttempts or on errors that should not be retried', async () => {
+      const result = sdk.get('https://api/flaky', {}, null, { retry: { maxAttempts: 2, jitter: 0 } }).catch(e => e);
+      await clock.tickAsync(1000);
+      assert.deepStrictEqual([(await result).type, attempts], ['timeout', 2]);
+
+      wx.mock.route('/blocked', { fail: 'url not in domain list' });
+      await assert.rejects(sdk.get('https://api/blocked', {}, null, { retry: 3 }), err => err.type === 'domain');
+      assert.strictEqual(wx.mock.requests.filter(request => /blocked/.test(request.url)).length, 1);
+    });
+
+    it('retries only idempotent methods unless configured', async () => {
+      sdk = new WeChat(wx, { retry: { jitter: 0 } });
+      await assert.rejects(sdk.post('https://api/flaky'), WeChat.RequestError);
+      assert.strictEqual(attempts, 1);
+
+      const result = sdk.post('https://api/flaky', {}, null, { retry: { idempotentOnly: false } });
+      await clock.tickAsync(1000);
+      assert.strictEqual((await result).data, 'ok');
+      assert.strictEqual(attempts, 3);
+    });
+
+    it('uses a custom retryOn', async () => {
+      wx.mock.route('/busy', () => ({ statusCode: ++attempts < 2 ? 409 : 200 }));
+      const retryOn = (error, attempt) => error.statusCode === 409 && attempt < 2;
+      const result = sdk.get('https://api/busy', {}, null, { validateStatus: true, retry: { retryOn, jitter: 0 } });
+      await clock.tickAsync(300);
+      assert.strictEqual((await result).statusCode, 200);
+    });
+
+    it('rejects with the original error when retryOn throws', async () => {
+      const retryOn = () => {
+        throw new Error('bad policy');
+      };
+      const result = sdk.get('https://api/flaky', {}, null, { retry: { retryOn, jitter: 0 } }).catch(e => e);
+      await clock.tickAsync(1000);
+      const error = await result;
+      assert.ok(error instanceof WeChat.RequestError);
+      assert.deepStrictEqual([error.type, attempts], ['timeout', 1]);
+    });
+
+    it('cancels the pending retry on abort', async () => {
+      const result = sdk.get('https://api/flaky', {}, null, { retry: { jitter: 0 } });
+      await clock.tickAsync(100);
+      assert.strictEqual(attempts, 1);
+      result.abort('离开页面');
+      await assert.rejects(result, WeChat.CancelError);
+      await clock.tickAsync(1000);
+      assert.strictEqual(attempts, 1);
+    });
+  });
+});
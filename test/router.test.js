@@ -0,0 +1,151 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('Router', () => {
+  let wx;
+  let sdk;
+  let router;
+
+  beforeEach(() => {
+    wx = createMockWx({ tabBar: ['pages/index/index'] });
+    sdk = new WeChat(wx);
+    router = sdk.createRouter({
+      routes: {
+        home: { path: '/pages/index/index', tab: true },
+        detail: 'pages/detail/detail',
+        orders: { path: '/pages/orders/orders', meta: { requiresLogin: true } },
+        login: '/pages/login/login',
+      },
+      getCurrentPages: wx.mock.getCurrentPages,
+    });
+  });
+
+  const calls = () => wx.mock.calls.map(({ name, options }) => [name, options.url || options.delta]);
+
+  it('builds urls with encoded params', async () => {
+    await router.push('detail', { id: 1, keyword: '新品 & 热卖', empty: null, filter: { a: 1 } });
+    assert.deepStrictEqual(calls()[0], ['navigateTo',
+      `/pages/detail/detail?id=1&keyword=${encodeURIComponent('新品 & 热卖')}&filter=${encodeURIComponent('json:{"a":1}')}`]);
+    assert.strictEqual(router.resolve('/pages/detail/detail?from=share', { id: 2 }).url, '/pages/detail/detail?from=share&id=2');
+    assert.strictEqual(router.resolve({ name: 'detail', params: { id: 3 } }).url, '/pages/detail/detail?id=3');
+  });
+
+  it('decodes page query', () => {
+    wx.mock.pages.push({ route: 'pages/detail/detail', options: { keyword: encodeURIComponent('新品 & 热卖') } });
+    assert.deepStrictEqual(router.current(), {
+      name: 'detail',
+      path: '/pages/detail/detail',
+      params: { keyword: '新品 & 热卖' },
+      meta: {},
+    });
+    assert.deepStrictEqual(WeChat.Router.decodeQuery({ a: '%E4%B8%AD' }), { a: '中' });
+  });
+
+  it('decodes object params encoded by push', async () => {
+    const params = {
+      id: 1,
+      filter: { tags: ['a', 'b'], price: [0, 100] },
+      ids: [1, 2],
+      text: '[备注',
+      bad: '%E4%',
+      q: '[1,2]',
+      obj: '{"a":1}',
+      prefixed: 'json:[1]',
+    };
+    await router.push('detail', params);
+    const query = {};
+    calls()[0][1].split('?')[1].split('&').forEach(pair => {
+      const [key, value] = pair.split('=');
+      query[key] = value;
+    });
+    assert.deepStrictEqual(WeChat.Router.decodeQuery(query), {
+      id: '1',
+      filter: { tags: ['a', 'b'], price: [0, 100] },
+      ids: [1, 2],
+      text: '[备注',
+      bad: '%E4%',
+      q: '[1,2]',
+      obj: '{"a":1}',
+      prefixed: 'json:[1]',
+    });
+  });
+
+  it('uses switchTab for tab routes', async () => {
+    await router.push('home', { ignored: 1 });
+    await router.replace('/pages/index/index');
+    assert.deepStrictEqual(calls(), [['switchTab', '/pages/index/index'], ['switchTab', '/pages/index/index']]);
+  });
+
+  it('falls back to redirectTo when the page stack is full', async () => {
+    for (let i = 1; i < 10; i++) {
+      wx.mock.pages.push({ route: 'pages/detail/detail', options: {} });
+    }
+    await router.push('detail', { id: 1 });
+    assert.deepStrictEqual(calls()[0], ['redirectTo', '/pages/detail/detail?id=1']);
+  });
+
+  it('navigates back to a named page', async () => {
+    wx.mock.pages.push({ route: 'pages/orders/orders' }, { route: 'pages/detail/detail' }, { route: 'pages/detail/detail' });
+    await router.back('detail');
+    await router.back('orders');
+    await router.back();
+    await router.back('login');
+    assert.deepStrictEqual(calls(), [['navigateBack', 2], ['navigateBack', 1], ['reLaunch', '/pages/login/login']]);
+  });
+
+  it('runs guards before navigation', async () => {
+    let loggedIn = false;
+    const seen = [];
+    router.beforeEach((to, from) => {
+      seen.push([to.name, from.name]);
+      return to.meta.requiresLogin && !loggedIn ? { name: 'login', params: { redirect: to.url } } : true;
+    });
+    const remove = router.beforeEach(async to => to.name !== 'detail');
+
+    await router.push('orders');
+    assert.deepStrictEqual(calls()[0], ['navigateTo', `/pages/login/login?redirect=${encodeURIComponent('/pages/orders/orders')}`]);
+    assert.deepStrictEqual(seen, [['orders', 'home'], ['login', 'home']]);
+
+    assert.strictEqual(await router.push('detail'), false);
+    assert.strictEqual(calls().length, 1);
+
+    remove();
+    loggedIn = true;
+    await router.push('detail');
+    assert.strictEqual(calls()[1][0], 'navigateTo');
+  });
+
+  it('runs guards before navigating back', async () => {
+    wx.mock.pages.push({ route: 'pages/orders/orders', options: { tab: 'paid' } }, { route: 'pages/detail/detail', options: { id: '1' } });
+    const seen = [];
+    let leave = false;
+    router.beforeEach((to, from) => {
+      seen.push([to.name, to.url, to.params, to.delta, from.name]);
+      return leave;
+    });
+    assert.strictEqual(await router.back(), false);
+    assert.strictEqual(await router.back('home'), false);
+    assert.deepStrictEqual(calls(), []);
+    assert.deepStrictEqual(seen, [
+      ['orders', '/pages/orders/orders?tab=paid', { tab: 'paid' }, 1, 'detail'],
+      ['home', '/pages/index/index', {}, 2, 'detail'],
+    ]);
+
+    leave = true;
+    router.beforeEach(to => (to.name === 'orders' ? 'login' : true));
+    await router.back();
+    await router.back('home');
+    assert.deepStrictEqual(calls(), [['redirectTo', '/pages/login/login'], ['navigateBack', 2]]);
+  });
+
+  it('stops redirect loops', async () => {
+    router.beforeEach(to => (to.name === 'login' ? 'orders' : 'login'));
+    await assert.rejects(router.push('detail'), /重定向/);
+  });
+
+  it('rejects unknown routes', () => {
+    assert.throws(() => router.resolve('missing'), /未定义的路由/);
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('Scheduler', () => {
+  let wx;
+  let sdk;
+  let clock;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    clock = wx.mock.useFakeTimers(0);
+  });
+
+  afterEach(() => clock.restore());
+
+  it('shares the concurrency limit between request, upload and download', async () => {
+    sdk = new WeChat(wx, { concurrency: 2 });
+    wx.mock.route(() => true, { data: 'ok', delay: 10 });
+    const calls = [
+      sdk.request({ url: 'https://api/a' }),
+      sdk.uploadFile({ url: 'https://api/b', filePath: 'wxfile://tmp/b.png', name: 'file' }),
+      sdk.downloadFile({ url: 'https://api/c' }),
+      sdk.request({ url: 'https://api/d' }),
+    ];
+    assert.deepStrictEqual(sdk.getQueueStats(), { concurrency: 2, inFlight: 2, pending: 2 });
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.api), ['request', 'uploadFile']);
+    assert.strictEqual(calls[2].task, undefined);
+
+    await clock.tickAsync(10);
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.api), ['request', 'uploadFile', 'downloadFile', 'request']);
+    assert.deepStrictEqual(sdk.getQueueStats(), { concurrency: 2, inFlight: 2, pending: 0 });
+    await clock.tickAsync(10);
+    await Promise.all(calls);
+    assert.deepStrictEqual(sdk.getQueueStats(), { concurrency: 2, inFlight: 0, pending: 0 });
+  });
+
+  it('starts queued calls by priority and removes aborted ones', async () => {
+    sdk = new WeChat(wx, { concurrency: 1 });
+    wx.mock.route(() => true, { delay: 10 });
+    const urls = ['first', 'low', 'normal', 'high', 'high-2', 'aborted'];
+    const priorities = [0, -1, 0, 5, 5, 9];
+    const calls = urls.map((url, i) => sdk.request({ url: `https://api/${url}`, priority: priorities[i] }));
+    assert.deepStrictEqual(sdk.getQueueStats(), { concurrency: 1, inFlight: 1, pending: 5 });
+    calls[5].abort();
+    await assert.rejects(calls[5], WeChat.CancelError);
+    assert.strictEqual(sdk.getQueueStats().pending, 4);
+
+    await clock.tickAsync(50);
+    await Promise.all(calls.slice(0, 5));
+    assert.deepStrictEqual(wx.mock.requests.map(request => request.url.slice(12)), ['first', 'high', 'high-2', 'normal', 'low']);
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('Session', () => {
+  let wx;
+  let sdk;
+  let exchanged;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+    exchanged = [];
+  });
+
+  const exchangeCode = code => {
+    exchanged.push(code);
+    return Promise.resolve(`t:${code}`);
+  };
+
+  it('requires exchangeCode', () => {
+    assert.throws(() => sdk.createSession({}), /exchangeCode/);
+  });
+
+  it('logs in once for concurrent callers and caches the token', async () => {
+    const session = sdk.createSession({ exchangeCode });
+    const tokens = await Promise.all([session.ensure(), session.ensure(), session.login()]);
+    assert.deepStrictEqual(tokens, ['t:mock_code_1', 't:mock_code_1', 't:mock_code_1']);
+    assert.deepStrictEqual(exchanged, ['mock_code_1']);
+    assert.deepStrictEqual(await sdk.storage.get('mp-wx-sdk:session'), { token: 't:mock_code_1' });
+
+    const restored = sdk.createSession({ exchangeCode });
+    assert.strictEqual(await restored.ensure(), 't:mock_code_1');
+    restored.clear();
+    assert.strictEqual('mp-wx-sdk:session' in wx.mock.storage, false);
+  });
+
+  it('expires tokens and logs in again after checkSession fails', async () => {
+    const clock = wx.mock.useFakeTimers(0);
+    try {
+      const session = sdk.createSession({ exchangeCode: code => ({ token: code, expiresIn: 1000 }) });
+      assert.strictEqual(await session.check(), 'mock_code_1');
+      assert.strictEqual(await session.check(), 'mock_code_1');
+      clock.tick(1000);
+      assert.strictEqual(session.getToken(), null);
+      assert.strictEqual(await session.ensure(), 'mock_code_2');
+
+      wx.mock.sessionExpired = true;
+      assert.strictEqual(await session.check(), 'mock_code_3');
+      assert.deepStrictEqual(session.read(), { token: 'mock_code_3', expiresAt: 1000 + 1000 });
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('rejects when exchangeCode returns no token', async () => {
+    const session = sdk.createSession({ exchangeCode: () => ({}) });
+    await assert.rejects(session.ensure(), /未返回 token/);
+    assert.strictEqual(session.pending, null);
+  });
+
+  it('logs in once and replays unauthorized requests', async () => {
+    let tokens = 0;
+    wx.mock
+      .route('POST /login', options => ({ data: { token: `t${++tokens}:${options.data.code}` } }))
+      .route('GET /profile', options => (options.header.Authorization === 'Bearer t2:mock_code_2'
+        ? { data: { id: 1 } }
+        : { statusCode: 401 }));
+    const session = sdk.createSession({
+      exchangeCode: code => sdk.post('/login', { code }).then(res => res.data.token),
+    });
+    const api = sdk.create({ session });
+    await session.check();
+    assert.strictEqual(session.read().token, 't1:mock_code_1');
+
+    assert.deepStrictEqual((await api.get('/profile')).data, { id: 1 });
+    assert.strictEqual(session.read().token, 't2:mock_code_2');
+    assert.ok('mp-wx-sdk:session' in wx.mock.storage);
+  });
+
+  describe('attached to a client', () => {
+    let tokens;
+
+    beforeEach(() => {
+      tokens = 0;
+      wx.mock.route('GET /profile', options => (options.header['X-Token'] === `token ${tokens}`
+        ? { data: { id: 1, trace: options.header['X-Trace'] } }
+        : { statusCode: 403 }));
+    });
+
+    const createClient = options => {
+      const session = sdk.createSession(Object.assign({
+        exchangeCode: () => `${++tokens}`,
+        header: 'X-Token',
+        formatToken: token => `token ${token}`,
+        unauthorizedStatus: [401, 403],
+      }, options));
+      const api = sdk.create({ baseURL: 'https://api', session });
+      let traces = 0;
+      api.interceptors.request.use(config => Object.assign({}, config, { header: Object.assign({}, config.header, { 'X-Trace': `${++traces}` }) }));
+      api.interceptors.response.use(res => res.data);
+      return { session, api };
+    };
+
+    it('replays through the request interceptors and later response interceptors', async () => {
+      const { session, api } = createClient();
+      session.write({ token: 'stale' });
+      assert.deepStrictEqual(await api.get('/profile'), { id: 1, trace: '2' });
+      assert.deepStrictEqual(wx.mock.requests.map(request => request.header['X-Token']), ['token stale', 'token 1']);
+    });
+
+    it('sets res.config on the replayed response', async () => {
+      const { session, api } = createClient();
+      api.interceptors.response.eject(1);
+      session.write({ token: 'stale' });
+      const res = await api.get('/profile', { page: 1 });
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.config, {
+        method: 'GET',
+        url: 'https://api/profile',
+        data: { page: 1 },
+        header: { 'X-Token': 'token 1', 'X-Trace': '2' },
+      });
+    });
+
+    it('replays HttpError responses once and shares the relogin', async () => {
+      const { session, api } = createClient();
+      session.write({ token: 'stale' });
+      const results = await Promise.all([
+        api.get('/profile', {}, null, { validateStatus: true }),
+        api.get('/profile', {}, null, { validateStatus: true }),
+      ]);
+      assert.deepStrictEqual(results.map(data => data.id), [1, 1]);
+      assert.strictEqual(tokens, 1);
+      assert.strictEqual(session.getToken(), '1');
+
+      // 重放后仍未授权时不再重新登录
+      wx.mock.route('GET /admin', { statusCode: 403 });
+      await assert.rejects(api.get('/admin', {}, null, { validateStatus: true }), err => err.statusCode === 403);
+      assert.strictEqual(wx.mock.requests.filter(request => /admin/.test(request.url)).length, 2);
+    });
+  });
+});
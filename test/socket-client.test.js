@@ -0,0 +1,175 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('SocketClient', () => {
+  let wx;
+  let sdk;
+  let clock;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    sdk = new WeChat(wx);
+    clock = wx.mock.useFakeTimers(0);
+  });
+
+  afterEach(() => clock.restore());
+
+  const record = (socket, ...events) => {
+    const log = [];
+    events.forEach(event => socket.on(event, res => log.push([event, res])));
+    return log;
+  };
+
+  it('queues messages until the connection opens and encodes JSON', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws', reconnect: false });
+    const sent = [socket.send({ type: 'hello' }), socket.send('raw')];
+    await clock.tickAsync();
+    const task = wx.mock.sockets[0];
+    assert.deepStrictEqual([socket.state, task.sent], ['connecting', []]);
+
+    task.mock.open();
+    await Promise.all(sent);
+    assert.deepStrictEqual(task.sent, ['{"type":"hello"}', 'raw']);
+    await socket.send([1, 2]);
+    assert.deepStrictEqual(task.sent.slice(2), ['[1,2]']);
+
+    const messages = [];
+    socket.on('message', data => messages.push(data));
+    task.mock.message('{"id":1}');
+    task.mock.message('plain text');
+    assert.deepStrictEqual(messages, [{ id: 1 }, 'plain text']);
+    assert.strictEqual(wx.mock.sockets.length, 1);
+  });
+
+  it('leaves messages as is when json is false', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws', json: false, reconnect: false });
+    const messages = [];
+    socket.on('message', data => messages.push(data));
+    const opened = socket.connect();
+    wx.mock.sockets[0].mock.open();
+    await opened;
+    wx.mock.sockets[0].mock.message('{"id":1}');
+    assert.deepStrictEqual(messages, ['{"id":1}']);
+  });
+
+  it('reconnects with exponential backoff and resets attempts after opening', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws', reconnect: { baseDelay: 100, jitter: 0 } });
+    const log = record(socket, 'open', 'reconnect');
+    const opened = socket.connect();
+    wx.mock.sockets[0].mock.open();
+    await opened;
+
+    wx.mock.sockets[0].mock.close(1006, 'network down');
+    assert.strictEqual(socket.state, 'reconnecting');
+    await clock.tickAsync(99);
+    assert.strictEqual(wx.mock.sockets.length, 1);
+    await clock.tickAsync(1);
+    assert.strictEqual(wx.mock.sockets.length, 2);
+
+    wx.mock.sockets[1].mock.close();
+    await clock.tickAsync(200);
+    wx.mock.sockets[2].mock.open();
+    wx.mock.sockets[2].mock.close();
+    assert.deepStrictEqual(log.map(([event, res]) => (event === 'reconnect' ? res : event)), [
+      'open',
+      { attempt: 1, delay: 100 },
+      { attempt: 2, delay: 200 },
+      'open',
+      { attempt: 1, delay: 100 },
+    ]);
+  });
+
+  it('gives up after maxAttempts and rejects connect and queued messages', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws', reconnect: { maxAttempts: 2, baseDelay: 100, jitter: 0 } });
+    const closes = [];
+    socket.on('close', res => closes.push(res.code));
+    const opened = socket.connect().catch(e => e);
+    const queued = socket.send('hi').catch(e => e);
+    for (let i = 0; i < 3; i++) {
+      wx.mock.sockets[i].mock.close(1006, 'unreachable');
+      await clock.tickAsync(1000);
+    }
+    assert.deepStrictEqual([wx.mock.sockets.length, socket.state, closes], [3, 'closed', [1006, 1006, 1006]]);
+    assert.strictEqual((await opened).message, 'unreachable');
+    assert.strictEqual((await queued).message, 'unreachable');
+    await assert.rejects(socket.send('again'), /socket closed/);
+  });
+
+  it('sends heartbeats and reconnects when no message arrives before the timeout', async () => {
+    const socket = sdk.createSocket({
+      url: 'wss://ws',
+      heartbeat: { interval: 1000, timeout: 500 },
+      reconnect: { baseDelay: 100, jitter: 0 },
+    });
+    const log = record(socket, 'message', 'pong', 'close', 'reconnect');
+    const opened = socket.connect();
+    const task = wx.mock.sockets[0];
+    task.mock.open();
+    await opened;
+
+    await clock.tickAsync(1000);
+    assert.deepStrictEqual(task.sent, ['ping']);
+    task.mock.message('pong');
+    await clock.tickAsync(1000);
+    assert.deepStrictEqual(task.sent, ['ping', 'ping']);
+    await clock.tickAsync(499);
+    assert.strictEqual(socket.state, 'open');
+    await clock.tickAsync(1);
+    assert.deepStrictEqual(log, [
+      ['pong', 'pong'],
+      ['close', { code: 4000, reason: 'heartbeat timeout' }],
+      ['reconnect', { attempt: 1, delay: 100 }],
+    ]);
+    assert.strictEqual(task.readyState, 3);
+
+    await clock.tickAsync(100);
+    wx.mock.sockets[1].mock.open();
+    await clock.tickAsync(1000);
+    assert.deepStrictEqual([task.sent.length, wx.mock.sockets[1].sent], [2, ['ping']]);
+  });
+
+  it('iterates messages until the socket is closed', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws' });
+    const opened = socket.connect();
+    const task = wx.mock.sockets[0];
+    task.mock.open();
+    await opened;
+
+    const received = (async () => {
+      const messages = [];
+      for await (const data of socket) {
+        messages.push(data);
+      }
+      return messages;
+    })();
+    task.mock.message('{"n":1}');
+    task.mock.message('{"n":2}');
+    // 重连期间迭代不会结束
+    task.mock.close();
+    await clock.tickAsync(1000);
+    wx.mock.sockets[1].mock.open();
+    wx.mock.sockets[1].mock.message('{"n":3}');
+    await socket.close();
+    assert.deepStrictEqual(await received, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+  });
+
+  it('closes without reconnecting', async () => {
+    const socket = sdk.createSocket({ url: 'wss://ws' });
+    const closes = [];
+    socket.on('close', res => closes.push(res));
+    const queued = socket.send('hi').catch(e => e);
+    await socket.close(1000, 'bye');
+    await clock.tickAsync(60000);
+    assert.deepStrictEqual([wx.mock.sockets.length, socket.state, closes], [1, 'closed', [{ code: 1000, reason: 'bye' }]]);
+    assert.deepStrictEqual(wx.mock.sockets[0].sent, []);
+    assert.strictEqual((await queued).message, 'bye');
+    await assert.rejects(socket.send('again'), /socket closed/);
+
+    // 未连接时关闭直接结束
+    const idle = sdk.createSocket({ url: 'wss://ws' });
+    await idle.close();
+    assert.deepStrictEqual([idle.state, wx.mock.sockets.length], ['closed', 1]);
+  });
+});
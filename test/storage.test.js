@@ -0,0 +1,125 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('Storage', () => {
+  let wx;
+  let sdk;
+  let clock;
+
+  beforeEach(() => {
+    wx = createMockWx({ storage: { raw: 'plain' } });
+    sdk = new WeChat(wx);
+    clock = wx.mock.useFakeTimers(0);
+  });
+
+  afterEach(() => clock.restore());
+
+  const count = name => wx.mock.calls.filter(call => call.name === name).length;
+
+  it('round-trips values, dates and raw data', async () => {
+    const date = new Date('2024-01-02T03:04:05.000Z');
+    await sdk.storage.set('user', { id: 1, tags: ['a'] });
+    await sdk.storage.set('date', date);
+    await sdk.storage.set('empty', undefined);
+    assert.deepStrictEqual(await sdk.storage.get('user'), { id: 1, tags: ['a'] });
+    assert.strictEqual((await sdk.storage.get('date')).getTime(), date.getTime());
+    assert.strictEqual(await sdk.storage.get('empty', 'default'), null);
+    assert.strictEqual(await sdk.storage.get('raw'), 'plain');
+    assert.strictEqual(await sdk.storage.get('missing', 'default'), 'default');
+    assert.strictEqual(sdk.storage.getSync('date').toISOString(), date.toISOString());
+  });
+
+  it('round-trips empty strings and returns defaultValue only for missing keys', async () => {
+    await sdk.storage.set('blank', '');
+    sdk.storage.setSync('blankSync', '');
+    assert.deepStrictEqual([await sdk.storage.get('blank', 'default'), sdk.storage.getSync('blankSync', 'default')], ['', '']);
+    assert.deepStrictEqual([await sdk.storage.get('missing', 'default'), sdk.storage.getSync('missing', 'default')], ['default', 'default']);
+  });
+
+  it('expires values after ttl and removes them on read', async () => {
+    await sdk.storage.set('code', '1234', { ttl: 1000 });
+    sdk.storage.setSync('sync', 'x', { ttl: 1000 });
+    clock.tick(999);
+    assert.deepStrictEqual([await sdk.storage.get('code'), sdk.storage.getSync('sync')], ['1234', 'x']);
+    clock.tick(1);
+    assert.deepStrictEqual([await sdk.storage.get('code', null), sdk.storage.getSync('sync', null)], [null, null]);
+    assert.deepStrictEqual(Object.keys(wx.mock.storage), ['raw']);
+  });
+
+  it('isolates namespaces and clears only their keys', async () => {
+    const user = sdk.storage.namespace('user:1');
+    const drafts = user.namespace('drafts');
+    await user.set('profile', 'p');
+    drafts.setSync('a', 1);
+    assert.deepStrictEqual(Object.keys(wx.mock.storage).sort(), ['raw', 'user:1:drafts:a', 'user:1:profile']);
+    assert.deepStrictEqual((await user.info()).keys.sort(), ['drafts:a', 'profile']);
+    assert.deepStrictEqual(drafts.infoSync().keys, ['a']);
+
+    drafts.clearSync();
+    assert.deepStrictEqual(Object.keys(wx.mock.storage).sort(), ['raw', 'user:1:profile']);
+    await user.clear();
+    assert.deepStrictEqual(Object.keys(wx.mock.storage), ['raw']);
+    await sdk.storage.clear();
+    assert.deepStrictEqual(wx.mock.storage, {});
+  });
+
+  it('stores namespaced values with ttl', async () => {
+    const storage = sdk.storage.namespace('user:1');
+    await storage.set('profile', { name: 'a' }, { ttl: 1000 });
+    assert.deepStrictEqual(await storage.get('profile'), { name: 'a' });
+    clock.tick(1001);
+    assert.strictEqual(await storage.get('profile', null), null);
+  });
+
+  it('checks the quota at most once per quotaCheckInterval', async () => {
+    const syncChecks = [];
+    const getStorageInfoSync = wx.getStorageInfoSync;
+    wx.getStorageInfoSync = () => {
+      syncChecks.push(Date.now());
+      return getStorageInfoSync();
+    };
+    const user = sdk.storage.namespace('user:1');
+    for (let i = 0; i < 5; i++) {
+      await sdk.storage.set(`a${i}`, i);
+      await user.set(`b${i}`, i);
+      user.setSync(`c${i}`, i);
+    }
+    assert.deepStrictEqual([count('getStorageInfo'), syncChecks], [1, []]);
+
+    clock.tick(60000);
+    user.setSync('c', 1);
+    await sdk.storage.set('a', 1);
+    assert.deepStrictEqual([count('getStorageInfo'), syncChecks], [1, [60000]]);
+  });
+
+  it('evicts expired data when near the quota', async () => {
+    await sdk.storage.set('old', 1, { ttl: 1000 });
+    await sdk.storage.set('kept', 1);
+    clock.tick(60000);
+    wx.mock.stub('getStorageInfo', () => ({ keys: Object.keys(wx.mock.storage), currentSize: 9300, limitSize: 10240 }));
+    await sdk.storage.set('new', 1);
+    assert.deepStrictEqual(Object.keys(wx.mock.storage).sort(), ['kept', 'new', 'raw']);
+    assert.strictEqual((await sdk.storage.info()).usage, 9300 / 10240);
+  });
+
+  it('evicts expired data and retries once when the write fails', async () => {
+    await sdk.storage.set('old', 1, { ttl: 1000 });
+    clock.tick(1000);
+    let failures = 0;
+    const setStorageSync = wx.setStorageSync;
+    wx.mock.stub('setStorage', opts => {
+      if (++failures === 1) {
+        throw 'exceed storage max size 10Mb';
+      }
+      setStorageSync(opts.key, opts.data);
+    });
+    await sdk.storage.set('new', 1);
+    assert.deepStrictEqual([failures, Object.keys(wx.mock.storage).sort()], [2, ['new', 'raw']]);
+
+    failures = 0;
+    await assert.rejects(sdk.storage.set('other', 1), err => /exceed/.test(err.errMsg));
+    assert.strictEqual(failures, 1);
+  });
+});
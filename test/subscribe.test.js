@@ -0,0 +1,88 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('subscribe', () => {
+  let wx;
+  let sdk;
+  let setting;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    setting = wx.mock.subscriptionsSetting;
+    sdk = new WeChat(wx);
+  });
+
+  const requests = () => wx.mock.calls.filter(({ name }) => name === 'requestSubscribeMessage').map(({ options }) => options.tmplIds);
+  const subscribe = (...args) => wx.mock.tap(() => sdk.subscribe(...args));
+
+  it('requests at most 3 templates per tap and returns the rest', async () => {
+    wx.mock.subscribeAnswers = { b: 'reject', d: 'ban', e: 'filter' };
+    const result = await subscribe(['a', 'b', 'c', 'd', 'e', 'a']);
+    assert.deepStrictEqual(requests(), [['a', 'b', 'c']]);
+    assert.deepStrictEqual(result.accepted, ['a', 'c']);
+    assert.deepStrictEqual(result.rejected, ['b']);
+    assert.deepStrictEqual(result.statuses.b, 'reject');
+    assert.deepStrictEqual(result.remaining, ['d', 'e']);
+
+    const next = await subscribe(result.remaining);
+    assert.deepStrictEqual(requests(), [['a', 'b', 'c'], ['d', 'e']]);
+    assert.deepStrictEqual(next.banned, ['d']);
+    assert.deepStrictEqual(next.filtered, ['e']);
+    assert.deepStrictEqual(next.remaining, []);
+  });
+
+  it('calls requestSubscribeMessage synchronously', () => {
+    subscribe(['a']);
+    assert.deepStrictEqual(requests(), [['a']]);
+  });
+
+  it('remembers always decisions and skips always-rejected templates', async () => {
+    setting.itemSettings = { a: 'accept', b: 'reject' };
+    await sdk.getSubscriptionSettings();
+    assert.deepStrictEqual([wx.mock.calls[0].name, wx.mock.calls[0].options.withSubscriptions], ['getSetting', true]);
+    const result = await subscribe(['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(requests(), [['a', 'c', 'd']]);
+    assert.deepStrictEqual(result.rejected, ['b']);
+    assert.deepStrictEqual(result.remaining, []);
+    assert.deepStrictEqual(result.always, { a: 'accept', b: 'reject' });
+  });
+
+  it('refreshes settings after requesting', async () => {
+    wx.mock.subscribeAnswers = { a: 'reject' };
+    setting.itemSettings = { a: 'reject' };
+    const first = await subscribe(['a']);
+    assert.deepStrictEqual(first.always, { a: 'reject' });
+    await subscribe(['a']);
+    assert.strictEqual(requests().length, 1);
+  });
+
+  it('treats everything as rejected when the main switch is off', async () => {
+    setting.mainSwitch = false;
+    await sdk.getSubscriptionSettings();
+    const result = await subscribe(['a', 'b']);
+    assert.deepStrictEqual(result.rejected, ['a', 'b']);
+    assert.strictEqual(requests().length, 0);
+    const forced = await subscribe(['a'], { skipRemembered: false });
+    assert.deepStrictEqual(forced.accepted, ['a']);
+  });
+
+  it('rejects GestureRequiredError outside a tap', async () => {
+    await assert.rejects(sdk.subscribe(['a']), err => {
+      assert.ok(err instanceof WeChat.GestureRequiredError);
+      assert.strictEqual(err.api, 'requestSubscribeMessage');
+      assert.strictEqual(err.errCode, 20003);
+      assert.ok(err.result);
+      return true;
+    });
+  });
+
+  it('rejects calls made after an await inside the tap', async () => {
+    const onTap = async () => {
+      await sdk.getSetting();
+      return sdk.requestSubscribeMessage({ tmplIds: ['a'] });
+    };
+    await assert.rejects(wx.mock.tap(onTap), err => err.errCode === 20003);
+  });
+});
@@ -0,0 +1,179 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('Telemetry', () => {
+  let wx;
+  let events;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    events = [];
+  });
+
+  const create = (options = {}) => new WeChat(wx, { telemetry: Object.assign({ sinks: [event => events.push(event)] }, options) });
+
+  it('records every call with outcome, duration and errMsg', async () => {
+    const sdk = create();
+    wx.mock.route('/goods', { statusCode: 200, data: [] });
+    wx.mock.sessionExpired = true;
+    await sdk.get('https://api/goods', { page: 1 });
+    await assert.rejects(sdk.checkSession());
+    assert.deepStrictEqual(events.map(({ api, outcome, errMsg, statusCode, platform }) => [api, outcome, errMsg, statusCode, platform]), [
+      ['request', 'success', undefined, 200, 'wechat'],
+      ['checkSession', 'fail', 'checkSession:fail session expired', undefined, 'wechat'],
+    ]);
+    assert.deepStrictEqual(events[0].options, { method: 'GET', url: 'https://api/goods', data: { page: 1 } });
+    assert.strictEqual(typeof events[0].duration, 'number');
+    assert.strictEqual(typeof events[0].startTime, 'number');
+  });
+
+  it('keeps the task and the call result unchanged', async () => {
+    const sdk = create();
+    const call = sdk.setOption('request', { url: '/a' });
+    assert.strictEqual(typeof call.task.abort, 'function');
+    assert.strictEqual((await call).statusCode, 404);
+  });
+
+  it('records unsupported apis', async () => {
+    wx = createMockWx({ unsupported: ['scanCode'] });
+    wx.scanCode = () => {};
+    const sdk = create();
+    await assert.rejects(sdk.setOption('scanCode', {}), WeChat.UnsupportedApiError);
+    assert.deepStrictEqual(events.map(({ api, outcome }) => [api, outcome]), [['scanCode', 'unsupported']]);
+  });
+
+  it('redacts sensitive keys and drops callbacks', async () => {
+    const sdk = create({ redact: ['phone', /^id_?card$/i] });
+    await sdk.post('https://api/users', {
+      name: 'a',
+      phone: '13800000000',
+      profile: { idCard: '110101', access_token: 'x' },
+      note: 'x'.repeat(300),
+    }, { Authorization: 'Bearer secret', 'X-App': 'mini' }, { complete() {} });
+    const { options } = events[0];
+    assert.deepStrictEqual(options.header, { Authorization: '[REDACTED]', 'X-App': 'mini' });
+    assert.deepStrictEqual(options.data.profile, { idCard: '[REDACTED]', access_token: '[REDACTED]' });
+    assert.strictEqual(options.data.phone, '[REDACTED]');
+    assert.strictEqual(options.data.note, `${'x'.repeat(256)}…(300)`);
+    assert.strictEqual('complete' in options, false);
+    assert.strictEqual(wx.mock.requests[0].header.Authorization, 'Bearer secret');
+  });
+
+  it('redacts sensitive query params in url and filePath', async () => {
+    const sdk = create({ redact: ['sig'] });
+    await sdk.get('https://api/a?access_token=SECRET123&page=2&sig=SECRET456#top');
+    await sdk.downloadFile({ url: 'https://cdn/a.pdf?Token=SECRET789', filePath: 'wxfile://usr/a.pdf' });
+    assert.deepStrictEqual(events.map(event => event.options.url), [
+      'https://api/a?access_token=[REDACTED]&page=2&sig=[REDACTED]#top',
+      'https://cdn/a.pdf?Token=[REDACTED]',
+    ]);
+    assert.strictEqual(WeChat.Telemetry.sanitize({ filePath: 'wxfile://tmp/a.png?session_key=x' }, [/session/i]).filePath, 'wxfile://tmp/a.png?session_key=[REDACTED]');
+    assert.ok(!/SECRET/.test(JSON.stringify(events)));
+  });
+
+  it('redacts the data of storage keys that match the rules', async () => {
+    const sdk = create({ redact: ['profile'] });
+    await sdk.setStorage({ key: 'auth', data: { refresh: 'SECRETREFRESH' } });
+    await sdk.setStorage({ key: 'access_token', data: 'SECRETTOKEN' });
+    await sdk.setStorage({ key: 'profile', data: { name: 'a' } });
+    await sdk.setStorage({ key: 'theme', data: 'dark' });
+    assert.deepStrictEqual(events.map(event => event.options), [
+      { key: 'auth', data: '[REDACTED]' },
+      { key: 'access_token', data: '[REDACTED]' },
+      { key: 'profile', data: '[REDACTED]' },
+      { key: 'theme', data: 'dark' },
+    ]);
+  });
+
+  it('samples successful calls separately from failures', async () => {
+    const sdk = create({ sampleRate: 0 });
+    wx.mock.sessionExpired = true;
+    await sdk.login();
+    await assert.rejects(sdk.checkSession());
+    assert.deepStrictEqual(events.map(event => event.api), ['checkSession']);
+  });
+
+  it('skips calls marked telemetry: false and events dropped by beforeSend', async () => {
+    const sdk = create({ beforeSend: event => (event.api === 'login' ? false : Object.assign(event, { page: 'index' })) });
+    await sdk.get('https://api/a', {}, null, { telemetry: false });
+    await sdk.login();
+    await sdk.getSetting();
+    assert.strictEqual('telemetry' in wx.mock.requests[0], false);
+    assert.deepStrictEqual(events.map(({ api, page }) => [api, page]), [['getSetting', 'index']]);
+  });
+
+  it('drops the event when beforeSend throws without failing the call', async () => {
+    const sdk = create({ beforeSend: () => { throw new Error('hook bug'); } });
+    wx.mock.route('/a', { data: 'ok' });
+    assert.strictEqual((await sdk.get('https://api/a')).data, 'ok');
+    assert.strictEqual(sdk.getStorageSync('missing'), '');
+    assert.deepStrictEqual(events, []);
+  });
+
+  it('records sync calls and event listeners', () => {
+    wx = createMockWx({ unsupported: ['onMemoryWarning'] });
+    const sdk = create();
+    sdk.setStorageSync('token', 'abc');
+    const off = sdk.onWindowResize(() => {});
+    off();
+    assert.throws(() => sdk.listen('onMemoryWarning', () => {}), WeChat.UnsupportedApiError);
+    wx.getStorageInfoSync = () => {
+      throw new Error('storage broken');
+    };
+    assert.throws(() => sdk.invokeSync('getStorageInfoSync'), /storage broken/);
+    assert.deepStrictEqual(events.map(({ api, outcome, errMsg }) => [api, outcome, errMsg]), [
+      ['setStorageSync', 'success', undefined],
+      ['onWindowResize', 'success', undefined],
+      ['offWindowResize', 'success', undefined],
+      ['onMemoryWarning', 'unsupported', events[3].errMsg],
+      ['getStorageInfoSync', 'fail', 'storage broken'],
+    ]);
+    assert.deepStrictEqual(events[0].options, { args: 2 });
+  });
+
+  it('writes to the realtime log manager', async () => {
+    const logs = [];
+    wx.getRealtimeLogManager = () => ({
+      info: (...args) => logs.push(['info', args[0]]),
+      warn: (...args) => logs.push(['warn', args[0], args[2]]),
+    });
+    const sdk = new WeChat(wx, { telemetry: { realtimeLog: true } });
+    wx.mock.sessionExpired = true;
+    await sdk.login();
+    await assert.rejects(sdk.checkSession());
+    assert.deepStrictEqual(logs, [['info', 'login'], ['warn', 'checkSession', 'checkSession:fail session expired']]);
+  });
+
+  it('uploads events in batches without tracing the upload', async () => {
+    const clock = wx.mock.useFakeTimers(0);
+    try {
+      const uploads = [];
+      wx.mock.route('POST /log', options => {
+        uploads.push(options.data.events.map(event => event.api));
+        return uploads.length === 1 ? { statusCode: 500 } : { statusCode: 204 };
+      });
+      const sdk = new WeChat(wx, { telemetry: { upload: { url: 'https://api/log', batchSize: 2, flushInterval: 5000 } } });
+      await sdk.login();
+      await clock.tickAsync(0);
+      assert.deepStrictEqual(uploads, []);
+      await sdk.getSetting();
+      await clock.tickAsync(0);
+      // 第一次上报失败，事件放回缓冲区
+      assert.deepStrictEqual(uploads, [['login', 'getSetting']]);
+
+      await sdk.getSystemInfo();
+      await clock.tickAsync(5000);
+      assert.deepStrictEqual(uploads.slice(1), [['login', 'getSetting'], ['getSystemInfo']]);
+
+      await sdk.login();
+      wx.mock.trigger('AppHide');
+      await clock.tickAsync(0);
+      assert.deepStrictEqual(uploads.slice(3), [['login']]);
+      assert.strictEqual(wx.mock.requests.filter(request => request.url === 'https://api/log').length, 4);
+    } finally {
+      clock.restore();
+    }
+  });
+});
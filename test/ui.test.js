@@ -0,0 +1,76 @@
+'use strict';
+const assert = require('assert');
+const WeChat = require('..');
+const createMockWx = require('../lib/mock-wx');
+
+describe('UI', () => {
+  let wx;
+  let sdk;
+
+  beforeEach(() => {
+    wx = createMockWx();
+    wx.mock
+      .route(() => true, { data: {}, delay: 2 })
+      .route('/error', { statusCode: 500, data: {}, delay: 2 });
+    sdk = new WeChat(wx);
+  });
+
+  const calls = () => wx.mock.calls
+    .filter(({ name }) => name !== 'request')
+    .map(({ name, options }) => (name === 'showModal' ? [name, options.content, options.showCancel] : [name, options.title]));
+
+  it('keeps loading visible until every caller hides it', async () => {
+    const slow = new Promise(resolve => setTimeout(resolve, 5));
+    const fast = new Promise(resolve => setTimeout(resolve, 1));
+    await Promise.all([sdk.ui.withLoading(slow), sdk.ui.withLoading(() => fast, '保存中')]);
+    assert.deepStrictEqual(calls(), [['showLoading', '加载中'], ['showLoading', '保存中'], ['hideLoading', undefined]]);
+    sdk.ui.hideLoading();
+    assert.strictEqual(calls().length, 3);
+  });
+
+  it('hides loading when the task rejects', async () => {
+    await assert.rejects(sdk.ui.withLoading(() => Promise.reject(new Error('x'))), /x/);
+    assert.deepStrictEqual(calls().map(([name]) => name), ['showLoading', 'hideLoading']);
+  });
+
+  it('shows toasts one after another', async () => {
+    const first = sdk.ui.toast({ title: 'a', duration: 5 });
+    sdk.ui.toast({ title: 'b', duration: 5 });
+    assert.deepStrictEqual(calls(), [['showToast', 'a']]);
+    await first;
+    assert.deepStrictEqual(calls(), [['showToast', 'a'], ['showToast', 'b']]);
+  });
+
+  it('waits for loading before showing toasts', async () => {
+    sdk.ui.showLoading();
+    const toast = sdk.ui.toast({ title: 'done', duration: 1 });
+    assert.deepStrictEqual(calls().map(([name]) => name), ['showLoading']);
+    sdk.ui.hideLoading();
+    await toast;
+    assert.deepStrictEqual(calls().map(([name]) => name), ['showLoading', 'hideLoading', 'showToast']);
+  });
+
+  it('resolves confirm and alert to booleans and queues modals', async () => {
+    wx.mock.answerModal(false, true);
+    const results = await Promise.all([sdk.ui.confirm('删除？'), sdk.ui.confirm({ content: '确认？' }), sdk.ui.alert('已保存')]);
+    assert.deepStrictEqual(results, [false, true, true]);
+    assert.deepStrictEqual(calls(), [['showModal', '删除？', true], ['showModal', '确认？', true], ['showModal', '已保存', false]]);
+  });
+
+  it('shows loading and error toasts for client requests', async () => {
+    const client = sdk.create({ loading: true, errorToast: true, validateStatus: true });
+    await Promise.all([client.get('/a'), client.get('/b', {}, null, { loading: '刷新中' })]);
+    assert.deepStrictEqual(calls(), [['showLoading', '加载中'], ['showLoading', '刷新中'], ['hideLoading', undefined]]);
+    assert.deepStrictEqual(wx.mock.requests.map(options => Object.keys(options).filter(key => /loading|errorToast/.test(key))), [[], []]);
+
+    wx.mock.calls = [];
+    await assert.rejects(client.get('/error'), WeChat.HttpError);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(calls(), [['showLoading', '加载中'], ['hideLoading', undefined], ['showToast', '请求失败（500）']]);
+
+    wx.mock.calls = [];
+    const quiet = sdk.create({ errorToast: error => (error.statusCode === 500 ? '' : 'x') });
+    await assert.rejects(quiet.get('/error', {}, null, { validateStatus: true }));
+    assert.deepStrictEqual(calls(), []);
+  });
+});